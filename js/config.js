@@ -17,6 +17,94 @@ export const MAX_POINTS = 100;
 /** Maximum memo length */
 export const MEMO_MAX_LENGTH = 50;
 
+/** Where a point's direction came from (PointManager directionSource) */
+export const DIRECTION_SOURCES = ['fusion', 'compass', 'gyro', 'accel', 'manual', 'ar', 'marker', 'derived'];
+
+/**
+ * Sources whose headings are magnetic (compass based). Only these get the
+ * reference-north correction; typed, gyro-relative and derived headings
+ * are kept as they are.
+ */
+export const MAGNETIC_SOURCES = ['fusion', 'compass', 'ar'];
+
+/** Point headingQuality: compass reading trusted, or taken during magnetic disturbance / low accuracy */
+export const HEADING_QUALITIES = ['good', 'suspect'];
+
+// ─── Routes ──────────────────────────────────────────────────
+
+/** Maximum route name length */
+export const ROUTE_NAME_MAX_LENGTH = 30;
+
+/** Default route name prefix (followed by route number) */
+export const DEFAULT_ROUTE_NAME = '路線';
+
+/** Route colors assigned in order (first matches ROUTE_COLOR_3D) */
+export const ROUTE_PALETTE = ['#00E5FF', '#FF4081', '#76FF03', '#FFAB00', '#D500F9', '#FF6E40'];
+
+// ─── Fittings ────────────────────────────────────────────────
+
+/**
+ * Fitting types that can be attached to a point.
+ * props: type-specific fields (angle = bend degrees, outletSize = reducer
+ * outlet mm, valveType = VALVE_TYPES key); angle is the elbow default.
+ */
+export const FITTING_TYPES = {
+  elbow45: { label: 'エルボ45°', props: ['angle'], angle: 45 },
+  elbow90: { label: 'エルボ90°', props: ['angle'], angle: 90 },
+  tee:     { label: 'チーズ', props: [] },
+  reducer: { label: 'レジューサ', props: ['outletSize'] },
+  valve:   { label: 'バルブ', props: ['valveType'] },
+  flange:  { label: 'フランジ', props: [] },
+  cap:     { label: 'キャップ', props: [] },
+  union:   { label: 'ユニオン', props: [] }
+};
+
+/** Valve kinds for valve fittings */
+export const VALVE_TYPES = {
+  gate: '仕切弁',
+  ball: 'ボール弁',
+  butterfly: 'バタフライ弁',
+  check: '逆止弁',
+  globe: '玉形弁'
+};
+
+/** Fitting mesh color in pipe mode (Three.js hex) */
+export const FITTING_COLOR_3D = 0xB0BEC5;
+
+// ─── Bends ───────────────────────────────────────────────────
+
+/** Standard fitting bend angles (degrees) */
+export const BEND_STANDARD_ANGLES = [22.5, 45, 90];
+
+/** A bend within this many degrees of a standard angle is classified as it */
+export const BEND_TOLERANCE = 7.5;
+
+/** Deflections smaller than this (degrees) are treated as straight */
+export const BEND_MIN_ANGLE = 5;
+
+// ─── Slope (drainage) ────────────────────────────────────────
+
+/**
+ * Default fall limits (percent) by pipe type. The first entry whose
+ * match text is contained in the pipe type applies; routes can override.
+ */
+export const SLOPE_LIMITS = [
+  { match: '汚水', min: 1, max: 10 },
+  { match: '排水', min: 1, max: 10 },
+  { match: '雨水', min: 0.5, max: 10 },
+  { match: '下水', min: 1, max: 10 }
+];
+
+// ─── Bill of Materials ───────────────────────────────────────
+
+/** Stock pipe lengths offered for cut-list nesting (meters) */
+export const BOM_STOCK_LENGTHS = [4, 5.5];
+
+// ─── Undo / Redo ─────────────────────────────────────────────
+
+/** Maximum number of undoable commands kept in history */
+export const HISTORY_LIMIT = 100;
+
 // ─── Camera Settings ─────────────────────────────────────────
 
 /** Preferred camera resolution */
@@ -102,18 +190,272 @@ export const VIEW_PRESETS = {
 /** Distance decimal precision (meters) */
 export const DISTANCE_PRECISION = 2;
 
-// ─── LocalStorage ────────────────────────────────────────────
+/**
+ * Known rectangles for plane calibration (meters; width = first side tapped).
+ * An empty size means the user enters it.
+ */
+export const PLANE_PRESETS = {
+  a4: { label: 'A4用紙 (297×210mm)', width: 0.297, height: 0.210 },
+  a3: { label: 'A3用紙 (420×297mm)', width: 0.420, height: 0.297 },
+  card: { label: 'クレジットカード (85.6×54mm)', width: 0.0856, height: 0.054 },
+  marker: { label: '印刷マーカー (100mm角)', width: 0.1, height: 0.1 },
+  tile300: { label: '300角タイル', width: 0.3, height: 0.3 },
+  tile600: { label: '600角タイル', width: 0.6, height: 0.6 },
+  custom: { label: '任意の長方形', width: null, height: null }
+};
+
+/** Assumed tap imprecision (CSS pixels) for plane calibration error estimates */
+export const PLANE_TAP_ERROR_PX = 3;
+
+/** Plane calibration corner marker color */
+export const PLANE_CORNER_COLOR = '#00E676';
+
+/** Longest side (px) of the snapshot analysed for a reference object */
+export const REFERENCE_DETECT_SIZE = 320;
+
+/** Smallest reference object, as a fraction of the analysed image area */
+export const REFERENCE_MIN_AREA = 0.005;
 
-/** LocalStorage key for project data */
+/** How completely a region must fill its fitted quadrilateral to count as rectangular (0-1) */
+export const REFERENCE_MIN_FILL = 0.9;
+
+/** Smallest brightness difference (0-255) between an object and its background */
+export const REFERENCE_MIN_CONTRAST = 40;
+
+/** Printed fiducial marker size, outer edge of the black border (m) */
+export const MARKER_SIZE = 0.1;
+
+/** Longest side (px) of the camera frame searched for markers */
+export const MARKER_DETECT_SIZE = 640;
+
+/** Smallest black/white difference (0-255) inside a marker */
+export const MARKER_CONTRAST = 60;
+
+// ─── Storage ─────────────────────────────────────────────────
+
+/** Legacy LocalStorage key for the single saved project (imported into the library once) */
 export const STORAGE_KEY = 'pipe_scanner_project';
 
+/**
+ * Version of the saved project structure. Bump it when point or route
+ * fields change and add a migration step in utils/schema.js.
+ */
+export const PROJECT_SCHEMA_VERSION = 7;
+
+/** IndexedDB database and object store for the project library */
+export const DB_NAME = 'pipe_scanner';
+export const DB_VERSION = 4;
+export const DB_PROJECT_STORE = 'projects';
+
+/** Object store holding the autosaved working state (one record) */
+export const DB_RECOVERY_STORE = 'recovery';
+
+/** Object store of saved revisions (a snapshot per explicit save) */
+export const DB_REVISION_STORE = 'revisions';
+
+/** Object store of point photos (JPEG data URLs keyed by photo id) */
+export const DB_PHOTO_STORE = 'photos';
+
+/** Revisions kept per project; the oldest are pruned */
+export const REVISION_LIMIT = 50;
+
+/** Delay after the last change before the working state is autosaved (ms) */
+export const AUTOSAVE_DELAY_MS = 1000;
+
 // ─── Export Settings ─────────────────────────────────────────
 
 /** CSV character encoding (UTF-8 BOM for Excel) */
 export const CSV_BOM = '\uFEFF';
 
+/**
+ * CSV columns in output order. `basic` columns make up the standard
+ * export; the column dialog can pick any subset.
+ */
+export const CSV_COLUMNS = [
+  { key: 'route', label: '\u8DEF\u7DDA\u540D', basic: true },
+  { key: 'point_id', label: '\u30DD\u30A4\u30F3\u30C8ID', basic: true },
+  { key: 'distance_to_next', label: '\u6B21\u70B9\u307E\u3067\u306E\u8DDD\u96E2', basic: true },
+  { key: 'memo', label: '\u30E1\u30E2', basic: true },
+  { key: 'parent_id', label: '\u5206\u5C90\u5143ID', basic: true },
+  { key: 'fitting_type', label: '\u7D99\u624B\u7A2E\u5225', basic: true },
+  { key: 'nominal_size', label: '\u547C\u3073\u5F84', basic: true },
+  { key: 'fitting_angle', label: '\u7D99\u624B\u89D2\u5EA6', basic: true },
+  { key: 'outlet_size', label: '\u679D\u5F84', basic: true },
+  { key: 'valve_type', label: '\u30D0\u30EB\u30D6\u7A2E\u5225', basic: true },
+  { key: 'bend_angle', label: '\u66F2\u304C\u308A\u89D2', basic: true },
+  { key: 'bend_class', label: '\u66F2\u304C\u308A\u5206\u985E', basic: true },
+  { key: 'rise_m', label: '\u9AD8\u4F4E\u5DEE', basic: true },
+  { key: 'run_m', label: '\u6C34\u5E73\u8DDD\u96E2', basic: true },
+  { key: 'slope_percent', label: '\u52FE\u914D (%)', basic: true },
+  { key: 'slope_1_in_n', label: '\u52FE\u914D (1/n)', basic: true },
+  { key: 'height_start_m', label: '\u59CB\u70B9\u9AD8\u3055', basic: true },
+  { key: 'height_end_m', label: '\u7D42\u70B9\u9AD8\u3055', basic: true },
+  { key: 'slope_check', label: '\u52FE\u914D\u5224\u5B9A', basic: true },
+  { key: 'cumulative_m', label: '\u7D2F\u7A4D\u8DDD\u96E2' },
+  { key: 'x_east_m', label: 'X (\u6771)' },
+  { key: 'y_north_m', label: 'Y (\u5317)' },
+  { key: 'z_up_m', label: 'Z (\u9AD8\u3055)' },
+  { key: 'heading_deg', label: '\u65B9\u4F4D\u89D2' },
+  { key: 'elevation_deg', label: '\u4EF0\u4FEF\u89D2' },
+  { key: 'heading_spread_deg', label: '\u65B9\u4F4D\u306E\u3070\u3089\u3064\u304D' },
+  { key: 'elevation_spread_deg', label: '\u4EF0\u4FEF\u89D2\u306E\u3070\u3089\u3064\u304D' },
+  { key: 'direction_source', label: '\u65B9\u5411\u306E\u53D6\u5F97\u5143' },
+  { key: 'sensor_level', label: '\u30BB\u30F3\u30B5\u30FC\u6C34\u6E96' },
+  { key: 'created_at', label: '\u8A18\u9332\u65E5\u6642' }
+];
+
+/** LocalStorage key for the last CSV column selection */
+export const CSV_COLUMNS_STORAGE_KEY = 'pipe_scanner_csv_columns';
+
 /** DXF layer name */
 export const DXF_LAYER_NAME = 'PIPE_ROUTE';
 
+/** DXF layer for fitting labels */
+export const DXF_FITTING_LAYER_NAME = 'PIPE_FITTING';
+
+/** DXF layers for point ids, memos, segment distances and POINT entities */
+export const DXF_POINT_ID_LAYER_NAME = 'PIPE_POINT_ID';
+export const DXF_MEMO_LAYER_NAME = 'PIPE_MEMO';
+export const DXF_DISTANCE_LAYER_NAME = 'PIPE_DISTANCE';
+export const DXF_POINT_LAYER_NAME = 'PIPE_POINT';
+
+/** DXF annotation text height (meters) */
+export const DXF_TEXT_HEIGHT = 0.05;
+
+/** SVG drawing sheet size (mm, A3 landscape) */
+export const SVG_PAGE_WIDTH = 420;
+export const SVG_PAGE_HEIGHT = 297;
+
+/** Drawing scales offered for SVG views (denominators, 1:n); the smallest that fits is used */
+export const SVG_SCALES = [10, 20, 25, 50, 100, 200, 250, 500, 1000, 2000, 2500, 5000, 10000];
+
+/** Size of the plan / elevation images in the survey report (pixels) */
+export const REPORT_VIEW_WIDTH = 1600;
+export const REPORT_VIEW_HEIGHT = 900;
+
 /** Export filename prefix */
 export const EXPORT_FILENAME_PREFIX = 'pipe_route';
+
+// ─── Project Package ─────────────────────────────────────────
+
+/** File extension of a portable project package (ZIP with a JSON manifest) */
+export const PACKAGE_EXTENSION = '.pipescan';
+
+/** Manifest entry name inside the package */
+export const PACKAGE_MANIFEST = 'manifest.json';
+
+/** Package format version written by this app */
+export const PACKAGE_FORMAT_VERSION = 1;
+
+/** Folder of point photos inside the package (`photos/<id>.jpg`) */
+export const PACKAGE_PHOTO_DIR = 'photos/';
+
+// ─── Photos ──────────────────────────────────────────────────
+
+/** Longest side of a stored point photo (pixels); larger captures are scaled down */
+export const PHOTO_MAX_SIZE = 1280;
+
+/** JPEG quality of stored point photos */
+export const PHOTO_QUALITY = 0.8;
+
+// ─── Compass Quality ─────────────────────────────────────────
+
+/** Compass change (degrees) beyond the measured device rotation that counts as disturbance */
+export const COMPASS_GYRO_MISMATCH_DEG = 15;
+
+/** Window over which compass and gyro rotation are compared (ms) */
+export const COMPASS_WINDOW_MS = 1000;
+
+/** Plausible geomagnetic field strength (μT); outside it the field is disturbed */
+export const MAG_FIELD_RANGE_UT = { min: 20, max: 70 };
+
+/** Field strength change from its running average (μT) that counts as a jump */
+export const MAG_FIELD_JUMP_UT = 8;
+
+/** How long a detected disturbance keeps readings suspect (ms) */
+export const DISTURBANCE_HOLD_MS = 3000;
+
+/** Reported compass accuracy (degrees, iOS) above which headings are suspect */
+export const COMPASS_ACCURACY_LIMIT_DEG = 25;
+
+/** Why a heading is suspect (SensorManager headingQuality reasons) → label */
+export const HEADING_QUALITY_REASONS = {
+  gyro_mismatch: '方位の急変',
+  field_jump: '磁場の急変',
+  field_range: '磁場異常',
+  low_accuracy: '精度低下'
+};
+
+/** Figure-eight calibration: heading sectors to visit and rotation per device axis (degrees) */
+export const COMPASS_CALIBRATION_SECTORS = 12;
+export const COMPASS_CALIBRATION_AXIS_DEG = 360;
+
+/** 3D marker color for points with a suspect heading */
+export const SUSPECT_COLOR_3D = 0xFF1744;
+
+// ─── Direction Averaging ─────────────────────────────────────
+
+/**
+ * Capture windows offered at tap time (ms): readings around the tap are
+ * averaged over this span. 0 takes the instantaneous reading.
+ */
+export const CAPTURE_WINDOWS_MS = [
+  { value: 0, label: '瞬時' },
+  { value: 500, label: '0.5秒平均' },
+  { value: 1000, label: '1秒平均' },
+  { value: 2000, label: '2秒平均' }
+];
+export const CAPTURE_WINDOW_DEFAULT_MS = 1000;
+
+/** LocalStorage key for the last capture window */
+export const CAPTURE_WINDOW_STORAGE_KEY = 'pipe_scanner_capture_window';
+
+/** Fewest samples an average needs; with fewer the instantaneous reading is used */
+export const CAPTURE_MIN_SAMPLES = 5;
+
+/**
+ * Outlier rejection: samples further from the median than this many
+ * robust standard deviations (1.4826 × MAD), and at least
+ * CAPTURE_OUTLIER_MIN_DEG, are dropped
+ */
+export const CAPTURE_OUTLIER_SIGMA = 3;
+export const CAPTURE_OUTLIER_MIN_DEG = 2;
+
+/** Heading or elevation spread (standard deviation, degrees) flagged as unsteady */
+export const SPREAD_WARN_DEG = 5;
+
+// ─── North Reference ─────────────────────────────────────────
+
+/**
+ * North the 3D view and exports are drawn against. Headings are stored as
+ * measured and compass-based ones (MAGNETIC_SOURCES) corrected on output.
+ */
+export const NORTH_REFERENCES = [
+  { value: 'magnetic', label: '磁北（補正なし）', short: '磁北' },
+  { value: 'true', label: '真北（磁気偏角を補正）', short: '真北' },
+  { value: 'grid', label: '座標北（偏角と子午線収差を補正）', short: '座標北' }
+];
+
+/** Grids for grid north: Japan plane rectangular zones (central meridian, degrees) and UTM */
+export const GRID_ZONES = [
+  { id: 'jp1', label: '平面直角 I系（長崎・鹿児島西部）', meridian: 129.5 },
+  { id: 'jp2', label: '平面直角 II系（福岡・熊本・宮崎など）', meridian: 131 },
+  { id: 'jp3', label: '平面直角 III系（山口・島根・広島）', meridian: 132 + 1 / 6 },
+  { id: 'jp4', label: '平面直角 IV系（四国）', meridian: 133.5 },
+  { id: 'jp5', label: '平面直角 V系（兵庫・鳥取・岡山）', meridian: 134 + 1 / 3 },
+  { id: 'jp6', label: '平面直角 VI系（近畿・福井）', meridian: 136 },
+  { id: 'jp7', label: '平面直角 VII系（石川・富山・岐阜・愛知）', meridian: 137 + 1 / 6 },
+  { id: 'jp8', label: '平面直角 VIII系（新潟・長野・山梨・静岡）', meridian: 138.5 },
+  { id: 'jp9', label: '平面直角 IX系（関東・福島）', meridian: 139 + 5 / 6 },
+  { id: 'jp10', label: '平面直角 X系（東北北部・宮城）', meridian: 140 + 5 / 6 },
+  { id: 'jp11', label: '平面直角 XI系（北海道西部）', meridian: 140.25 },
+  { id: 'jp12', label: '平面直角 XII系（北海道中央）', meridian: 142.25 },
+  { id: 'jp13', label: '平面直角 XIII系（北海道東部）', meridian: 144.25 },
+  { id: 'jp14', label: '平面直角 XIV系（小笠原）', meridian: 142 },
+  { id: 'jp15', label: '平面直角 XV系（沖縄本島）', meridian: 127.5 },
+  { id: 'jp16', label: '平面直角 XVI系（先島諸島）', meridian: 124 },
+  { id: 'jp17', label: '平面直角 XVII系（大東諸島）', meridian: 131 },
+  { id: 'jp18', label: '平面直角 XVIII系（沖ノ鳥島）', meridian: 136 },
+  { id: 'jp19', label: '平面直角 XIX系（南鳥島）', meridian: 154 },
+  { id: 'utm', label: 'UTM（経度から自動）', meridian: null }
+];
@@ -11,8 +11,32 @@ import PointManager from './modules/PointManager.js';
 import UIController from './modules/UIController.js';
 import ProjectStorage from './modules/ProjectStorage.js';
 import CSVExporter from './modules/CSVExporter.js';
+import RouteImporter from './modules/RouteImporter.js';
+import ProjectPackage from './modules/ProjectPackage.js';
 import DXFExporter from './modules/DXFExporter.js';
-import { $ } from './utils/dom.js';
+import SVGExporter from './modules/SVGExporter.js';
+import BOMGenerator from './modules/BOMGenerator.js';
+import BOMExporter from './modules/BOMExporter.js';
+import ReportGenerator from './modules/ReportGenerator.js';
+import MarkerSheet from './modules/MarkerSheet.js';
+import { $, createElement, imageFileToDataUrl } from './utils/dom.js';
+import { diffRoutes, formatDiff } from './utils/diff.js';
+import { formatDistance, hasNextSegment } from './utils/math.js';
+import { planeDistance } from './utils/homography.js';
+import { detectRectangle } from './utils/rectDetect.js';
+import { detectMarkers } from './utils/fiducial.js';
+import { validateHeading, validateLatitude, validateLongitude } from './utils/validation.js';
+import { headingCorrection, isModelValid } from './utils/geomag.js';
+import {
+  PACKAGE_EXTENSION, AUTOSAVE_DELAY_MS, PHOTO_MAX_SIZE, PHOTO_QUALITY, REPORT_VIEW_WIDTH, REPORT_VIEW_HEIGHT,
+  REFERENCE_DETECT_SIZE, MARKER_DETECT_SIZE, MARKER_SIZE, NORTH_REFERENCES, GRID_ZONES
+} from './config.js';
+
+/** Project settings of a new project */
+const DEFAULT_METADATA = {
+  siteName: '', operator: '', pipeType: '',
+  northReference: 'magnetic', latitude: null, longitude: null, surveyDate: '', gridZone: ''
+};
 
 class App {
   constructor() {
@@ -22,10 +46,20 @@ class App {
     this.canvas = new CanvasOverlay($('camera-overlay'), (x, y) => this._onTap(x, y));
     this.storage = new ProjectStorage();
     this.csvExporter = new CSVExporter();
+    this.routeImporter = new RouteImporter();
+    this.projectPackage = new ProjectPackage();
     this.dxfExporter = new DXFExporter();
-
+    this.svgExporter = new SVGExporter();
+    this.bomGenerator = new BOMGenerator();
+    this.bomExporter = new BOMExporter();
+    this.reportGenerator = new ReportGenerator();
+    this.markerSheet = new MarkerSheet();
+
+    this._projectId = null;  // library id of the open project (null = not saved yet)
+    this._dirty = false;     // changed since the last explicit save / load
+    this._autosaveTimer = null;
     this._projectName = '';
-    this._metadata = { siteName: '', operator: '', pipeType: '' };
+    this._metadata = { ...DEFAULT_METADATA };
     this._mode = 'snapshot'; // 'snapshot' or 'ar'
     this._xrManager = null;
     this._arSupported = false;
@@ -44,24 +78,47 @@ class App {
     this._sensorManager = null;
     this._compassUI = null;
     this._lastHeading = 0;       // running heading for manual mode
+    this._capturing = false;     // averaging a tap's sensor readings
 
     // Distance mode: 'manual' (dialog each tap) or 'auto' (pixel calibration)
     this._distanceMode = 'manual';
 
+    // Frozen camera frame (plane calibration), corners being tapped and their rectangle size
+    this._frozenFrame = null;
+    this._planeCorners = null;
+    this._planeSize = null;
+    this._markerBearing = null; // last bearing entered for a marker (prompt default)
+
     // Track which mode was used for recording (for "return to camera" after AR)
     this._returnMode = 'snapshot'; // 'snapshot' or 'ar'
 
-    // Canvas overlay always updates
+    // Canvas overlay always updates (active route only)
     this.pointManager.onChange((points) => {
       this.canvas.setPoints(points);
-      if (this.viewer3D) {
-        try { this.viewer3D.updateRoute(points); }
-        catch (err) { console.error('3D updateRoute error:', err); }
-      }
+      this._updateCameraPointCount();
+      this._updateHistoryButtons();
+      this._scheduleAutosave();
+      try { this._update3D(); }
+      catch (err) { console.error('3D updateRoutes error:', err); }
+    });
+
+    this.uiController.setPhotoHandlers({
+      load: async (id) => (await this.storage.loadPhoto(id)).dataUrl ?? null,
+      take: (file) => this._takePhotoFromFile(file)
     });
 
     this._bindActions();
-    this._selectMode();
+    this._updateHistoryButtons();
+    this._offerRecovery().then(async () => {
+      // Nothing has been recorded yet, so unreferenced photos are leftovers.
+      // Finish before any mode starts taking photos, or a new one could be pruned.
+      await this.storage.prunePhotos();
+      const legacyError = await this.storage.legacyImportError();
+      if (legacyError) {
+        alert(`\u4EE5\u524D\u306E\u30D0\u30FC\u30B8\u30E7\u30F3\u3067\u4FDD\u5B58\u3057\u305F\u30C7\u30FC\u30BF\u3092\u30D7\u30ED\u30B8\u30A7\u30AF\u30C8\u4E00\u89A7\u306B\u53D6\u308A\u8FBC\u3081\u307E\u305B\u3093\u3067\u3057\u305F\u3002\u30C7\u30FC\u30BF\u306F\u7AEF\u672B\u306B\u6B8B\u3057\u3066\u3044\u307E\u3059\n\n${legacyError}`);
+      }
+      this._selectMode();
+    });
     this._init3D();
   }
 
@@ -186,15 +243,23 @@ class App {
         this._lastHeading = heading;
       }
 
+      this._compassUI.bindCaptureWindow((ms) => { this._sensorManager.captureWindow = ms; });
+
       // Start live display
       this._sensorManager.onChange((data) => {
         this._compassUI.update(data.heading, data.elevation, data.level,
-          this._sensorManager._compassAccuracy);
+          this._sensorManager.accuracy, data.quality);
       });
 
       // Show initial reading
       const r = this._sensorManager.captureReading();
-      this._compassUI.update(r.heading, r.elevation, r.level, r.accuracy);
+      this._compassUI.update(r.heading, r.elevation, r.level, r.accuracy, this._sensorManager.headingQuality);
+
+      // Compass in use: offer the figure-eight calibration up front
+      if (this._sensorManager.hasCompass &&
+          confirm('\u65B9\u4F4D\u306E\u7CBE\u5EA6\u3092\u4E0A\u3052\u308B\u305F\u3081\u3001\u30B3\u30F3\u30D1\u30B9\u306E8\u306E\u5B57\u6821\u6B63\u3092\u884C\u3044\u307E\u3059\u304B\uFF1F')) {
+        await this._compassUI.runCalibration(this._sensorManager);
+      }
 
     } catch (err) {
       console.error('Sensor init failed:', err);
@@ -258,9 +323,7 @@ class App {
 
     if (this.viewer3D) {
       this.viewer3D.forceResize();
-      if (this.pointManager.points.length > 0) {
-        this.viewer3D.updateRoute(this.pointManager.points);
-      }
+      this._update3D();
     }
   }
 
@@ -286,10 +349,15 @@ class App {
         return;
       }
 
-      // Normal undo
-      this._xrManager.undoLastAnchor();
-      this.pointManager.undoLastPoint();
-      $('ar-point-count').textContent = `${this.pointManager.getCount()}\u70B9`;
+      // Normal undo (anchors follow the recorded points)
+      this._undo();
+    });
+
+    $('btn-ar-redo').addEventListener('click', () => {
+      if (!this._xrManager) return;
+      this._suppressARSelect();
+      if (this._arCalibrationMode) return;
+      this._redo();
     });
 
     // ② Done: exit to result view
@@ -322,9 +390,8 @@ class App {
         $('btn-ar-calibrate').classList.remove('active');
         $('btn-ar-calibrate').disabled = false;
       }
-      this._xrManager.clearAllAnchors();
-      this.pointManager.clear();
-      $('ar-point-count').textContent = '0\u70B9';
+      this.pointManager.clearPoints();
+      this._syncARAnchors();
       const scaleText = this._arScaleFactor !== 1.0
         ? ` (\u6821\u6B63\u6E08: \u00D7${this._arScaleFactor.toFixed(2)})` : '';
       $('ar-status').textContent = `\u9762\u3092\u30BF\u30C3\u30D7\u3057\u3066\u30A2\u30F3\u30AB\u30FC\u3092\u914D\u7F6E${scaleText}`;
@@ -377,10 +444,23 @@ class App {
       return;
     }
 
-    // Normal recording: add point + auto-set AR distance
+    // Normal recording: add point + auto-set AR distance (one undo step)
+    this.pointManager.beginGroup('\u30DD\u30A4\u30F3\u30C8\u8FFD\u52A0');
+    try {
+      this._recordARPoint(anchorIdx);
+    } finally {
+      this.pointManager.endGroup();
+    }
+    this._syncARAnchors();
+  }
+
+  _recordARPoint(anchorIdx) {
     const addResult = this.pointManager.addPoint(0, 0);
-    if (!addResult.success) return;
-    $('ar-point-count').textContent = `${this.pointManager.getCount()}\u70B9`;
+    if (!addResult.success) {
+      this._xrManager.discardLastAnchor();
+      return;
+    }
+    this._xrManager.tagAnchor(anchorIdx, addResult.point.id);
 
     if (anchorIdx >= 1) {
       const arSegIdx = anchorIdx - 1;
@@ -413,7 +493,7 @@ class App {
   _exitCalibrationMode() {
     // Remove calibration anchors from WebXR (they are at the end of anchor list)
     for (let i = 0; i < this._arCalibrationCount; i++) {
-      this._xrManager.undoLastAnchor();
+      this._xrManager.discardLastAnchor();
     }
     this._arCalibrationMode = false;
     this._arCalibrationCount = 0;
@@ -470,14 +550,20 @@ class App {
     }
   }
 
-  /** Re-read AR distances and apply current scale factor */
+  /** Re-read AR distances of every segment between anchored points and apply current scale factor */
   _rescaleARDistances() {
-    const count = this.pointManager.getCount();
-    for (let i = 0; i < count - 1; i++) {
-      const arDist = this._xrManager.getAnchorDistance(i);
-      if (arDist !== null) {
-        this.pointManager.setSegmentDistance(i, arDist * this._arScaleFactor);
-      }
+    const points = this.pointManager.points;
+    this.pointManager.beginGroup('\u6821\u6B63');
+    try {
+      points.forEach((p, i) => {
+        if (!hasNextSegment(points, i)) return;
+        const arDist = this._xrManager.getPointDistance(p.id, points[i + 1].id);
+        if (arDist !== null) {
+          this.pointManager.setSegmentDistance(i, arDist * this._arScaleFactor);
+        }
+      });
+    } finally {
+      this.pointManager.endGroup();
     }
     // Update distance labels in AR view
     if (this._xrManager) {
@@ -498,6 +584,7 @@ class App {
     try {
       const { default: Viewer3D } = await import('./modules/Viewer3D.js');
       this.viewer3D = new Viewer3D('viewer-container');
+      this.viewer3D.setHeadingOffset(this._northSettings().headingOffset);
       if (statusEl.parentElement) statusEl.remove();
 
       const { default: GLBExporter } = await import('./modules/GLBExporter.js');
@@ -506,10 +593,10 @@ class App {
       this.objExporter = new OBJExporter();
 
       $('btn-export-glb').addEventListener('click', () => {
-        this.glbExporter.export(this.viewer3D.getScene(), this.pointManager.points);
+        this.glbExporter.export(this.viewer3D.getScene(), this.pointManager.routes, this._northSettings());
       });
       $('btn-export-obj').addEventListener('click', () => {
-        this.objExporter.export(this.pointManager.points);
+        this.objExporter.export(this.pointManager.routes, this._northSettings());
       });
       document.querySelectorAll('.btn-view').forEach(btn => {
         if (btn.dataset.view) {
@@ -523,9 +610,7 @@ class App {
         originBtn.addEventListener('click', () => {
           const mode = this.viewer3D.toggleOrigin();
           originBtn.textContent = mode === 'start' ? '\u539F\u70B9:\u59CB\u70B9' : '\u539F\u70B9:\u7D42\u70B9';
-          if (this.pointManager.points.length > 0) {
-            this.viewer3D.updateRoute(this.pointManager.points);
-          }
+          this._update3D();
         });
       }
 
@@ -563,9 +648,7 @@ class App {
         this.viewer3D.setGridSize(parseInt(e.target.value, 10));
       });
 
-      if (this.pointManager.points.length > 0) {
-        this.viewer3D.updateRoute(this.pointManager.points);
-      }
+      this._update3D();
 
       console.log('3D viewer initialized (importmap)');
     } catch (err) {
@@ -575,6 +658,12 @@ class App {
     }
   }
 
+  /** Rebuilds the 3D preview from all routes */
+  _update3D() {
+    if (!this.viewer3D) return;
+    this.viewer3D.updateRoutes(this.pointManager.routes, this.pointManager.activeRoute.id);
+  }
+
   // ─── Camera (Snapshot Mode) ───────────────────────────────
 
   async _startCamera() {
@@ -595,12 +684,42 @@ class App {
   // ─── Tap Handler ─────────────────────────────────────────
 
   async _onTap(screenX, screenY) {
-    // Capture sensor reading at tap time (live video, no freeze)
+    if (this._planeCorners) {
+      this._addPlaneCorner(screenX, screenY);
+      return;
+    }
+
+    // Taps while the previous one is still being averaged are ignored
+    if (this._capturing) return;
+
+    // Photo of the frame at the moment of the tap (the frozen one if frozen)
+    const frame = this._frozenFrame || this.camera.captureFrame(PHOTO_MAX_SIZE, PHOTO_QUALITY);
+    const shot = frame && { dataUrl: frame, takenAt: new Date().toISOString() };
+
+    // Sensor reading averaged over the capture window around the tap (live video, no freeze)
     let tapReading = null;
     if (this._directionMode === 'sensor' && this._sensorManager) {
-      tapReading = this._sensorManager.captureReading();
+      this._capturing = true;
+      this._compassUI.setCapturing(true);
+      try {
+        tapReading = await this._sensorManager.captureAveragedReading();
+      } finally {
+        this._capturing = false;
+        this._compassUI.setCapturing(false);
+      }
+    }
+
+    // Point, distance, direction, memo and photo form one undo step
+    this.pointManager.beginGroup('\u30DD\u30A4\u30F3\u30C8\u8FFD\u52A0');
+    try {
+      await this._recordTap(screenX, screenY, tapReading, shot);
+    } finally {
+      this.pointManager.endGroup();
     }
+    this._updateCameraPointCount();
+  }
 
+  async _recordTap(screenX, screenY, tapReading, shot) {
     const prevCount = this.pointManager.getCount();
     const addResult = this.pointManager.addPoint(screenX, screenY);
     if (!addResult.success) {
@@ -608,9 +727,15 @@ class App {
       return;
     }
 
+    if (shot) {
+      const photo = await this._storePhoto(shot.dataUrl, tapReading, shot.takenAt);
+      if (photo) this.pointManager.setPointPhoto(addResult.point.id, photo);
+    }
+
     if (prevCount >= 1) {
       const segIndex = prevCount - 1;
-      const isFirst = segIndex === 0 && this.pointManager.calibration.pixelsPerMeter === null;
+      const isFirst = segIndex === 0 && !this.pointManager.isCalibrated;
+      const markerReading = this._markerReading(segIndex);
 
       if (this._distanceMode === 'auto' && !isFirst) {
         // Auto mode: estimate distance from pixel positions
@@ -618,11 +743,13 @@ class App {
         if (estimated !== null) {
           this.pointManager.setSegmentDistance(segIndex, estimated);
         }
-        // Set direction from sensor reading
-        this._applyTapDirection(segIndex, tapReading);
+        // Set direction from the marker plane or the sensor reading
+        this._applyTapDirection(segIndex, markerReading || tapReading);
       } else {
         // Manual mode (or first segment needing calibration)
-        const dirOptions = this._buildDirOptions(tapReading);
+        const dirOptions = markerReading
+          ? { mode: 'sensor', reading: markerReading }
+          : this._buildDirOptions(tapReading);
         const result = await this.uiController.promptDistance(segIndex, isFirst, dirOptions);
 
         if (result.distance !== null) {
@@ -634,7 +761,8 @@ class App {
           this.pointManager.setPointDirection(
             segIndex, result.heading, result.elevation || 0,
             result.directionSource || 'manual',
-            this._sensorManager?.level || 5
+            this._sensorManager?.level || 5, result.headingQuality ?? null,
+            { heading: result.headingSpread ?? null, elevation: result.elevationSpread ?? null }
           );
           this._lastHeading = result.heading;
         }
@@ -642,10 +770,11 @@ class App {
         if (result.memo) {
           this.pointManager.updateMemo(addResult.point.id, result.memo);
         }
+        if (result.fitting) {
+          this.pointManager.setPointFitting(addResult.point.id, result.fitting);
+        }
       }
     }
-
-    this._updateCameraPointCount();
   }
 
   /** Applies sensor direction to a segment (auto distance mode) */
@@ -653,7 +782,8 @@ class App {
     if (tapReading && tapReading.heading != null) {
       this.pointManager.setPointDirection(
         segIndex, tapReading.heading, tapReading.elevation || 0,
-        tapReading.source || 'sensor', tapReading.level || 5
+        tapReading.source || 'sensor', tapReading.level || 5, tapReading.quality ?? null,
+        { heading: tapReading.headingSpread ?? null, elevation: tapReading.elevationSpread ?? null }
       );
       this._lastHeading = tapReading.heading;
     } else if (this._directionMode === 'manual') {
@@ -663,6 +793,24 @@ class App {
     }
   }
 
+  /**
+   * Segment direction on a marker-calibrated floor plane, shaped like a sensor reading
+   * @returns {{ heading: number, elevation: number, source: string, level: number }|null}
+   */
+  _markerReading(segIndex) {
+    const heading = this.pointManager.estimateHeading(segIndex);
+    return heading === null ? null : { heading, elevation: 0, source: 'marker', level: 1 };
+  }
+
+  /** Figure-eight compass calibration (sensor status bar button) */
+  async _calibrateCompass() {
+    if (!this._sensorManager?.hasCompass) {
+      alert('\u30B3\u30F3\u30D1\u30B9\u304C\u306A\u3044\u305F\u3081\u6821\u6B63\u3067\u304D\u307E\u305B\u3093');
+      return;
+    }
+    await this._compassUI.runCalibration(this._sensorManager);
+  }
+
   _buildDirOptions(tapReading) {
     if (this._directionMode === 'sensor') {
       const reading = tapReading || this._sensorManager?.captureReading();
@@ -674,9 +822,118 @@ class App {
     return null;
   }
 
+  // ─── Photos ───────────────────────────────────────────────
+
+  /**
+   * Stores an image in the photo store and returns the metadata kept on the point
+   * @param {string} dataUrl - JPEG data URL
+   * @param {Object|null} reading - Sensor reading at capture time
+   * @param {string} [takenAt] - ISO timestamp (now by default)
+   * @returns {Promise<Object|null>} null when the image could not be stored
+   */
+  async _storePhoto(dataUrl, reading, takenAt = new Date().toISOString()) {
+    const saved = await this.storage.savePhoto(dataUrl);
+    if (!saved.success) {
+      alert(saved.error);
+      return null;
+    }
+    return {
+      id: saved.id,
+      takenAt,
+      heading: reading?.heading ?? null,
+      elevation: reading?.elevation ?? null,
+      directionSource: reading?.source ?? null,
+      sensorLevel: reading?.level ?? null
+    };
+  }
+
+  /** Retake from the point edit dialog: a picked or newly shot image file */
+  async _takePhotoFromFile(file) {
+    let dataUrl;
+    try {
+      dataUrl = await imageFileToDataUrl(file, PHOTO_MAX_SIZE, PHOTO_QUALITY);
+    } catch (error) {
+      console.error('Photo read failed:', error);
+      alert('\u753B\u50CF\u3092\u8AAD\u307F\u8FBC\u3081\u307E\u305B\u3093\u3067\u3057\u305F');
+      return null;
+    }
+    const reading = this._directionMode === 'sensor' ? this._sensorManager?.captureReading() : null;
+    return this._storePhoto(dataUrl, reading);
+  }
+
+  /**
+   * Images of the photos attached to points in the routes
+   * @param {Array<Object>} routes
+   * @returns {Promise<Map<string, string>>} Photo id → data URL (missing images are skipped)
+   */
+  async _collectPhotos(routes) {
+    const photos = new Map();
+    for (const p of routes.flatMap(r => r.points)) {
+      if (!p.photo || photos.has(p.photo.id)) continue;
+      const result = await this.storage.loadPhoto(p.photo.id);
+      if (result.dataUrl) photos.set(p.photo.id, result.dataUrl);
+    }
+    return photos;
+  }
+
   _updateCameraPointCount() {
     const el = $('camera-point-count');
-    if (el) el.textContent = `${this.pointManager.getCount()}\u70B9`;
+    if (!el) return;
+    const count = `${this.pointManager.getCount()}\u70B9`;
+    el.textContent = this.pointManager.routes.length > 1
+      ? `${this.pointManager.activeRoute.name}: ${count}` : count;
+  }
+
+  // ─── Undo / Redo ──────────────────────────────────────────
+
+  _undo() {
+    this.pointManager.undo();
+    this._syncARAnchors();
+  }
+
+  _redo() {
+    this.pointManager.redo();
+    this._syncARAnchors();
+  }
+
+  /** Keeps AR anchors in step with the recorded points (matched by point id) */
+  _syncARAnchors() {
+    if (this._mode !== 'ar' || !this._xrManager) return;
+    this._xrManager.syncAnchors(this.pointManager.points.map(p => p.id));
+    $('ar-point-count').textContent = `${this.pointManager.getCount()}\u70B9`;
+  }
+
+  _updateHistoryButtons() {
+    const pm = this.pointManager;
+    const undoTitle = pm.canUndo ? `\u5143\u306B\u623B\u3059: ${pm.undoLabel}` : '\u5143\u306B\u623B\u3059';
+    const redoTitle = pm.canRedo ? `\u3084\u308A\u76F4\u3057: ${pm.redoLabel}` : '\u3084\u308A\u76F4\u3057';
+    for (const id of ['btn-undo', 'btn-ar-undo', 'btn-list-undo']) {
+      $(id).title = undoTitle;
+    }
+    for (const id of ['btn-redo', 'btn-ar-redo', 'btn-list-redo']) {
+      $(id).disabled = !pm.canRedo;
+      $(id).title = redoTitle;
+    }
+    // AR undo also cancels calibration, so it stays enabled there
+    $('btn-undo').disabled = !pm.canUndo;
+    $('btn-list-undo').disabled = !pm.canUndo;
+  }
+
+  /** Ctrl+Z / Cmd+Z undo, Ctrl+Y / Ctrl+Shift+Z redo */
+  _onHistoryKey(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    const isUndo = key === 'z' && !e.shiftKey;
+    const isRedo = key === 'y' || (key === 'z' && e.shiftKey);
+    if (!isUndo && !isRedo) return;
+    // Leave text fields their own undo, and ignore while a dialog is open
+    const tag = e.target.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+    if ([...document.querySelectorAll('.modal-overlay')].some(m => !m.hidden)) return;
+    if (this._arCalibrationMode) return;
+    e.preventDefault();
+    if (isUndo) this._undo();
+    else this._redo();
   }
 
   // ─── Global Button Actions ────────────────────────────────
@@ -692,16 +949,31 @@ class App {
     $('btn-camera-done').addEventListener('click', () => this._exitCameraMode());
     $('btn-return-camera').addEventListener('click', () => this._enterCameraMode());
 
-    $('btn-undo').addEventListener('click', () => this.pointManager.undoLastPoint());
+    $('btn-undo').addEventListener('click', () => this._undo());
+    $('btn-redo').addEventListener('click', () => this._redo());
+    $('btn-list-undo').addEventListener('click', () => this._undo());
+    $('btn-list-redo').addEventListener('click', () => this._redo());
+    document.addEventListener('keydown', (e) => this._onHistoryKey(e));
     $('btn-calibrate').addEventListener('click', () => this._recalibrate());
-
-    // Clear all recorded points (result view)
+    $('btn-plane-calibrate').addEventListener('click', () => this._startPlaneCalibration());
+    $('btn-compass-calibrate').addEventListener('click', () => this._calibrateCompass());
+    $('btn-reference-detect').addEventListener('click', () => this._detectReference());
+    $('btn-marker-detect').addEventListener('click', () => this._detectMarker());
+    $('btn-export-markers').addEventListener('click', () => this.markerSheet.export());
+    $('btn-unfreeze').addEventListener('click', () => this._unfreeze());
+
+    // Clear all recorded points of the active route (result view)
     $('btn-clear-all-points').addEventListener('click', () => {
       if (this.pointManager.getCount() === 0) return;
-      if (!confirm('すべての記録済みポイントを削除しますか？')) return;
-      this.pointManager.clear();
+      const name = this.pointManager.activeRoute.name;
+      if (!confirm(`路線「${name}」のすべての記録済みポイントを削除しますか？`)) return;
+      this.pointManager.clearPoints();
     });
 
+    // Routes
+    $('btn-route-add').addEventListener('click', () => this._addRoute());
+    $('btn-route-edit').addEventListener('click', () => this._editRoute());
+
     // ⑥ Mode reset button: go back to mode selection
     $('btn-mode-reset').addEventListener('click', () => this._resetToModeSelect());
 
@@ -718,6 +990,13 @@ class App {
     $('btn-save').addEventListener('click', () => this._saveProject());
     $('btn-load').addEventListener('click', () => this._loadProject());
     $('btn-new').addEventListener('click', () => this._newProject());
+    $('btn-import').addEventListener('click', () => $('input-import-file').click());
+    $('btn-export-package').addEventListener('click', () => this._exportPackage());
+    $('input-import-file').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) this._importFile(file);
+    });
 
     $('btn-settings').addEventListener('click', () => this._openSettings());
     $('btn-settings-close').addEventListener('click', () => this._closeSettings());
@@ -728,12 +1007,35 @@ class App {
     $('modal-settings').addEventListener('click', (e) => {
       if (e.target.id === 'modal-settings') this._closeSettings();
     });
+    for (const { value, label } of NORTH_REFERENCES) {
+      $('select-north-reference').appendChild(createElement('option', { value }, [label]));
+    }
+    for (const { id, label } of GRID_ZONES) {
+      $('select-grid-zone').appendChild(createElement('option', { value: id }, [label]));
+    }
+    for (const id of ['select-north-reference', 'input-latitude', 'input-longitude', 'input-survey-date', 'select-grid-zone']) {
+      $(id).addEventListener('input', () => this._updateNorthPreview());
+    }
+    $('btn-locate').addEventListener('click', () => this._locate());
 
-    $('btn-export-csv').addEventListener('click', () => {
-      this.csvExporter.export(this.pointManager.points);
-    });
+    $('btn-export-csv').addEventListener('click', () => this._exportCSV());
     $('btn-export-dxf').addEventListener('click', () => {
-      this.dxfExporter.export(this.pointManager.points);
+      this.dxfExporter.export(this.pointManager.routes, {
+        includePoints: $('check-dxf-points').checked,
+        headingOffset: this._northSettings().headingOffset
+      });
+    });
+    $('btn-export-svg').addEventListener('click', () => {
+      this.svgExporter.export(this.pointManager.routes, {
+        projectName: this._projectName, ...this._metadata, ...this._northSettings()
+      });
+    });
+    $('btn-export-bom').addEventListener('click', () => this._exportBOM());
+    $('btn-export-report').addEventListener('click', () => this._exportReport());
+
+    // Write pending changes at once when the app is backgrounded (call, tab switch)
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden && this._autosaveTimer) this._autosave();
     });
   }
 
@@ -746,9 +1048,7 @@ class App {
     // Force 3D viewer resize after becoming visible
     if (this.viewer3D) {
       this.viewer3D.forceResize();
-      if (this.pointManager.points.length > 0) {
-        this.viewer3D.updateRoute(this.pointManager.points);
-      }
+      this._update3D();
     }
   }
 
@@ -766,6 +1066,7 @@ class App {
 
   /** ⑥ Reset to mode selection screen */
   _resetToModeSelect() {
+    this._unfreeze();
     this.camera.stop();
     $('section-camera').hidden = true;
     $('bar-return-camera').hidden = true;
@@ -789,9 +1090,204 @@ class App {
     }
     const result = await this.uiController.promptDistance(0, true);
     if (result.distance !== null) {
-      this.pointManager.calibrate(0, result.distance);
-      this.pointManager.setSegmentDistance(0, result.distance);
+      this.pointManager.beginGroup('\u6821\u6B63');
+      try {
+        this.pointManager.calibrate(0, result.distance);
+        this.pointManager.setSegmentDistance(0, result.distance);
+      } finally {
+        this.pointManager.endGroup();
+      }
+    }
+  }
+
+  // ─── Plane Calibration ────────────────────────────────────
+
+  /**
+   * Freezes the current frame and collects the four corners of a known
+   * rectangle lying on the plane of the pipes. Points are then tapped on
+   * the same frozen frame, so the homography stays valid.
+   */
+  async _startPlaneCalibration() {
+    if (this._planeCorners) return;
+    const frame = this._frameForCalibration();
+    if (!frame) return;
+    await this._freeze(frame);
+    this._beginCornerTaps(null);
+  }
+
+  /**
+   * Looks for a reference object of the chosen size in the frozen frame and,
+   * once the user confirms the outline, calibrates the plane from it.
+   * Falls back to tapping the corners when nothing is found or the outline is wrong.
+   */
+  async _detectReference() {
+    if (this._planeCorners) return;
+    const frame = this._frameForCalibration();
+    if (!frame) return;
+    const size = await this.uiController.promptPlane();
+    if (!size) return;
+    await this._freeze(frame);
+
+    // Detected corners start on a long side
+    const width = Math.max(size.width, size.height);
+    const height = Math.min(size.width, size.height);
+    const pixels = this.canvas.getSnapshotPixels(REFERENCE_DETECT_SIZE);
+    const found = pixels && detectRectangle(pixels.imageData, { aspect: width / height });
+    if (found) {
+      const corners = found.corners.map(c => ({ x: c.x / pixels.scale, y: c.y / pixels.scale }));
+      this.canvas.setCalibrationCorners(corners);
+      await this._nextPaint();
+      const accepted = confirm('\u691C\u51FA\u3057\u305F\u8F2A\u90ED\uFF08\u7DD1\uFF09\u3067\u6821\u6B63\u3057\u307E\u3059\u304B\uFF1F');
+      this.canvas.setCalibrationCorners([]);
+      if (accepted) {
+        this._applyPlaneCalibration(corners, { width, height });
+        return;
+      }
     }
+    const retry = found
+      ? '4\u9685\u3092\u30BF\u30C3\u30D7\u3057\u3066\u6307\u5B9A\u3057\u307E\u3059\u304B\uFF1F'
+      : '\u57FA\u6E96\u7269\u3092\u691C\u51FA\u3067\u304D\u307E\u305B\u3093\u3067\u3057\u305F\u30024\u9685\u3092\u30BF\u30C3\u30D7\u3057\u3066\u6307\u5B9A\u3057\u307E\u3059\u304B\uFF1F';
+    if (confirm(retry)) this._beginCornerTaps(size);
+  }
+
+  /**
+   * Finds a printed fiducial marker in the camera frame. Its known size
+   * calibrates the floor plane, and the bearing of its arrow lets segment
+   * headings come from the image instead of the compass.
+   */
+  async _detectMarker() {
+    if (this._planeCorners || !this._confirmNewFrame()) return;
+    const pixels = this.camera.captureImageData(MARKER_DETECT_SIZE);
+    const frame = this.camera.captureFrame(PHOTO_MAX_SIZE, PHOTO_QUALITY);
+    if (!pixels || !frame) {
+      alert('\u30AB\u30E1\u30E9\u304C\u8D77\u52D5\u3057\u3066\u3044\u307E\u305B\u3093');
+      return;
+    }
+    const [marker] = detectMarkers(pixels.imageData);
+    if (!marker) {
+      alert('\u30DE\u30FC\u30AB\u30FC\u3092\u691C\u51FA\u3067\u304D\u307E\u305B\u3093\u3067\u3057\u305F\u3002\u30DE\u30FC\u30AB\u30FC\u5168\u4F53\u304C\u753B\u9762\u306B\u5165\u308B\u3088\u3046\u306B\u3057\u3066\u304F\u3060\u3055\u3044');
+      return;
+    }
+    const corners = marker.corners.map(c => ({
+      x: c.x * pixels.scale + pixels.offsetX,
+      y: c.y * pixels.scale + pixels.offsetY
+    }));
+    await this._freeze(frame);
+    this.canvas.setCalibrationCorners(corners);
+    await this._nextPaint();
+    const input = prompt(
+      `\u30DE\u30FC\u30AB\u30FC ID ${marker.id} \u3092\u691C\u51FA\u3057\u307E\u3057\u305F\u3002\n` +
+      '\u77E2\u5370\u306E\u5411\u3044\u3066\u3044\u308B\u65B9\u4F4D (\u00B0\u3001\u5317=0\u30FB\u6771=90)\u3002\u7A7A\u6B04\u306A\u3089\u8DDD\u96E2\u306E\u307F\u6821\u6B63\u3057\u307E\u3059',
+      this._markerBearing ?? '0'
+    );
+    this.canvas.setCalibrationCorners([]);
+    if (input === null) {
+      this._unfreeze();
+      return;
+    }
+    let bearing = null;
+    if (input.trim() !== '') {
+      bearing = parseFloat(input);
+      if (!validateHeading(bearing).valid) {
+        alert(validateHeading(bearing).error);
+        this._unfreeze();
+        return;
+      }
+      this._markerBearing = String(bearing);
+    }
+    this._applyPlaneCalibration(corners, { width: MARKER_SIZE, height: MARKER_SIZE }, bearing);
+  }
+
+  /** @returns {string|null} Frame to calibrate on (the frozen one if frozen), null when cancelled */
+  _frameForCalibration() {
+    const frame = this._frozenFrame || this.camera.captureFrame(PHOTO_MAX_SIZE, PHOTO_QUALITY);
+    if (!frame) {
+      alert('\u30AB\u30E1\u30E9\u304C\u8D77\u52D5\u3057\u3066\u3044\u307E\u305B\u3093');
+      return null;
+    }
+    if (!this._frozenFrame && !this._confirmNewFrame()) return null;
+    return frame;
+  }
+
+  /** @returns {boolean} False when the user keeps points tapped on the current view */
+  _confirmNewFrame() {
+    return this.pointManager.getCount() === 0 ||
+      confirm('\u8A18\u9332\u6E08\u307F\u306E\u30DD\u30A4\u30F3\u30C8\u306F\u3053\u306E\u753B\u50CF\u3068\u4F4D\u7F6E\u304C\u5408\u308F\u306A\u3044\u53EF\u80FD\u6027\u304C\u3042\u308A\u307E\u3059\u3002\u7D9A\u884C\u3057\u307E\u3059\u304B\uFF1F');
+  }
+
+  /** Waits until the overlay has been painted (before a blocking dialog) */
+  _nextPaint() {
+    return new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+  }
+
+  /**
+   * Starts collecting four corner taps on the frozen frame
+   * @param {{ width: number, height: number }|null} size - Rectangle size, or null to ask afterwards
+   */
+  _beginCornerTaps(size) {
+    this._planeCorners = [];
+    this._planeSize = size;
+    this.canvas.setCalibrationCorners([]);
+    alert('\u65E2\u77E5\u306E\u9577\u65B9\u5F62\uFF08A4\u7528\u7D19\u30FB\u5E8A\u30BF\u30A4\u30EB\u306A\u3069\uFF09\u306E4\u9685\u3092\u3001\u5468\u306B\u6CBF\u3063\u3066\u9806\u306B\u30BF\u30C3\u30D7\u3057\u3066\u304F\u3060\u3055\u3044');
+  }
+
+  async _addPlaneCorner(x, y) {
+    this._planeCorners.push({ x, y });
+    this.canvas.setCalibrationCorners(this._planeCorners);
+    if (this._planeCorners.length < 4) return;
+
+    const corners = this._planeCorners;
+    const size = this._planeSize || await this.uiController.promptPlane();
+    this._planeCorners = null;
+    this._planeSize = null;
+    this.canvas.setCalibrationCorners([]);
+    if (size) this._applyPlaneCalibration(corners, size);
+  }
+
+  /**
+   * Calibrates the plane and reports the expected accuracy
+   * @param {Array<{ x: number, y: number }>} corners - Screen corners
+   * @param {{ width: number, height: number }} size - Meters
+   * @param {number|null} [bearing] - Bearing of the rectangle's printed "up" (markers)
+   */
+  _applyPlaneCalibration(corners, size, bearing = null) {
+    const result = this.pointManager.calibratePlane(corners, size.width, size.height, bearing);
+    if (!result.success) {
+      alert(result.error);
+      return;
+    }
+    // Expected error on the rectangle's own diagonal, as a feel for the accuracy
+    const check = planeDistance({ corners, ...size }, corners[0], corners[2]);
+    const percent = check ? (check.error / check.distance) * 100 : null;
+    alert(
+      '\u5E73\u9762\u6821\u6B63\u3057\u307E\u3057\u305F\u3002\u3053\u306E\u753B\u50CF\u4E0A\u3067\u540C\u3058\u5E73\u9762\u306B\u3042\u308B\u30DD\u30A4\u30F3\u30C8\u3092\u30BF\u30C3\u30D7\u3057\u3066\u304F\u3060\u3055\u3044\u3002' +
+      (percent !== null
+        ? `\n\u63A8\u5B9A\u8AA4\u5DEE: \u5BFE\u89D2\u7DDA ${formatDistance(check.distance)}m \u3067 \u00B1${formatDistance(check.error)}m (${percent.toFixed(1)}%)`
+        : '')
+    );
+  }
+
+  /**
+   * Shows a still frame instead of the live video
+   * @returns {Promise<void>} Resolves once the frame is drawn
+   */
+  _freeze(frame) {
+    // A new frame id makes plane calibrations from other frames inapplicable
+    if (frame !== this._frozenFrame) this.pointManager.setFrame(Date.now());
+    this._frozenFrame = frame;
+    $('btn-unfreeze').hidden = false;
+    return this.canvas.setSnapshot(frame);
+  }
+
+  /** Back to the live video (abandons corners being tapped) */
+  _unfreeze() {
+    this._frozenFrame = null;
+    this.pointManager.setFrame(null);
+    this._planeCorners = null;
+    this._planeSize = null;
+    this.canvas.setCalibrationCorners([]);
+    this.canvas.setSnapshot(null);
+    $('btn-unfreeze').hidden = true;
   }
 
   _openSettings() {
@@ -799,49 +1295,502 @@ class App {
     $('input-site-name').value = this._metadata.siteName;
     $('input-operator').value = this._metadata.operator;
     $('input-pipe-type').value = this._metadata.pipeType;
+    $('select-north-reference').value = this._metadata.northReference;
+    $('input-latitude').value = this._metadata.latitude ?? '';
+    $('input-longitude').value = this._metadata.longitude ?? '';
+    $('input-survey-date').value = this._metadata.surveyDate;
+    $('select-grid-zone').value = this._metadata.gridZone || GRID_ZONES[0].id;
+    this._updateNorthPreview();
     $('modal-settings').hidden = false;
+    this._renderRevisions();
   }
 
   _closeSettings() { $('modal-settings').hidden = true; }
 
   _saveSettings() {
+    const north = this._readNorthSettings();
+    if (north.northReference !== 'magnetic' && !headingCorrection(north)) {
+      this._updateNorthPreview();
+      return;
+    }
     this._projectName = $('input-project-name').value.trim();
     this._metadata = {
       siteName: $('input-site-name').value.trim(),
       operator: $('input-operator').value.trim(),
-      pipeType: $('input-pipe-type').value.trim()
+      pipeType: $('input-pipe-type').value.trim(),
+      ...north
+    };
+    this.uiController.setProjectPipeType(this._metadata.pipeType);
+    this._applyNorth();
+    this._scheduleAutosave();
+    this._closeSettings();
+  }
+
+  // ─── Reference North ──────────────────────────────────────
+
+  /**
+   * North settings as entered in the settings dialog. A true / grid north
+   * without a survey date is fixed to today, so exports do not drift.
+   * @returns {{ northReference: string, latitude: number|null, longitude: number|null,
+   *             surveyDate: string, gridZone: string }}
+   */
+  _readNorthSettings() {
+    const number = (id) => {
+      const value = $(id).value.trim();
+      return value === '' ? null : Number(value);
+    };
+    const northReference = $('select-north-reference').value;
+    const latitude = number('input-latitude');
+    const longitude = number('input-longitude');
+    let surveyDate = $('input-survey-date').value;
+    if (!surveyDate && northReference !== 'magnetic') {
+      const d = new Date();
+      const pad = (n) => String(n).padStart(2, '0');
+      surveyDate = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    }
+    return {
+      northReference,
+      latitude: latitude !== null && validateLatitude(latitude).valid ? latitude : null,
+      longitude: longitude !== null && validateLongitude(longitude).valid ? longitude : null,
+      surveyDate: northReference !== 'magnetic' ? surveyDate : this._metadata.surveyDate,
+      gridZone: northReference === 'grid' ? $('select-grid-zone').value : this._metadata.gridZone
+    };
+  }
+
+  /** Shows the location fields and the resulting correction in the settings dialog */
+  _updateNorthPreview() {
+    const north = this._readNorthSettings();
+    const preview = $('north-correction');
+    $('north-settings').hidden = north.northReference === 'magnetic';
+    $('row-grid-zone').hidden = north.northReference !== 'grid';
+    if (north.northReference === 'magnetic') return;
+
+    const correction = headingCorrection(north);
+    preview.classList.toggle('has-error', !correction);
+    if (!correction) {
+      preview.textContent = '\u7DEF\u5EA6\u30FB\u7D4C\u5EA6\u3092\u6B63\u3057\u304F\u5165\u529B\u3057\u3066\u304F\u3060\u3055\u3044';
+      return;
+    }
+    const deg = (v) => `${v >= 0 ? '+' : ''}${v.toFixed(1)}\u00B0`;
+    const parts = [`\u78C1\u6C17\u504F\u89D2 ${deg(correction.declination)}`];
+    if (correction.convergence !== null) parts.push(`\u5B50\u5348\u7DDA\u53CE\u5DEE ${deg(correction.convergence)}`);
+    let text = `${parts.join(' / ')} \u2192 \u65B9\u4F4D\u306B ${deg(correction.offset)} \u3092\u52A0\u3048\u3066\u8868\u793A\u30FB\u51FA\u529B\u3057\u307E\u3059`;
+    if (!isModelValid(new Date(`${north.surveyDate}T00:00:00`))) {
+      text += '\uFF08\u6E2C\u91CF\u65E5\u304C\u78C1\u6C17\u30E2\u30C7\u30EB\u306E\u6709\u52B9\u671F\u9593\u5916\u306E\u305F\u3081\u7CBE\u5EA6\u304C\u4E0B\u304C\u308A\u307E\u3059\uFF09';
+    }
+    preview.textContent = text;
+  }
+
+  /** Fills the project location from the device position */
+  _locate() {
+    if (!navigator.geolocation) {
+      alert('\u3053\u306E\u7AEF\u672B\u3067\u306F\u4F4D\u7F6E\u60C5\u5831\u3092\u53D6\u5F97\u3067\u304D\u307E\u305B\u3093');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition((pos) => {
+      $('input-latitude').value = pos.coords.latitude.toFixed(5);
+      $('input-longitude').value = pos.coords.longitude.toFixed(5);
+      this._updateNorthPreview();
+    }, () => {
+      alert('\u4F4D\u7F6E\u60C5\u5831\u3092\u53D6\u5F97\u3067\u304D\u307E\u305B\u3093\u3067\u3057\u305F');
+    }, { enableHighAccuracy: false, timeout: 10000 });
+  }
+
+  /**
+   * Reference north for the 3D view and exports. Stored headings are
+   * magnetic; true / grid north adds the correction for the project location.
+   * @returns {{ northReference: string, headingOffset: number }}
+   */
+  _northSettings() {
+    const correction = headingCorrection(this._metadata);
+    return correction
+      ? { northReference: this._metadata.northReference, headingOffset: correction.offset }
+      : { northReference: 'magnetic', headingOffset: 0 };
+  }
+
+  /** Redraws the 3D view and the point list's bends against the current reference north */
+  _applyNorth() {
+    const { headingOffset } = this._northSettings();
+    this.uiController.setHeadingOffset(headingOffset);
+    if (this.viewer3D) this.viewer3D.setHeadingOffset(headingOffset);
+  }
+
+  // ─── Revision History ─────────────────────────────────────
+
+  /** Lists the saved revisions of the open project in the settings modal */
+  async _renderRevisions() {
+    const list = $('revision-list');
+    $('revision-diff').hidden = true;
+    list.innerHTML = '';
+    const message = (text) => list.appendChild(createElement('li', { className: 'empty-message' }, [text]));
+    if (this._projectId === null) {
+      message('\u4FDD\u5B58\u3059\u308B\u3068\u5C65\u6B74\u304C\u6B8B\u308A\u307E\u3059');
+      return;
+    }
+    const result = await this.storage.listRevisions(this._projectId);
+    if (!result.success) { message(result.error); return; }
+    if (result.revisions.length === 0) {
+      message('\u5C65\u6B74\u304C\u3042\u308A\u307E\u305B\u3093');
+      return;
+    }
+    result.revisions.forEach((rev, i) => {
+      const previous = result.revisions[i + 1] || null;
+      const button = (label, onClick) => {
+        const btn = createElement('button', { type: 'button', className: 'btn-view' }, [label]);
+        btn.addEventListener('click', onClick);
+        return btn;
+      };
+      list.appendChild(createElement('li', { className: 'revision-item' }, [
+        createElement('span', { className: 'revision-item-label' }, [
+          `\u7B2C${rev.revision}\u7248 ${new Date(rev.savedAt).toLocaleString('ja-JP')} ` +
+          `${rev.routeCount}\u8DEF\u7DDA ${rev.pointCount}\u70B9`
+        ]),
+        button('\u524D\u7248\u3068\u306E\u5DEE\u5206', () => this._showRevisionDiff(previous, rev)),
+        button('\u73FE\u5728\u3068\u306E\u5DEE\u5206', () => this._showRevisionDiff(rev, null)),
+        button('\u5FA9\u5143', () => this._restoreRevision(rev))
+      ]));
+    });
+  }
+
+  /**
+   * Shows what changed from one state to another
+   * @param {Object|null} from - Revision summary (null = empty project)
+   * @param {Object|null} to - Revision summary (null = current working state)
+   */
+  async _showRevisionDiff(from, to) {
+    const routesOf = async (rev) => {
+      if (!rev) return [];
+      const result = await this.storage.loadRevision(rev.id);
+      if (!result.success) throw new Error(result.error);
+      return result.data.routes;
     };
+    let lines;
+    try {
+      const before = await routesOf(from);
+      const after = to ? await routesOf(to) : this.pointManager.routes;
+      lines = formatDiff(diffRoutes(before, after));
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    const title = `${from ? `\u7B2C${from.revision}\u7248` : '\u7A7A'} \u2192 ` +
+      `${to ? `\u7B2C${to.revision}\u7248` : '\u73FE\u5728'}`;
+    const output = $('revision-diff');
+    output.textContent = [title, ...(lines.length ? lines : ['\u5909\u66F4\u306F\u3042\u308A\u307E\u305B\u3093'])].join('\n');
+    output.hidden = false;
+  }
+
+  /**
+   * Replaces the working state with a revision. Nothing is overwritten in
+   * the library; saving afterwards records it as a new revision.
+   */
+  async _restoreRevision(rev) {
+    if (!confirm(`\u7B2C${rev.revision}\u7248\u3092\u5FA9\u5143\u3057\u307E\u3059\u304B\uFF1F\u672A\u4FDD\u5B58\u306E\u5909\u66F4\u306F\u5931\u308F\u308C\u307E\u3059`)) return;
+    const result = await this.storage.loadRevision(rev.id);
+    if (!result.success) { alert(result.error); return; }
+    this._openProject(this._projectId, result.data);
+    this._scheduleAutosave();
     this._closeSettings();
+    alert(this._withRepairReport(
+      `\u7B2C${rev.revision}\u7248\u3092\u5FA9\u5143\u3057\u307E\u3057\u305F\u3002\u4FDD\u5B58\u3059\u308B\u3068\u65B0\u3057\u3044\u7248\u306B\u306A\u308A\u307E\u3059`,
+      result.report));
+  }
+
+  // ─── Routes ───────────────────────────────────────────────
+
+  async _addRoute() {
+    const result = await this.uiController.promptRoute(null, {
+      pipeType: this._metadata.pipeType,
+      color: this.pointManager.nextRouteColor
+    });
+    if (!result) return;
+    const added = this.pointManager.addRoute(result.props);
+    if (!added.success) alert(added.error);
+  }
+
+  async _editRoute() {
+    const route = this.pointManager.activeRoute;
+    const result = await this.uiController.promptRoute(route);
+    if (!result) return;
+    if (result.action === 'delete') {
+      if (!confirm(`路線「${route.name}」とそのポイントをすべて削除しますか？`)) return;
+      const removed = this.pointManager.removeRoute(route.id);
+      if (!removed.success) alert(removed.error);
+      return;
+    }
+    const updated = this.pointManager.updateRoute(route.id, result.props);
+    if (!updated.success) alert(updated.error);
+  }
+
+  // ─── File Import ──────────────────────────────────────────
+
+  async _importFile(file) {
+    if (file.name.toLowerCase().endsWith(PACKAGE_EXTENSION)) {
+      await this._importPackage(file);
+      return;
+    }
+    let text;
+    try {
+      text = await file.text();
+    } catch (err) {
+      console.error('Import read failed:', err);
+      alert('\u30D5\u30A1\u30A4\u30EB\u3092\u8AAD\u307F\u8FBC\u3081\u307E\u305B\u3093\u3067\u3057\u305F');
+      return;
+    }
+    const parsed = this.routeImporter.parse(text, file.name);
+    if (!parsed.success) { alert(parsed.error); return; }
+    const route = await this.uiController.promptImport(parsed);
+    if (!route) return;
+    this.pointManager.loadPoints(route.points);
+  }
+
+  // ─── CSV ──────────────────────────────────────────────────
+
+  async _exportCSV() {
+    if (this.pointManager.routes.every(r => r.points.length === 0)) {
+      alert('\u51FA\u529B\u3059\u308B\u30DD\u30A4\u30F3\u30C8\u304C\u3042\u308A\u307E\u305B\u3093');
+      return;
+    }
+    const choice = await this.uiController.promptCSV();
+    if (!choice) return;
+    this.csvExporter.export(this.pointManager.routes, {
+      defaultPipeType: this._metadata.pipeType,
+      columns: choice.columns,
+      metadata: choice.includeMetadata ? { projectName: this._projectName, ...this._metadata } : null,
+      ...this._northSettings()
+    });
+  }
+
+  // ─── Bill of Materials ────────────────────────────────────
+
+  async _exportBOM() {
+    if (this.pointManager.routes.every(r => r.points.length === 0)) {
+      alert('\u51FA\u529B\u3059\u308B\u30DD\u30A4\u30F3\u30C8\u304C\u3042\u308A\u307E\u305B\u3093');
+      return;
+    }
+    const choice = await this.uiController.promptBOM();
+    if (!choice) return;
+    const bom = this.bomGenerator.generate(this.pointManager.routes, {
+      defaultPipeType: this._metadata.pipeType,
+      stockLength: choice.stockLength,
+      headingOffset: this._northSettings().headingOffset
+    });
+    if (choice.format === 'html') {
+      this.bomExporter.exportHTML(bom, { projectName: this._projectName, ...this._metadata });
+    } else {
+      this.bomExporter.exportCSV(bom);
+    }
   }
 
-  _saveProject() {
-    const result = this.storage.save(
-      this._projectName, this._metadata,
-      this.pointManager.points, this.pointManager.calibration
+  async _exportReport() {
+    const routes = this.pointManager.routes;
+    if (routes.every(r => r.points.length === 0)) {
+      alert('\u51FA\u529B\u3059\u308B\u30DD\u30A4\u30F3\u30C8\u304C\u3042\u308A\u307E\u305B\u3093');
+      return;
+    }
+    const choice = await this.uiController.promptReport();
+    if (!choice) return;
+
+    // Library dates of the open project, when it has been saved
+    const saved = this._projectId !== null ? await this.storage.load(this._projectId) : null;
+    const project = {
+      projectName: this._projectName,
+      metadata: this._metadata,
+      routes,
+      createdAt: saved?.data?.createdAt ?? null,
+      updatedAt: saved?.data?.updatedAt ?? null,
+      ...this._northSettings()
+    };
+    const views = choice.includeViews && this.viewer3D ? {
+      top: this.viewer3D.renderSnapshot('top', REPORT_VIEW_WIDTH, REPORT_VIEW_HEIGHT),
+      side: this.viewer3D.renderSnapshot('side', REPORT_VIEW_WIDTH, REPORT_VIEW_HEIGHT)
+    } : {};
+    const photos = choice.includePhotos ? await this._collectPhotos(routes) : new Map();
+
+    if (choice.format === 'html') {
+      this.reportGenerator.exportHTML(project, { views, photos });
+    } else {
+      this.reportGenerator.print(project, { views, photos });
+    }
+  }
+
+  async _saveProject() {
+    const result = await this.storage.save(
+      this._projectId, this._projectName, this._metadata,
+      this.pointManager.routes, this.pointManager.calibration,
+      this.pointManager.activeRoute.id
     );
+    if (result.success) {
+      this._projectId = result.id;
+      this._markSaved();
+    }
     alert(result.success ? '\u4FDD\u5B58\u3057\u307E\u3057\u305F' : result.error);
   }
 
-  _loadProject() {
-    const result = this.storage.load();
+  async _loadProject() {
+    const id = await this.uiController.promptLibrary(this.storage, this._projectId);
+    if (id === null) {
+      await this._syncProjectEntry();
+      return;
+    }
+    const result = await this.storage.load(id);
     if (!result.success) { alert(result.error); return; }
-    const { data } = result;
+    if (this._dirty && !confirm('\u672A\u4FDD\u5B58\u306E\u5909\u66F4\u306F\u5931\u308F\u308C\u307E\u3059\u3002\u9078\u629E\u3057\u305F\u30D7\u30ED\u30B8\u30A7\u30AF\u30C8\u3092\u958B\u304D\u307E\u3059\u304B\uFF1F')) {
+      await this._syncProjectEntry();
+      return;
+    }
+    this._openProject(id, result.data);
+    this._markSaved();
+    alert(this._withRepairReport('\u8AAD\u307F\u8FBC\u307F\u307E\u3057\u305F', result.report));
+  }
+
+  /**
+   * Appends what loading repaired or dropped (schema migration report)
+   * @param {string} message
+   * @param {Array<{ where: string, message: string }>} [report]
+   * @returns {string}
+   */
+  _withRepairReport(message, report = []) {
+    if (report.length === 0) return message;
+    const MAX_LINES = 10;
+    const lines = report.slice(0, MAX_LINES).map(r => `\u30FB${r.where}: ${r.message}`);
+    if (report.length > MAX_LINES) lines.push(`\u307B\u304B${report.length - MAX_LINES}\u4EF6`);
+    return `${message}\n\n\u6B21\u306E\u9805\u76EE\u3092\u4FEE\u5FA9\u30FB\u7834\u68C4\u3057\u307E\u3057\u305F:\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Makes project data the open project
+   * @param {number|null} id - Library id
+   * @param {Object} data - Project record (projectName, metadata, routes, calibration, activeRouteId)
+   */
+  _openProject(id, data) {
+    this._projectId = id;
     this._projectName = data.projectName || '';
-    this._metadata = {
-      siteName: data.metadata?.siteName || '',
-      operator: data.metadata?.operator || '',
-      pipeType: data.metadata?.pipeType || ''
+    this._metadata = { ...DEFAULT_METADATA, ...data.metadata };
+    this.uiController.setProjectPipeType(this._metadata.pipeType);
+    this._applyNorth();
+    this.pointManager.loadRoutes(data.routes, data.calibration, data.activeRouteId);
+  }
+
+  /** The open project as saved data */
+  _projectState() {
+    return {
+      projectId: this._projectId,
+      projectName: this._projectName,
+      metadata: this._metadata,
+      calibration: this.pointManager.calibration,
+      activeRouteId: this.pointManager.activeRoute.id,
+      routes: this.pointManager.routes
     };
-    this.pointManager.loadPoints(data.points, data.calibration);
-    alert('\u8AAD\u307F\u8FBC\u307F\u307E\u3057\u305F');
+  }
+
+  async _exportPackage() {
+    const photos = await this._collectPhotos(this.pointManager.routes);
+    this.projectPackage.export(this._projectState(), {
+      distanceMode: this._distanceMode,
+      directionMode: this._directionMode
+    }, photos);
+  }
+
+  /** Opens a .pipescan package and adds it to the library as a new project */
+  async _importPackage(file) {
+    const result = await this.projectPackage.read(file);
+    if (!result.success) { alert(result.error); return; }
+    if (this._dirty &&
+        !confirm('\u672A\u4FDD\u5B58\u306E\u5909\u66F4\u306F\u5931\u308F\u308C\u307E\u3059\u3002\u53D6\u308A\u8FBC\u3093\u3060\u30D7\u30ED\u30B8\u30A7\u30AF\u30C8\u3092\u958B\u304D\u307E\u3059\u304B\uFF1F')) return;
+    const { project } = result;
+    for (const [id, dataUrl] of result.photos) {
+      const stored = await this.storage.savePhoto(dataUrl, id);
+      if (!stored.success) { alert(stored.error); return; }
+    }
+    const saved = await this.storage.save(
+      null, project.projectName, project.metadata,
+      project.routes, project.calibration, project.activeRouteId
+    );
+    if (!saved.success) { alert(saved.error); return; }
+    this._openProject(saved.id, project);
+    this._markSaved();
+    alert(this._withRepairReport(
+      '\u30D7\u30ED\u30B8\u30A7\u30AF\u30C8\u3092\u53D6\u308A\u8FBC\u307F\u307E\u3057\u305F', result.report));
+  }
+
+  /** Follows a rename or delete of the open project made in the library */
+  async _syncProjectEntry() {
+    if (this._projectId === null) return;
+    const result = await this.storage.load(this._projectId);
+    if (result.success) {
+      this._projectName = result.data.projectName || '';
+    } else {
+      this._projectId = null;
+    }
   }
 
   _newProject() {
     if (!confirm('\u73FE\u5728\u306E\u30C7\u30FC\u30BF\u3092\u7834\u68C4\u3057\u3066\u65B0\u898F\u30D7\u30ED\u30B8\u30A7\u30AF\u30C8\u3092\u4F5C\u6210\u3057\u307E\u3059\u304B\uFF1F')) return;
     this.pointManager.clear();
+    this._projectId = null;
     this._projectName = '';
-    this._metadata = { siteName: '', operator: '', pipeType: '' };
+    this._metadata = { ...DEFAULT_METADATA };
+    this.uiController.setProjectPipeType('');
+    this._applyNorth();
     this._lastHeading = 0;
+    this._markSaved();
+  }
+
+  // ─── Autosave / Recovery ──────────────────────────────────
+
+  /** Autosaves the working state to the recovery slot shortly after the last change */
+  _scheduleAutosave() {
+    this._dirty = true;
+    clearTimeout(this._autosaveTimer);
+    this._autosaveTimer = setTimeout(() => this._autosave(), AUTOSAVE_DELAY_MS);
+  }
+
+  async _autosave() {
+    clearTimeout(this._autosaveTimer);
+    this._autosaveTimer = null;
+    if (!this._dirty) return;
+    await this.storage.saveRecovery(this._projectState());
+  }
+
+  /** The working state matches an explicit save or load: nothing to recover */
+  _markSaved() {
+    clearTimeout(this._autosaveTimer);
+    this._autosaveTimer = null;
+    this._dirty = false;
+    this.storage.clearRecovery();
+  }
+
+  /**
+   * On startup, offers to restore work that was autosaved but never saved.
+   * Restoring does not touch the library; the project stays unsaved.
+   */
+  async _offerRecovery() {
+    const result = await this.storage.loadRecovery();
+    if (!result.success || !result.data) return;
+    const data = result.data;
+    const pointCount = data.routes.reduce((sum, r) => sum + r.points.length, 0);
+    if (pointCount === 0) {
+      this.storage.clearRecovery();
+      return;
+    }
+
+    const summary = [
+      `\u30D7\u30ED\u30B8\u30A7\u30AF\u30C8: ${data.projectName || '\uFF08\u7121\u984C\uFF09'}`,
+      `${data.routes.length}\u8DEF\u7DDA ${pointCount}\u70B9`,
+      `\u6700\u7D42\u66F4\u65B0: ${new Date(data.savedAt).toLocaleString('ja-JP')}`,
+      data.projectId != null
+        ? '\u4FDD\u5B58\u6E08\u307F\u30D7\u30ED\u30B8\u30A7\u30AF\u30C8\u3078\u306E\u672A\u4FDD\u5B58\u306E\u5909\u66F4'
+        : '\u4E00\u5EA6\u3082\u4FDD\u5B58\u3057\u3066\u3044\u306A\u3044\u65B0\u898F\u30D7\u30ED\u30B8\u30A7\u30AF\u30C8'
+    ].join('\n');
+    if (!confirm(`\u524D\u56DE\u306E\u4F5C\u696D\u304C\u4FDD\u5B58\u3055\u308C\u3066\u3044\u307E\u305B\u3093\u3002\u5FA9\u5143\u3057\u307E\u3059\u304B\uFF1F\n\n${summary}`)) {
+      this.storage.clearRecovery();
+      return;
+    }
+    this._openProject(data.projectId ?? null, data);
+    if (result.report.length > 0) {
+      alert(this._withRepairReport('\u5FA9\u5143\u3057\u307E\u3057\u305F', result.report));
+    }
   }
 }
 
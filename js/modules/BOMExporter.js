@@ -0,0 +1,168 @@
+/**
+ * Exports a bill of materials (see BOMGenerator) as CSV or printable HTML
+ * @module modules/BOMExporter
+ */
+
+import { CSV_BOM, EXPORT_FILENAME_PREFIX } from '../config.js';
+import { downloadBlob, fileTimestamp } from '../utils/dom.js';
+import { formatDistance } from '../utils/math.js';
+import { escapeCsv } from '../utils/csv.js';
+
+export default class BOMExporter {
+  /**
+   * Exports the BOM as one CSV file with a section per table
+   * @param {Object} bom - Result of BOMGenerator.generate
+   */
+  exportCSV(bom) {
+    if (!this._hasContent(bom)) return;
+
+    const rows = [];
+    rows.push('[pipe]');
+    rows.push('pipe_type,diameter_mm,length_m,segment_count');
+    for (const p of bom.pipes) {
+      rows.push([escapeCsv(p.pipeType), p.diameter ?? '', formatDistance(p.length), p.segmentCount].join(','));
+    }
+
+    rows.push('', '[fittings]');
+    rows.push('fitting_type,name,nominal_size,detail,pipe_type,diameter_mm,count,derived');
+    for (const f of bom.fittings) {
+      rows.push([
+        f.type, escapeCsv(f.label), f.size ?? '', escapeCsv(f.detail),
+        escapeCsv(f.pipeType), f.diameter ?? '', f.count, f.derived ? 1 : 0
+      ].join(','));
+    }
+
+    rows.push('', '[cut_list]');
+    rows.push('no,route,from_point,to_point,length_m,pipe_type,diameter_mm');
+    for (const c of bom.cutList) {
+      rows.push([
+        c.no, escapeCsv(c.route), c.fromId, c.toId, formatDistance(c.length),
+        escapeCsv(c.pipeType), c.diameter ?? ''
+      ].join(','));
+    }
+
+    if (bom.nesting) {
+      rows.push('', `[nesting] stock_length_m=${bom.nesting.stockLength}`);
+      rows.push('bar,pipe_type,diameter_mm,cuts,used_m,waste_m');
+      let barNo = 0;
+      for (const g of bom.nesting.groups) {
+        for (const bar of g.bars) {
+          const cuts = bar.cuts.map(c => `#${c.no}:${formatDistance(c.length)}`).join(' ');
+          rows.push([
+            ++barNo, escapeCsv(g.pipeType), g.diameter ?? '', cuts,
+            formatDistance(bar.used), formatDistance(bar.waste)
+          ].join(','));
+        }
+      }
+    }
+
+    const content = CSV_BOM + rows.join('\n') + '\n';
+    const blob = new Blob([content], { type: 'text/csv;charset=utf-8' });
+    downloadBlob(blob, `${EXPORT_FILENAME_PREFIX}_bom_${fileTimestamp()}.csv`);
+  }
+
+  /**
+   * Exports the BOM as a self-contained HTML page laid out for printing
+   * @param {Object} bom - Result of BOMGenerator.generate
+   * @param {{ projectName?: string, siteName?: string, operator?: string }} [info]
+   */
+  exportHTML(bom, info = {}) {
+    if (!this._hasContent(bom)) return;
+
+    const html = this._buildHtml(bom, info);
+    const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+    downloadBlob(blob, `${EXPORT_FILENAME_PREFIX}_bom_${fileTimestamp()}.html`);
+  }
+
+  _hasContent(bom) {
+    if (bom.pipes.length === 0 && bom.fittings.length === 0) {
+      alert('出力する部材がありません');
+      return false;
+    }
+    return true;
+  }
+
+  _buildHtml(bom, info) {
+    const e = (v) => this._escapeHtml(v);
+    const dia = (d) => (d != null ? `${d}` : '-');
+    const table = (headers, rows) =>
+      `<table><thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>` +
+      `<tbody>${rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+
+    const sections = [];
+    sections.push('<h2>直管</h2>' + table(
+      ['配管種別', '外径 (mm)', '長さ (m)', '区間数'],
+      bom.pipes.map(p => [e(p.pipeType || '-'), dia(p.diameter), formatDistance(p.length), p.segmentCount])
+    ));
+    sections.push('<h2>継手</h2>' + table(
+      ['名称', '呼び径', '仕様', '配管種別', '外径 (mm)', '数量'],
+      bom.fittings.map(f => [
+        e(f.label) + (f.derived ? ' <small>(形状から推定)</small>' : ''),
+        f.size != null ? `${f.size}A` : '-', e(f.detail || '-'), e(f.pipeType || '-'), dia(f.diameter), f.count
+      ])
+    ));
+    sections.push('<h2>切断リスト</h2>' + table(
+      ['No.', '路線', '区間', '長さ (m)', '配管種別', '外径 (mm)'],
+      bom.cutList.map(c => [
+        c.no, e(c.route), `${c.fromId} → ${c.toId}`, formatDistance(c.length), e(c.pipeType || '-'), dia(c.diameter)
+      ])
+    ));
+    if (bom.nesting) {
+      const rows = [];
+      let barNo = 0;
+      for (const g of bom.nesting.groups) {
+        for (const bar of g.bars) {
+          rows.push([
+            ++barNo, e(g.pipeType || '-'), dia(g.diameter),
+            bar.cuts.map(c => `#${c.no} ${formatDistance(c.length)}`).join(', '),
+            formatDistance(bar.waste)
+          ]);
+        }
+      }
+      sections.push(`<h2>定尺割付 (${bom.nesting.stockLength}m × ${bom.nesting.barCount}本)</h2>` + table(
+        ['定尺', '配管種別', '外径 (mm)', '切断 (No. 長さm)', '端材 (m)'], rows
+      ) + `<p>端材合計: ${formatDistance(bom.nesting.totalWaste)}m</p>`);
+    }
+    if (bom.unknownSegments > 0) {
+      sections.push(`<p class="note">距離未入力の区間が${bom.unknownSegments}件あり、集計に含まれていません。</p>`);
+    }
+
+    const meta = [
+      info.projectName && `プロジェクト: ${e(info.projectName)}`,
+      info.siteName && `現場: ${e(info.siteName)}`,
+      info.operator && `作成者: ${e(info.operator)}`,
+      `作成日: ${new Date().toLocaleDateString('ja-JP')}`
+    ].filter(Boolean).join(' / ');
+
+    return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8">
+<title>部材表</title>
+<style>
+  body { font-family: sans-serif; font-size: 12px; margin: 16px; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  h2 { font-size: 14px; margin: 16px 0 4px; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #999; padding: 3px 6px; text-align: left; }
+  th { background: #eee; }
+  .note { color: #c00; }
+  @media print { body { margin: 0; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>部材表</h1>
+<p>${meta}</p>
+<p>長さは芯々寸法です（継手の差し込み代は含みません）。</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+  }
+
+  _escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, (c) => (
+      { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Builds a bill of materials from route data: straight pipe per pipe type
+ * and diameter, fittings (tagged points plus bends/tees derived from the
+ * geometry), a cut list of segment lengths and optional stock nesting.
+ * Lengths are centre-to-centre; no fitting take-off is subtracted.
+ * @module modules/BOMGenerator
+ */
+
+import { FITTING_TYPES, VALVE_TYPES } from '../config.js';
+import { hasNextSegment, routeBends } from '../utils/math.js';
+
+export default class BOMGenerator {
+  /**
+   * @param {Array<{ name: string, pipeType: string, diameter: number|null,
+   *                 points: Array<Object> }>} routes
+   * @param {{ defaultPipeType?: string, stockLength?: number|null, headingOffset?: number }} [options]
+   *   defaultPipeType: used for routes without a pipe type;
+   *   stockLength: stock bar length (m) for nesting, null = no nesting;
+   *   headingOffset: degrees from stored headings to the reference north (see utils/geomag)
+   * @returns {{ pipes: Array<Object>, fittings: Array<Object>, cutList: Array<Object>,
+   *             nesting: Object|null, unknownSegments: number }}
+   */
+  generate(routes, { defaultPipeType = '', stockLength = null, headingOffset = 0 } = {}) {
+    const pipes = new Map();    // pipe key → { pipeType, diameter, length, segmentCount }
+    const fittings = new Map(); // fitting key → { ..., count }
+    const cutList = [];
+    let unknownSegments = 0;
+
+    for (const route of routes) {
+      const points = route.points;
+      const pipeType = route.pipeType || defaultPipeType;
+      const diameter = route.diameter ?? null;
+      const bends = routeBends(points, headingOffset);
+      const branchCount = new Map(); // tee point id → branches
+      for (const p of points) {
+        if (p.parentId != null) branchCount.set(p.parentId, (branchCount.get(p.parentId) || 0) + 1);
+      }
+
+      points.forEach((p, i) => {
+        // Straight pipe and cut list
+        if (hasNextSegment(points, i)) {
+          if (p.distanceToNext === null) {
+            unknownSegments++;
+          } else {
+            const key = `${pipeType}\u0000${diameter}`;
+            if (!pipes.has(key)) pipes.set(key, { pipeType, diameter, length: 0, segmentCount: 0 });
+            const pipe = pipes.get(key);
+            pipe.length += p.distanceToNext;
+            pipe.segmentCount++;
+            cutList.push({
+              no: cutList.length + 1, route: route.name, fromId: p.id, toId: points[i + 1].id,
+              length: p.distanceToNext, pipeType, diameter
+            });
+          }
+        }
+
+        // Fittings: a tag wins over what the geometry suggests
+        const add = (entry, count = 1) => this._addFitting(fittings, { ...entry, pipeType, diameter }, count);
+        if (p.fitting) {
+          add(this._taggedFitting(p.fitting));
+        } else if (branchCount.has(p.id)) {
+          add({ type: 'tee', label: FITTING_TYPES.tee.label, size: null, detail: '', derived: true },
+            branchCount.get(p.id));
+        } else if (bends[i]) {
+          // Standard bends are ordered as that fitting; others by measured angle
+          const angle = bends[i].standard ?? Math.round(bends[i].angle);
+          const detail = bends[i].standard !== null ? `${angle}°` : `${angle}° (規格外)`;
+          add({ type: 'elbow', label: `エルボ${angle}°`, size: null, detail, derived: true });
+        }
+      });
+    }
+
+    return {
+      pipes: [...pipes.values()],
+      fittings: [...fittings.values()],
+      cutList,
+      nesting: stockLength ? this._nest(cutList, stockLength) : null,
+      unknownSegments
+    };
+  }
+
+  /** BOM entry for a point tagged as a fitting */
+  _taggedFitting(fitting) {
+    let detail = '';
+    if (fitting.angle != null) detail = `${fitting.angle}°`;
+    if (fitting.outletSize != null) detail = `×${fitting.outletSize}A`;
+    if (fitting.valveType) detail = VALVE_TYPES[fitting.valveType];
+    return {
+      type: fitting.type, label: FITTING_TYPES[fitting.type].label,
+      size: fitting.size, detail, derived: false
+    };
+  }
+
+  _addFitting(fittings, entry, count) {
+    const key = [entry.type, entry.size, entry.detail, entry.pipeType, entry.diameter, entry.derived].join('\u0000');
+    if (!fittings.has(key)) fittings.set(key, { ...entry, count: 0 });
+    fittings.get(key).count += count;
+  }
+
+  /**
+   * Nests cut lengths into stock bars (first-fit decreasing), separately
+   * for each pipe type and diameter. A cut longer than a bar uses whole
+   * bars plus a remainder piece.
+   * @param {Array<{ no: number, length: number, pipeType: string, diameter: number|null }>} cutList
+   * @param {number} stockLength - Bar length (m)
+   * @returns {{ stockLength: number, groups: Array<Object>, barCount: number, totalWaste: number }}
+   */
+  _nest(cutList, stockLength) {
+    const byPipe = new Map();
+    for (const cut of cutList) {
+      const key = `${cut.pipeType}\u0000${cut.diameter}`;
+      if (!byPipe.has(key)) byPipe.set(key, { pipeType: cut.pipeType, diameter: cut.diameter, pieces: [] });
+      const pieces = byPipe.get(key).pieces;
+      let rest = cut.length;
+      while (rest > stockLength) {
+        pieces.push({ no: cut.no, length: stockLength });
+        rest -= stockLength;
+      }
+      if (rest > 0) pieces.push({ no: cut.no, length: rest });
+    }
+
+    const groups = [];
+    for (const { pipeType, diameter, pieces } of byPipe.values()) {
+      const bars = [];
+      pieces.sort((a, b) => b.length - a.length);
+      for (const piece of pieces) {
+        let bar = bars.find(b => b.used + piece.length <= stockLength + 1e-9);
+        if (!bar) {
+          bar = { cuts: [], used: 0 };
+          bars.push(bar);
+        }
+        bar.cuts.push(piece);
+        bar.used += piece.length;
+      }
+      for (const bar of bars) bar.waste = stockLength - bar.used;
+      groups.push({ pipeType, diameter, bars });
+    }
+
+    const allBars = groups.flatMap(g => g.bars);
+    return {
+      stockLength,
+      groups,
+      barCount: allBars.length,
+      totalWaste: allBars.reduce((sum, b) => sum + b.waste, 0)
+    };
+  }
+}
@@ -3,40 +3,171 @@
  * @module modules/CSVExporter
  */
 
-import { CSV_BOM, EXPORT_FILENAME_PREFIX, DISTANCE_PRECISION } from '../config.js';
+import { CSV_BOM, CSV_COLUMNS, EXPORT_FILENAME_PREFIX, DISTANCE_PRECISION, APP_VERSION } from '../config.js';
 import { downloadBlob, fileTimestamp } from '../utils/dom.js';
+import {
+  routeBends, segmentGradients, slopeLimitsFor, checkSlope, knownPositions, cumulativeDistances
+} from '../utils/math.js';
+import { correctHeading, sourceOffset } from '../utils/geomag.js';
+import { escapeCsv } from '../utils/csv.js';
+
+/** Keys of the standard column set */
+const BASIC_COLUMNS = CSV_COLUMNS.filter(c => c.basic).map(c => c.key);
 
 export default class CSVExporter {
   /**
-   * Exports points array to a CSV file and triggers download
-   * @param {Array<{ id: number, screenX: number, screenY: number, distanceToNext: number|null, memo: string }>} points
+   * Exports all routes' points to a CSV file and triggers download.
+   * Each row is tagged with its route name; branch start rows carry the
+   * tee point ID in parent_id. Fitting points fill the fitting_* columns;
+   * bend_angle / bend_class give the deflection at each interior point.
+   * Slope columns describe the segment starting at the row's point.
+   * Coordinates (x east, y north, z up) and cumulative distance are empty
+   * where an unknown distance lies upstream. Coordinates and headings are
+   * against the project's reference north; the header block records the
+   * correction so RouteImporter can undo it. Without project metadata the
+   * block still holds the north rows whenever a correction was applied.
+   * @param {Array<{ name: string, origin: Object, points: Array<{ id: number, distanceToNext: number|null,
+   *                 memo: string, parentId: number|null, fitting: Object|null }> }>} routes
+   * @param {{ defaultPipeType?: string, columns?: string[],
+   *           metadata?: { projectName: string, siteName: string, operator: string, pipeType: string }|null,
+   *           northReference?: string, headingOffset?: number }} [options]
+   *   defaultPipeType: project pipe type (slope limits for routes without one);
+   *   columns: CSV_COLUMNS keys to write, in any order (default: the standard set);
+   *     direction_source is added to corrected headings;
+   *   metadata: written as a key/value block above the table when given;
+   *   headingOffset: degrees from stored headings to northReference (see utils/geomag)
    */
-  export(points) {
-    if (points.length === 0) {
+  export(routes, {
+    defaultPipeType = '', columns = BASIC_COLUMNS, metadata = null,
+    northReference = 'magnetic', headingOffset = 0
+  } = {}) {
+    if (routes.every(r => r.points.length === 0)) {
       alert('出力するポイントがありません');
       return;
     }
 
-    const header = 'point_id,distance_to_next,memo';
-    const rows = points.map(p => {
-      const dist = p.distanceToNext !== null
-        ? p.distanceToNext.toFixed(DISTANCE_PRECISION)
-        : '';
-      return `${p.id},${dist},${this._escapeCsv(p.memo)}`;
-    });
+    // RouteImporter undoes a correction on compass-based headings only, so it needs their source
+    const wanted = headingOffset !== 0 && columns.includes('heading_deg')
+      ? [...columns, 'direction_source'] : columns;
+    const keys = CSV_COLUMNS.map(c => c.key).filter(key => wanted.includes(key));
+    const rows = [];
+    if (metadata) {
+      rows.push(...this._metadataRows(metadata, northReference, headingOffset), '');
+    } else if (headingOffset !== 0) {
+      rows.push(...keyValueRows(this._northFields(northReference, headingOffset)), '');
+    }
+    rows.push(keys.join(','));
+    for (const route of routes) {
+      const ctx = {
+        bends: routeBends(route.points, headingOffset),
+        gradients: segmentGradients(route.points, route.origin),
+        limits: slopeLimitsFor(route, defaultPipeType),
+        positions: knownPositions(route.points, route.origin, headingOffset),
+        cumulative: cumulativeDistances(route.points),
+        headingOffset
+      };
+      route.points.forEach((p, i) => {
+        const values = this._rowValues(route, p, i, ctx);
+        rows.push(keys.map(key => values[key]).join(','));
+      });
+    }
 
-    const content = CSV_BOM + header + '\n' + rows.join('\n') + '\n';
+    const content = CSV_BOM + rows.join('\n') + '\n';
     const blob = new Blob([content], { type: 'text/csv;charset=utf-8' });
     const filename = `${EXPORT_FILENAME_PREFIX}_${fileTimestamp()}.csv`;
 
     downloadBlob(blob, filename);
   }
 
-  _escapeCsv(value) {
-    if (!value) return '';
-    if (value.includes(',') || value.includes('"') || value.includes('\n')) {
-      return `"${value.replace(/"/g, '""')}"`;
-    }
-    return value;
+  /** Header block: one key,value row per project field */
+  _metadataRows(metadata, northReference, headingOffset) {
+    return keyValueRows([
+      ['project_name', metadata.projectName],
+      ['site_name', metadata.siteName],
+      ['operator', metadata.operator],
+      ['pipe_type', metadata.pipeType],
+      ...this._northFields(northReference, headingOffset),
+      ['exported_at', new Date().toISOString()],
+      ['app_version', APP_VERSION]
+    ]);
+  }
+
+  /** north_reference and heading_correction_deg (RouteImporter undoes the correction) */
+  _northFields(northReference, headingOffset) {
+    return [
+      ['north_reference', northReference],
+      ['heading_correction_deg', headingOffset.toFixed(2)]
+    ];
+  }
+
+  /**
+   * Formatted value of every column for one point
+   * @returns {Object<string, string|number>} Column key → cell text
+   */
+  _rowValues(route, p, i, ctx) {
+    const num = (v, digits) => (v != null ? v.toFixed(digits) : '');
+    const pos = ctx.positions[i];
+    return {
+      route: escapeCsv(route.name),
+      point_id: p.id,
+      distance_to_next: num(p.distanceToNext, DISTANCE_PRECISION),
+      memo: escapeCsv(p.memo),
+      parent_id: p.parentId ?? '',
+      ...this._fittingColumns(p.fitting),
+      ...this._bendColumns(ctx.bends[i]),
+      ...this._slopeColumns(ctx.gradients[i], ctx.limits),
+      cumulative_m: num(ctx.cumulative[i], DISTANCE_PRECISION),
+      x_east_m: num(pos?.x, 3),
+      y_north_m: num(pos?.z, 3),
+      z_up_m: num(pos?.y, 3),
+      heading_deg: num(p.heading != null
+        ? correctHeading(p.heading, sourceOffset(p.directionSource, ctx.headingOffset)) : null, 1),
+      elevation_deg: num(p.elevation, 1),
+      heading_spread_deg: num(p.headingSpread, 1),
+      elevation_spread_deg: num(p.elevationSpread, 1),
+      direction_source: p.directionSource ?? '',
+      sensor_level: p.sensorLevel ?? '',
+      created_at: p.createdAt ?? ''
+    };
+  }
+
+  /** fitting_type .. valve_type columns (empty for plain points) */
+  _fittingColumns(fitting) {
+    const f = fitting || {};
+    return {
+      fitting_type: f.type ?? '',
+      nominal_size: f.size ?? '',
+      fitting_angle: f.angle ?? '',
+      outlet_size: f.outletSize ?? '',
+      valve_type: f.valveType ?? ''
+    };
+  }
+
+  /** bend_angle, bend_class (standard angle or "non-standard"; empty when straight) */
+  _bendColumns(bend) {
+    return {
+      bend_angle: bend ? bend.angle.toFixed(1) : '',
+      bend_class: bend ? (bend.standard ?? 'non-standard') : ''
+    };
   }
+
+  /** rise_m .. slope_check (empty for points without a next segment) */
+  _slopeColumns(gradient, limits) {
+    const g = gradient || {};
+    const num = (v, digits) => (v != null ? v.toFixed(digits) : '');
+    return {
+      rise_m: num(g.rise, 3),
+      run_m: num(g.run, 3),
+      slope_percent: num(g.percent, 2),
+      slope_1_in_n: g.oneInN != null ? Math.round(g.oneInN) : '',
+      height_start_m: num(g.startHeight, 3),
+      height_end_m: num(g.endHeight, 3),
+      slope_check: gradient ? (checkSlope(gradient, limits) ?? '') : ''
+    };
+  }
+}
+
+/** @returns {string[]} One key,value CSV row per pair */
+function keyValueRows(pairs) {
+  return pairs.map(([key, value]) => `${key},${escapeCsv(value)}`);
 }
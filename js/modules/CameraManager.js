@@ -80,16 +80,36 @@ export default class CameraManager {
 
   /**
    * Captures the current video frame as a data URL
+   * @param {number} [maxSize=Infinity] - Longest side in pixels; larger frames are scaled down
+   * @param {number} [quality=0.85] - JPEG quality
    * @returns {string|null} Data URL of the captured frame, or null if not started
    */
-  captureFrame() {
+  captureFrame(maxSize = Infinity, quality = 0.85) {
     if (!this._started) return null;
-    const canvas = document.createElement('canvas');
-    canvas.width = this._video.videoWidth || this._video.clientWidth;
-    canvas.height = this._video.videoHeight || this._video.clientHeight;
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(this._video, 0, 0, canvas.width, canvas.height);
-    return canvas.toDataURL('image/jpeg', 0.85);
+    return this._drawFrame(maxSize).toDataURL('image/jpeg', quality);
+  }
+
+  /**
+   * Captures the current video frame as pixels for image analysis, with the
+   * mapping to the displayed video (object-fit: cover), i.e. to overlay
+   * coordinates: screen = pixel × scale + offset
+   * @param {number} maxSize - Longest side in pixels
+   * @returns {{ imageData: ImageData, scale: number, offsetX: number, offsetY: number }|null}
+   *   null if not started
+   */
+  captureImageData(maxSize) {
+    if (!this._started) return null;
+    const canvas = this._drawFrame(maxSize);
+    const video = this._video;
+    const width = video.videoWidth || video.clientWidth;
+    const height = video.videoHeight || video.clientHeight;
+    const cover = Math.max(video.clientWidth / width, video.clientHeight / height);
+    return {
+      imageData: canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height),
+      scale: cover * width / canvas.width,
+      offsetX: (video.clientWidth - width * cover) / 2,
+      offsetY: (video.clientHeight - height * cover) / 2
+    };
   }
 
   /** @returns {HTMLVideoElement} */
@@ -97,6 +117,19 @@ export default class CameraManager {
     return this._video;
   }
 
+  /** @returns {HTMLCanvasElement} The current frame, scaled down to maxSize */
+  _drawFrame(maxSize) {
+    const width = this._video.videoWidth || this._video.clientWidth;
+    const height = this._video.videoHeight || this._video.clientHeight;
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(this._video, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
   /**
    * Maps getUserMedia errors to user-friendly Japanese messages
    * @param {Error} err
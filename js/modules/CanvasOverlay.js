@@ -5,9 +5,10 @@
 
 import {
   MARKER_RADIUS, MARKER_COLOR, MARKER_STROKE, MARKER_STROKE_WIDTH,
-  ROUTE_COLOR, ROUTE_LINE_WIDTH,
+  ROUTE_COLOR, ROUTE_LINE_WIDTH, PLANE_CORNER_COLOR,
   DISTANCE_FONT, DISTANCE_LABEL_COLOR, DISTANCE_LABEL_BG, DISTANCE_LABEL_PADDING
 } from '../config.js';
+import { hasNextSegment } from '../utils/math.js';
 
 export default class CanvasOverlay {
   /**
@@ -21,6 +22,7 @@ export default class CanvasOverlay {
     this._points = [];
     this._dpr = window.devicePixelRatio || 1;
     this._snapshotImg = null; // Image element for frozen background
+    this._corners = []; // Plane calibration corners being tapped
 
     this._bindEvents();
   }
@@ -49,19 +51,52 @@ export default class CanvasOverlay {
   /**
    * Sets a snapshot image as frozen background
    * @param {string|null} dataUrl - Data URL from CameraManager.captureFrame(), or null to clear
+   * @returns {Promise<void>} Resolves once the image is shown
    */
   setSnapshot(dataUrl) {
     if (!dataUrl) {
       this._snapshotImg = null;
       this.redraw();
-      return;
+      return Promise.resolve();
     }
-    const img = new Image();
-    img.onload = () => {
-      this._snapshotImg = img;
-      this.redraw();
-    };
-    img.src = dataUrl;
+    return new Promise((resolve) => {
+      const img = new Image();
+      img.onload = () => {
+        this._snapshotImg = img;
+        this.redraw();
+        resolve();
+      };
+      img.onerror = () => resolve();
+      img.src = dataUrl;
+    });
+  }
+
+  /**
+   * The visible part of the snapshot as pixels, for image analysis
+   * @param {number} maxSize - Longest side of the returned image (px)
+   * @returns {{ imageData: ImageData, scale: number }|null} scale: image pixels per CSS pixel;
+   *   null without a snapshot
+   */
+  getSnapshotPixels(maxSize) {
+    if (!this._snapshotImg) return null;
+    const rect = this._canvas.getBoundingClientRect();
+    const scale = Math.min(1, maxSize / Math.max(rect.width, rect.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(rect.width * scale));
+    canvas.height = Math.max(1, Math.round(rect.height * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    this._drawSnapshot(ctx, rect);
+    return { imageData: ctx.getImageData(0, 0, canvas.width, canvas.height), scale };
+  }
+
+  /**
+   * Sets the plane calibration corners to outline (empty to clear)
+   * @param {Array<{ x: number, y: number }>} corners
+   */
+  setCalibrationCorners(corners) {
+    this._corners = corners.slice();
+    this.redraw();
   }
 
   /** Clears and redraws all markers, lines, and labels */
@@ -71,9 +106,9 @@ export default class CanvasOverlay {
     ctx.clearRect(0, 0, rect.width, rect.height);
 
     // Draw snapshot background if present
-    if (this._snapshotImg) {
-      ctx.drawImage(this._snapshotImg, 0, 0, rect.width, rect.height);
-    }
+    if (this._snapshotImg) this._drawSnapshot(ctx, rect);
+
+    this._drawCorners(ctx);
 
     if (this._points.length === 0) return;
 
@@ -87,7 +122,16 @@ export default class CanvasOverlay {
     this._drawMarkers(ctx);
   }
 
-  /** Draws red lines connecting consecutive points */
+  /** Draws the snapshot cropped like the video (object-fit: cover) */
+  _drawSnapshot(ctx, rect) {
+    const img = this._snapshotImg;
+    const scale = Math.max(rect.width / img.naturalWidth, rect.height / img.naturalHeight);
+    const w = img.naturalWidth * scale;
+    const h = img.naturalHeight * scale;
+    ctx.drawImage(img, (rect.width - w) / 2, (rect.height - h) / 2, w, h);
+  }
+
+  /** Draws red lines connecting consecutive points (one path per branch) */
   _drawLines(ctx) {
     if (this._points.length < 2) return;
 
@@ -97,13 +141,13 @@ export default class CanvasOverlay {
     ctx.lineJoin = 'round';
     ctx.lineCap = 'round';
 
-    const first = this._points[0];
-    ctx.moveTo(first.screenX, first.screenY);
-
-    for (let i = 1; i < this._points.length; i++) {
-      const p = this._points[i];
-      ctx.lineTo(p.screenX, p.screenY);
-    }
+    this._points.forEach((p, i) => {
+      if (i > 0 && hasNextSegment(this._points, i - 1)) {
+        ctx.lineTo(p.screenX, p.screenY);
+      } else {
+        ctx.moveTo(p.screenX, p.screenY);
+      }
+    });
 
     ctx.stroke();
   }
@@ -111,6 +155,18 @@ export default class CanvasOverlay {
   /** Draws yellow circle markers at each point */
   _drawMarkers(ctx) {
     this._points.forEach((p, i) => {
+      // Branch start: ring around the tee point instead of a new marker
+      if (p.parentId != null) {
+        ctx.beginPath();
+        ctx.arc(p.screenX, p.screenY, MARKER_RADIUS + 4, 0, Math.PI * 2);
+        ctx.strokeStyle = MARKER_COLOR;
+        ctx.lineWidth = MARKER_STROKE_WIDTH;
+        ctx.setLineDash([4, 3]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        return;
+      }
+
       // Outer stroke
       ctx.beginPath();
       ctx.arc(p.screenX, p.screenY, MARKER_RADIUS, 0, Math.PI * 2);
@@ -129,9 +185,38 @@ export default class CanvasOverlay {
     });
   }
 
+  /** Draws the plane calibration corners and the outline tapped so far */
+  _drawCorners(ctx) {
+    if (this._corners.length === 0) return;
+
+    ctx.beginPath();
+    this._corners.forEach((c, i) => (i === 0 ? ctx.moveTo(c.x, c.y) : ctx.lineTo(c.x, c.y)));
+    if (this._corners.length === 4) ctx.closePath();
+    ctx.strokeStyle = PLANE_CORNER_COLOR;
+    ctx.lineWidth = ROUTE_LINE_WIDTH;
+    ctx.setLineDash([6, 4]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    this._corners.forEach((c, i) => {
+      ctx.beginPath();
+      ctx.arc(c.x, c.y, MARKER_RADIUS / 2, 0, Math.PI * 2);
+      ctx.strokeStyle = PLANE_CORNER_COLOR;
+      ctx.lineWidth = MARKER_STROKE_WIDTH;
+      ctx.stroke();
+
+      ctx.fillStyle = PLANE_CORNER_COLOR;
+      ctx.font = 'bold 12px sans-serif';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(String.fromCharCode(65 + i), c.x + MARKER_RADIUS / 2, c.y - MARKER_RADIUS / 2);
+    });
+  }
+
   /** Draws distance labels at midpoint of each segment */
   _drawDistanceLabels(ctx) {
     for (let i = 0; i < this._points.length - 1; i++) {
+      if (!hasNextSegment(this._points, i)) continue;
       const p1 = this._points[i];
       const p2 = this._points[i + 1];
       const dist = p1.distanceToNext;
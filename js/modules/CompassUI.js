@@ -1,9 +1,13 @@
 /**
- * Compass / sensor status display and initial-heading dialog.
+ * Compass / sensor status display, capture-window choice, figure-eight
+ * calibration guide and initial-heading dialog.
  * @module modules/CompassUI
  */
 
 import { $ } from '../utils/dom.js';
+import {
+  HEADING_QUALITY_REASONS, CAPTURE_WINDOWS_MS, CAPTURE_WINDOW_DEFAULT_MS, CAPTURE_WINDOW_STORAGE_KEY
+} from '../config.js';
 
 const ARROWS = ['\u2191','\u2197','\u2192','\u2198','\u2193','\u2199','\u2190','\u2196'];
 // ↑ ↗ → ↘ ↓ ↙ ← ↖
@@ -15,10 +19,14 @@ export default class CompassUI {
     this._elevEl    = $('sensor-elevation');
     this._levelEl   = $('sensor-level');
     this._accEl     = $('sensor-accuracy');
+    this._qualityEl = $('sensor-quality');
   }
 
-  /** Update the sensor status bar with live readings */
-  update(heading, elevation, level, accuracy) {
+  /**
+   * Update the sensor status bar with live readings
+   * @param {{ quality: string|null, reasons: string[] }} [quality] - SensorManager.headingQuality
+   */
+  update(heading, elevation, level, accuracy, quality = null) {
     if (!this._bar) return;
     this._bar.hidden = false;
 
@@ -42,6 +50,85 @@ export default class CompassUI {
     } else {
       this._accEl.textContent = '';
     }
+
+    const suspect = quality?.quality === 'suspect';
+    this._qualityEl.hidden = !suspect;
+    if (suspect) {
+      this._qualityEl.textContent = `\u26A0 ${HEADING_QUALITY_REASONS[quality.reasons[0]] || ''}`;
+    }
+  }
+
+  /**
+   * Fills the capture-window select with CAPTURE_WINDOWS_MS, restores the
+   * last choice and reports it now and on every change
+   * @param {(ms: number) => void} onChange
+   */
+  bindCaptureWindow(onChange) {
+    const select = $('select-capture-window');
+    if (!select) return;
+    select.innerHTML = '';
+    for (const { value, label } of CAPTURE_WINDOWS_MS) {
+      select.add(new Option(label, String(value)));
+    }
+    let saved = null;
+    try {
+      saved = localStorage.getItem(CAPTURE_WINDOW_STORAGE_KEY);
+    } catch {
+      saved = null;
+    }
+    const known = CAPTURE_WINDOWS_MS.some(w => String(w.value) === saved);
+    select.value = known ? saved : String(CAPTURE_WINDOW_DEFAULT_MS);
+    onChange(Number(select.value));
+
+    select.addEventListener('change', () => {
+      try {
+        localStorage.setItem(CAPTURE_WINDOW_STORAGE_KEY, select.value);
+      } catch {
+        // Not remembering the choice is harmless
+      }
+      onChange(Number(select.value));
+    });
+  }
+
+  /** Marks the status bar while a tap's readings are being averaged */
+  setCapturing(active) {
+    this._bar?.classList.toggle('is-capturing', active);
+  }
+
+  /**
+   * Guides a figure-eight motion until the sensor manager has seen enough
+   * rotation, or the user stops.
+   * @param {import('./SensorManager.js').default} sensor
+   * @returns {Promise<boolean>} true when completed
+   */
+  runCalibration(sensor) {
+    return new Promise(resolve => {
+      const dialog    = $('modal-compass-calibration');
+      const progress  = $('compass-calibration-progress');
+      const status    = $('compass-calibration-status');
+      const cancelBtn = $('btn-compass-calibration-cancel');
+
+      sensor.startCalibration();
+      progress.value = 0;
+      status.textContent = '\u3086\u3063\u304F\u308A\u3001\u5927\u304D\u304F\u52D5\u304B\u3057\u3066\u304F\u3060\u3055\u3044';
+      dialog.hidden = false;
+
+      const finish = (completed) => {
+        clearInterval(timer);
+        cancelBtn.removeEventListener('click', onCancel);
+        sensor.finishCalibration(completed);
+        dialog.hidden = true;
+        resolve(completed);
+      };
+      const onCancel = () => finish(false);
+
+      const timer = setInterval(() => {
+        const value = sensor.calibrationProgress;
+        progress.value = value;
+        if (value >= 1) finish(true);
+      }, 200);
+      cancelBtn.addEventListener('click', onCancel);
+    });
   }
 
   /**
@@ -1,24 +1,43 @@
 /**
- * Exports point data as DXF (2D POLYLINE based on cumulative distance)
+ * Exports point data as 3D DXF: one 3D POLYLINE per branch run from
+ * pointsToPositions, with point ids, memos, segment distances and fittings
+ * as text on their own layers and optional POINT entities.
+ * Written as plain R12 (AC1009), which every DXF reader accepts; R12 has
+ * no units header, so coordinates are meters by convention.
+ * DXF axes: X = east, Y = north, Z = up.
  * @module modules/DXFExporter
  */
 
-import { DXF_LAYER_NAME, EXPORT_FILENAME_PREFIX, DISTANCE_PRECISION } from '../config.js';
+import {
+  DXF_LAYER_NAME, DXF_FITTING_LAYER_NAME, DXF_POINT_ID_LAYER_NAME, DXF_MEMO_LAYER_NAME,
+  DXF_DISTANCE_LAYER_NAME, DXF_POINT_LAYER_NAME, DXF_TEXT_HEIGHT,
+  EXPORT_FILENAME_PREFIX, DISTANCE_PRECISION
+} from '../config.js';
 import { downloadBlob, fileTimestamp } from '../utils/dom.js';
+import { pointsToPositions, hasNextSegment, getBranchRuns, formatDistance } from '../utils/math.js';
+
+/** ACI colors for route layers, in route order */
+const ROUTE_ACI_COLORS = [4, 6, 3, 2, 5, 1];
+
+/** Coordinate precision (decimal places) for DXF geometry */
+const COORD_PRECISION = 4;
 
 export default class DXFExporter {
   /**
-   * Exports points to a DXF file.
-   * Points are laid out along the X axis using distanceToNext values.
-   * @param {Array<{ id: number, distanceToNext: number|null, memo: string }>} points
+   * Exports all routes to a DXF file, one layer per route
+   * @param {Array<{ name: string, color: string, origin: Object,
+   *                 points: Array<{ id: number, distanceToNext: number|null, memo: string }> }>} routes
+   * @param {{ includePoints?: boolean, headingOffset?: number }} [options]
+   *   includePoints: add a POINT per feature point;
+   *   headingOffset: degrees from stored headings to the reference north (see utils/geomag)
    */
-  export(points) {
-    if (points.length === 0) {
+  export(routes, { includePoints = false, headingOffset = 0 } = {}) {
+    if (routes.every(r => r.points.length === 0)) {
       alert('出力するポイントがありません');
       return;
     }
 
-    const dxf = this._buildDxf(points);
+    const dxf = this._buildDxf(routes, includePoints, headingOffset);
     const blob = new Blob([dxf], { type: 'application/dxf' });
     const filename = `${EXPORT_FILENAME_PREFIX}_${fileTimestamp()}.dxf`;
 
@@ -26,48 +45,128 @@ export default class DXFExporter {
   }
 
   /**
-   * Builds a DXF string with 2D POLYLINE laid out along X axis
-   * @param {Array<{ distanceToNext: number|null }>} points
+   * Layer name for a route (R12-safe: route number, not its display name)
+   * @param {number} index - Route index in the project
    * @returns {string}
    */
-  _buildDxf(points) {
-    // Calculate cumulative X positions from distanceToNext
-    const positions = [];
-    let x = 0;
-    for (let i = 0; i < points.length; i++) {
-      positions.push(x);
-      const dist = points[i].distanceToNext;
-      if (dist !== null && i < points.length - 1) {
-        x += dist;
-      } else if (i < points.length - 1) {
-        x += 1; // Default 1m spacing for unknown distances
-      }
-    }
+  _layerName(index) {
+    return `${DXF_LAYER_NAME}_${index + 1}`;
+  }
 
+  /**
+   * Builds the DXF string: HEADER, TABLES (layers) and ENTITIES
+   * @param {Array<Object>} routes
+   * @param {boolean} includePoints
+   * @param {number} headingOffset
+   * @returns {string}
+   */
+  _buildDxf(routes, includePoints, headingOffset) {
     const lines = [];
 
-    lines.push('0', 'SECTION');
-    lines.push('2', 'ENTITIES');
+    // HEADER: R12 only (no later variables such as $INSUNITS)
+    lines.push('0', 'SECTION', '2', 'HEADER');
+    lines.push('9', '$ACADVER', '1', 'AC1009');
+    lines.push('0', 'ENDSEC');
 
-    // 2D POLYLINE (70=0 → 2D)
-    lines.push('0', 'POLYLINE');
-    lines.push('8', DXF_LAYER_NAME);
-    lines.push('66', '1');
-    lines.push('70', '0');
+    this._pushTables(lines, routes);
 
-    positions.forEach(px => {
-      lines.push('0', 'VERTEX');
-      lines.push('8', DXF_LAYER_NAME);
-      lines.push('10', px.toFixed(DISTANCE_PRECISION));
-      lines.push('20', '0.000');
-    });
+    lines.push('0', 'SECTION', '2', 'ENTITIES');
+    routes.forEach((route, r) => {
+      const points = route.points;
+      if (points.length === 0) return;
+      const layer = this._layerName(r);
+      // App axes (x east, y up, z north) → DXF (X east, Y north, Z up)
+      const positions = pointsToPositions(points, route.origin, headingOffset)
+        .map(p => ({ x: p.x, y: p.z, z: p.y }));
 
-    lines.push('0', 'SEQEND');
-    lines.push('8', DXF_LAYER_NAME);
+      for (const run of getBranchRuns(points)) {
+        if (run.end === run.start) continue;
+        this._pushPolyline3D(lines, layer, positions.slice(run.start, run.end + 1));
+      }
 
+      points.forEach((p, i) => {
+        const pos = positions[i];
+        if (includePoints) {
+          lines.push('0', 'POINT', '8', DXF_POINT_LAYER_NAME);
+          this._pushCoords(lines, pos);
+        }
+        this._pushText(lines, DXF_POINT_ID_LAYER_NAME, pos, String(p.id), DXF_TEXT_HEIGHT);
+        if (p.memo) {
+          this._pushText(lines, DXF_MEMO_LAYER_NAME,
+            { ...pos, y: pos.y - DXF_TEXT_HEIGHT * 2 }, p.memo, DXF_TEXT_HEIGHT * 0.8);
+        }
+        if (p.fitting) {
+          const label = p.fitting.size != null ? `${p.fitting.type} ${p.fitting.size}A` : p.fitting.type;
+          this._pushText(lines, DXF_FITTING_LAYER_NAME,
+            { ...pos, y: pos.y + DXF_TEXT_HEIGHT * 2 }, label, DXF_TEXT_HEIGHT * 0.8);
+        }
+        if (hasNextSegment(points, i) && p.distanceToNext !== null) {
+          const next = positions[i + 1];
+          const mid = { x: (pos.x + next.x) / 2, y: (pos.y + next.y) / 2, z: (pos.z + next.z) / 2 };
+          this._pushText(lines, DXF_DISTANCE_LAYER_NAME, mid,
+            `${formatDistance(p.distanceToNext, DISTANCE_PRECISION)}m`, DXF_TEXT_HEIGHT);
+        }
+      });
+    });
     lines.push('0', 'ENDSEC');
     lines.push('0', 'EOF');
 
     return lines.join('\n') + '\n';
   }
+
+  /** LTYPE and LAYER tables (ACI colors only: true color is not R12) */
+  _pushTables(lines, routes) {
+    const layers = routes.map((_, r) => ({
+      name: this._layerName(r),
+      aci: ROUTE_ACI_COLORS[r % ROUTE_ACI_COLORS.length]
+    }));
+    layers.push(
+      { name: DXF_POINT_ID_LAYER_NAME, aci: 7 },
+      { name: DXF_MEMO_LAYER_NAME, aci: 8 },
+      { name: DXF_DISTANCE_LAYER_NAME, aci: 2 },
+      { name: DXF_FITTING_LAYER_NAME, aci: 1 },
+      { name: DXF_POINT_LAYER_NAME, aci: 30 }
+    );
+
+    lines.push('0', 'SECTION', '2', 'TABLES');
+    lines.push('0', 'TABLE', '2', 'LTYPE', '70', '1');
+    lines.push('0', 'LTYPE', '2', 'CONTINUOUS', '70', '0', '3', 'Solid line', '72', '65', '73', '0', '40', '0.0');
+    lines.push('0', 'ENDTAB');
+    lines.push('0', 'TABLE', '2', 'LAYER', '70', String(layers.length));
+    for (const layer of layers) {
+      lines.push('0', 'LAYER', '2', layer.name, '70', '0', '62', String(layer.aci), '6', 'CONTINUOUS');
+    }
+    lines.push('0', 'ENDTAB');
+    lines.push('0', 'ENDSEC');
+  }
+
+  /** 3D POLYLINE (flag 8) with 3D vertices (flag 32) */
+  _pushPolyline3D(lines, layer, positions) {
+    lines.push('0', 'POLYLINE', '8', layer, '66', '1', '70', '8');
+    lines.push('10', '0.0', '20', '0.0', '30', '0.0');
+    for (const pos of positions) {
+      lines.push('0', 'VERTEX', '8', layer);
+      this._pushCoords(lines, pos);
+      lines.push('70', '32');
+    }
+    lines.push('0', 'SEQEND', '8', layer);
+  }
+
+  _pushText(lines, layer, pos, text, height) {
+    lines.push('0', 'TEXT', '8', layer);
+    this._pushCoords(lines, pos);
+    lines.push('40', height.toFixed(3), '1', this._dxfString(text));
+  }
+
+  _pushCoords(lines, pos) {
+    lines.push('10', pos.x.toFixed(COORD_PRECISION));
+    lines.push('20', pos.y.toFixed(COORD_PRECISION));
+    lines.push('30', pos.z.toFixed(COORD_PRECISION));
+  }
+
+  /** Escapes non-ASCII characters as \U+XXXX so ASCII DXF readers keep Japanese text */
+  _dxfString(text) {
+    return text.replace(/[\r\n]+/g, ' ').replace(/[^\x20-\x7E]/g,
+      (c) => `\\U+${c.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+  }
 }
@@ -6,16 +6,20 @@
 import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
 import { EXPORT_FILENAME_PREFIX } from '../config.js';
 import { downloadBlob, fileTimestamp } from '../utils/dom.js';
-import { totalRouteLength } from '../utils/math.js';
+import { routesTotalLength, totalRouteLength, getBranchRuns } from '../utils/math.js';
 
 export default class GLBExporter {
   /**
-   * Exports the 3D scene to a GLB file
+   * Exports the 3D scene to a GLB file.
+   * Route groups are named after their routes; hidden routes are included.
+   * Point and fitting meshes carry their fitting type in userData (glTF extras).
    * @param {THREE.Scene} scene
-   * @param {Array<{ distanceToNext: number|null }>} points
+   * @param {Array<{ name: string, pipeType: string, points: Array<{ distanceToNext: number|null }> }>} routes
+   * @param {{ northReference?: string, headingOffset?: number }} [north] - Reference north the
+   *   scene was built against (recorded in the scene extras)
    */
-  export(scene, points) {
-    if (points.length === 0) {
+  export(scene, routes, { northReference = 'magnetic', headingOffset = 0 } = {}) {
+    if (routes.every(r => r.points.length === 0)) {
       alert('出力するポイントがありません');
       return;
     }
@@ -26,8 +30,17 @@ export default class GLBExporter {
     }
 
     scene.userData = {
-      totalLength: totalRouteLength(points),
-      pointCount: points.length
+      totalLength: routesTotalLength(routes),
+      northReference,
+      headingCorrection: headingOffset,
+      routes: routes.map(r => ({
+        name: r.name,
+        pipeType: r.pipeType,
+        totalLength: totalRouteLength(r.points),
+        pointCount: r.points.length,
+        branchCount: Math.max(0, getBranchRuns(r.points).length - 1),
+        fittingCount: r.points.filter(p => p.fitting).length
+      }))
     };
 
     const exporter = new GLTFExporter();
@@ -42,7 +55,7 @@ export default class GLBExporter {
         console.error('GLB export failed:', error);
         alert('GLB出力に失敗しました');
       },
-      { binary: true }
+      { binary: true, onlyVisible: false }
     );
   }
 }
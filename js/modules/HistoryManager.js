@@ -0,0 +1,69 @@
+/**
+ * Command-based undo/redo stack
+ * @module modules/HistoryManager
+ */
+
+import { HISTORY_LIMIT } from '../config.js';
+
+export default class HistoryManager {
+  /**
+   * @param {number} [limit=HISTORY_LIMIT] - Maximum number of undoable commands
+   */
+  constructor(limit = HISTORY_LIMIT) {
+    this._limit = limit;
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+
+  /**
+   * Records an already executed command. Clears the redo stack.
+   * @param {{ label: string, undo: Function, redo: Function }} command
+   */
+  push(command) {
+    this._undoStack.push(command);
+    if (this._undoStack.length > this._limit) this._undoStack.shift();
+    this._redoStack = [];
+  }
+
+  /**
+   * Reverts the most recent command
+   * @returns {{ label: string }|null} The reverted command, or null if none
+   */
+  undo() {
+    const command = this._undoStack.pop();
+    if (!command) return null;
+    command.undo();
+    this._redoStack.push(command);
+    return command;
+  }
+
+  /**
+   * Re-applies the most recently reverted command
+   * @returns {{ label: string }|null} The re-applied command, or null if none
+   */
+  redo() {
+    const command = this._redoStack.pop();
+    if (!command) return null;
+    command.redo();
+    this._undoStack.push(command);
+    return command;
+  }
+
+  get canUndo() { return this._undoStack.length > 0; }
+  get canRedo() { return this._redoStack.length > 0; }
+
+  /** @returns {string|null} Label of the command undo() would revert */
+  get undoLabel() {
+    return this._undoStack.length > 0 ? this._undoStack[this._undoStack.length - 1].label : null;
+  }
+
+  /** @returns {string|null} Label of the command redo() would re-apply */
+  get redoLabel() {
+    return this._redoStack.length > 0 ? this._redoStack[this._redoStack.length - 1].label : null;
+  }
+
+  clear() {
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Printable sheet of fiducial markers: A4 landscape SVG in millimeters, each
+ * marker at MARKER_SIZE inside a blank quiet zone, with its id and an arrow
+ * on the printed "up" side, plus a check line to confirm the print was not scaled.
+ * @module modules/MarkerSheet
+ */
+
+import { MARKER_SIZE, EXPORT_FILENAME_PREFIX } from '../config.js';
+import { downloadBlob } from '../utils/dom.js';
+import { markerCells } from '../utils/fiducial.js';
+
+/** A4 landscape (mm): two markers and their quiet zones do not fit across portrait */
+const PAGE = { width: 297, height: 210 };
+
+/** Blank page edge; most printers cannot print closer to the edge (mm) */
+const MARGIN = 10;
+
+/** Blank space kept around each marker so its border stands out (mm) */
+const QUIET_ZONE = 10;
+
+/** Markers on one sheet (side by side) */
+const SHEET_IDS = [0, 1];
+
+/** Length of the scale check line (mm) */
+const CHECK_LENGTH = 100;
+
+export default class MarkerSheet {
+  /** Downloads the marker sheet */
+  export() {
+    const blob = new Blob([this._buildSvg()], { type: 'image/svg+xml' });
+    downloadBlob(blob, `${EXPORT_FILENAME_PREFIX}_markers.svg`);
+  }
+
+  /** @returns {string} */
+  _buildSvg() {
+    const size = MARKER_SIZE * 1000;
+    const cellWidth = (PAGE.width - 2 * MARGIN) / SHEET_IDS.length;
+    // Title, then the id / arrow line above each marker's quiet zone
+    const y = MARGIN + 12 + 12 + QUIET_ZONE;
+
+    const markers = SHEET_IDS.map((id, i) => {
+      const x = MARGIN + i * cellWidth + (cellWidth - size) / 2;
+      return this._marker(id, x, y, size);
+    }).join('\n');
+
+    const checkY = y + size + QUIET_ZONE + 18;
+    const checkX = (PAGE.width - CHECK_LENGTH) / 2;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${PAGE.width}mm" height="${PAGE.height}mm" viewBox="0 0 ${PAGE.width} ${PAGE.height}" font-family="sans-serif">
+<rect x="0" y="0" width="${PAGE.width}" height="${PAGE.height}" fill="#fff"/>
+<text x="${PAGE.width / 2}" y="${MARGIN + 5}" font-size="5" text-anchor="middle">測量用マーカー（${size}mm角・等倍で印刷）</text>
+${markers}
+<line x1="${checkX}" y1="${checkY}" x2="${checkX + CHECK_LENGTH}" y2="${checkY}" stroke="#000" stroke-width="0.4"/>
+<line x1="${checkX}" y1="${checkY - 3}" x2="${checkX}" y2="${checkY + 3}" stroke="#000" stroke-width="0.4"/>
+<line x1="${checkX + CHECK_LENGTH}" y1="${checkY - 3}" x2="${checkX + CHECK_LENGTH}" y2="${checkY + 3}" stroke="#000" stroke-width="0.4"/>
+<text x="${PAGE.width / 2}" y="${checkY + 8}" font-size="3.5" text-anchor="middle">この線が${CHECK_LENGTH}mmになっていることを確認してください</text>
+</svg>
+`;
+  }
+
+  /**
+   * One marker with its id and an arrow above the printed top edge, both
+   * outside the quiet zone
+   * @param {number} id
+   * @param {number} x - Left edge (mm)
+   * @param {number} y - Top edge (mm)
+   * @param {number} size - Outer size (mm)
+   * @returns {string}
+   */
+  _marker(id, x, y, size) {
+    const cells = markerCells(id);
+    const cell = size / cells.length;
+    const rects = cells.flatMap((row, r) => row.map((black, c) => (black
+      ? `<rect x="${x + c * cell}" y="${y + r * cell}" width="${cell}" height="${cell}"/>`
+      : ''))).join('');
+    const cx = x + size / 2;
+    const above = y - QUIET_ZONE;
+    return `<g>
+<path d="M${cx} ${above - 12} l-3 5 h6 z" fill="#000"/>
+<line x1="${cx}" y1="${above - 8}" x2="${cx}" y2="${above - 3}" stroke="#000" stroke-width="0.8"/>
+<text x="${x}" y="${above - 4}" font-size="3.5">ID ${id}</text>
+<g fill="#000" shape-rendering="crispEdges">${rects}</g>
+<text x="${cx}" y="${y + size + QUIET_ZONE + 5}" font-size="3" text-anchor="middle">矢印を基準方位へ向けて床に置く</text>
+</g>`;
+  }
+}
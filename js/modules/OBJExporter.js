@@ -1,53 +1,81 @@
 /**
- * Exports point data as Wavefront OBJ (distance-based X-axis layout)
+ * Exports point data as Wavefront OBJ (one object per route).
+ * Fitting points are listed as point elements in groups named after their type.
  * @module modules/OBJExporter
  */
 
 import { EXPORT_FILENAME_PREFIX, DISTANCE_PRECISION } from '../config.js';
 import { downloadBlob, fileTimestamp } from '../utils/dom.js';
-import { totalRouteLength, formatDistance, pointsToPositions } from '../utils/math.js';
+import { routesTotalLength, formatDistance, pointsToPositions, hasNextSegment } from '../utils/math.js';
 
 export default class OBJExporter {
   /**
-   * Exports points to an OBJ file
-   * @param {Array<{ id: number, distanceToNext: number|null }>} points
+   * Exports all routes to an OBJ file
+   * @param {Array<{ name: string, origin: Object, points: Array<{ id: number, distanceToNext: number|null }> }>} routes
+   * @param {{ northReference?: string, headingOffset?: number }} [options] - headingOffset:
+   *   degrees from stored headings to northReference (see utils/geomag)
    */
-  export(points) {
-    if (points.length === 0) {
+  export(routes, { northReference = 'magnetic', headingOffset = 0 } = {}) {
+    if (routes.every(r => r.points.length === 0)) {
       alert('出力するポイントがありません');
       return;
     }
 
-    const obj = this._buildObj(points);
+    const obj = this._buildObj(routes, northReference, headingOffset);
     const blob = new Blob([obj], { type: 'text/plain' });
     const filename = `${EXPORT_FILENAME_PREFIX}_${fileTimestamp()}.obj`;
 
     downloadBlob(blob, filename);
   }
 
-  _buildObj(points) {
-    const positions = pointsToPositions(points);
-    const total = totalRouteLength(points);
+  _buildObj(routes, northReference, headingOffset) {
+    const total = routesTotalLength(routes);
+    const pointCount = routes.reduce((n, r) => n + r.points.length, 0);
     const lines = [];
 
     lines.push('# PipeScanner Export');
     lines.push(`# Total Length: ${formatDistance(total)}m`);
-    lines.push(`# Point Count: ${points.length}`);
-    lines.push('');
+    lines.push(`# Point Count: ${pointCount}`);
+    lines.push(`# Route Count: ${routes.length}`);
+    lines.push(`# North: ${northReference} (heading correction ${headingOffset.toFixed(2)} deg)`);
 
-    // Vertices
-    positions.forEach(p => {
-      lines.push(`v ${p.x.toFixed(DISTANCE_PRECISION)} ${p.y.toFixed(DISTANCE_PRECISION)} ${p.z.toFixed(DISTANCE_PRECISION)}`);
-    });
+    // OBJ vertex indices are global (1-based) across all objects
+    let base = 0;
+    for (const route of routes) {
+      const points = route.points;
+      if (points.length === 0) continue;
+      const positions = pointsToPositions(points, route.origin, headingOffset);
 
-    // Line segments (1-based)
-    if (positions.length >= 2) {
       lines.push('');
-      for (let i = 1; i < positions.length; i++) {
-        lines.push(`l ${i} ${i + 1}`);
+      lines.push(`o ${this._objName(route.name)}`);
+
+      // Vertices
+      positions.forEach(p => {
+        lines.push(`v ${p.x.toFixed(DISTANCE_PRECISION)} ${p.y.toFixed(DISTANCE_PRECISION)} ${p.z.toFixed(DISTANCE_PRECISION)}`);
+      });
+
+      // Line segments; branch start vertices coincide with their tee point
+      for (let i = 0; i < positions.length - 1; i++) {
+        if (hasNextSegment(points, i)) lines.push(`l ${base + i + 1} ${base + i + 2}`);
+      }
+
+      // Fittings: one point element per fitting, grouped by type
+      const fittingTypes = [...new Set(points.filter(p => p.fitting).map(p => p.fitting.type))];
+      for (const type of fittingTypes) {
+        lines.push(`g fitting_${type}`);
+        points.forEach((p, i) => {
+          if (p.fitting?.type === type) lines.push(`p ${base + i + 1}`);
+        });
       }
+      if (fittingTypes.length > 0) lines.push('g default');
+      base += positions.length;
     }
 
     return lines.join('\n') + '\n';
   }
+
+  /** OBJ names end at whitespace, so replace it */
+  _objName(name) {
+    return (name || 'route').replace(/\s+/g, '_');
+  }
 }
@@ -1,17 +1,81 @@
 /**
- * Manages feature points with screen coordinates and segment distances
+ * Manages feature points with screen coordinates and segment distances.
+ * Points form a graph: consecutive points are joined by segments, and a
+ * point with a parentId starts a new branch (tee) at its parent point.
+ * A project holds several named routes; point methods act on the active one.
+ * Every mutation is recorded as an undoable command (see HistoryManager).
  * @module modules/PointManager
  */
 
-import { validateMemo, validatePointCount, validateDistance } from '../utils/validation.js';
-import { pixelDistance } from '../utils/math.js';
+import {
+  validateMemo, validatePointCount, validateDistance, validateRouteName, validateFitting,
+  validatePhoto
+} from '../utils/validation.js';
+import {
+  pixelDistance, hasNextSegment, getBranchRuns, knownPositions, segmentBetween
+} from '../utils/math.js';
+import { planeDistance, planeHeading, isConvexQuad, rectangleHomography } from '../utils/homography.js';
+import { ROUTE_PALETTE, DEFAULT_ROUTE_NAME, FITTING_TYPES } from '../config.js';
+import HistoryManager from './HistoryManager.js';
 
 export default class PointManager {
   constructor() {
-    this.points = [];
+    this._routes = [this._createRoute(1, {})];
+    this._activeRouteId = 1;
     this._nextId = 1;
     this._listeners = [];
-    this._calibration = { pixelsPerMeter: null, referenceSegment: null };
+    this._calibration = { pixelsPerMeter: null, referenceSegment: null, plane: null };
+    this._frame = null;      // id of the frozen frame on screen (view state), null = live video
+
+    // Undo/redo
+    this._history = new HistoryManager();
+    this._commitDepth = 0;   // >0 while a mutation runs (nested calls are merged)
+    this._group = null;      // { label, before, depth, dirty } while a group is open
+  }
+
+  /** Points of the active route */
+  get points() {
+    return this._activeRoute.points;
+  }
+
+  /** All routes (each with its own points array) */
+  get routes() {
+    return this._routes;
+  }
+
+  /** The route that point edits apply to */
+  get activeRoute() {
+    return this._activeRoute;
+  }
+
+  get _activeRoute() {
+    return this._routes.find(r => r.id === this._activeRouteId) || this._routes[0];
+  }
+
+  /**
+   * Builds a route record with defaults for missing properties
+   * @param {number} id
+   * @param {{ name?: string, pipeType?: string, color?: string, diameter?: number|null,
+   *           visible?: boolean, origin?: { x: number, y: number, z: number } }} props
+   * @returns {Object}
+   */
+  _createRoute(id, props) {
+    return {
+      id,
+      name: props.name || `${DEFAULT_ROUTE_NAME}${id}`,
+      pipeType: props.pipeType || '',
+      color: props.color || ROUTE_PALETTE[(id - 1) % ROUTE_PALETTE.length],
+      diameter: props.diameter ?? null,   // outer diameter (mm), null = viewer default
+      slopeMin: props.slopeMin ?? null,   // minimum fall (%), null = pipe type default
+      slopeMax: props.slopeMax ?? null,   // maximum fall (%), null = pipe type default
+      visible: props.visible ?? true,
+      origin: {
+        x: props.origin?.x || 0,          // east (m)
+        y: props.origin?.y || 0,          // up (m)
+        z: props.origin?.z || 0           // north (m)
+      },
+      points: []
+    };
   }
 
   /**
@@ -28,14 +92,135 @@ export default class PointManager {
     this._listeners.forEach(fn => fn(snapshot));
   }
 
+  // ─── History (undo / redo) ────────────────────────────────
+
+  /**
+   * Runs a mutation and records it as one undoable command.
+   * Nested mutations and mutations inside an open group are merged into
+   * the outer command. A result with success === false records nothing.
+   * @param {string} label - Command name shown in the UI
+   * @param {Function} mutate - Applies the change, returns a result object
+   * @returns {*} The mutation's result
+   */
+  _commit(label, mutate) {
+    const outermost = this._commitDepth === 0;
+    const before = outermost && !this._group ? this._captureState() : null;
+
+    this._commitDepth++;
+    let result;
+    try {
+      result = mutate();
+    } finally {
+      this._commitDepth--;
+    }
+    if (result && result.success === false) return result;
+
+    if (before) {
+      this._pushCommand(label, before, this._captureState());
+    } else if (this._group) {
+      this._group.dirty = true;
+    }
+    if (outermost) this._notify();
+    return result;
+  }
+
+  _pushCommand(label, before, after) {
+    this._history.push({
+      label,
+      undo: () => this._restoreState(before),
+      redo: () => this._restoreState(after)
+    });
+  }
+
+  /**
+   * Opens a command group: all mutations until endGroup() undo as one step.
+   * Used for multi-step operations such as a tap followed by the distance dialog.
+   * @param {string} label
+   */
+  beginGroup(label) {
+    if (this._group) {
+      this._group.depth++;
+      return;
+    }
+    this._group = { label, before: this._captureState(), depth: 1, dirty: false };
+  }
+
+  /** Closes the group opened by beginGroup() and records it if anything changed */
+  endGroup() {
+    if (!this._group) return;
+    if (--this._group.depth > 0) return;
+    const { label, before, dirty } = this._group;
+    this._group = null;
+    if (dirty) {
+      this._pushCommand(label, before, this._captureState());
+      this._notify();
+    }
+  }
+
+  /**
+   * Reverts the last command
+   * @returns {{ success: boolean, label?: string }}
+   */
+  undo() {
+    if (this._group) return { success: false };
+    const command = this._history.undo();
+    if (!command) return { success: false };
+    this._notify();
+    return { success: true, label: command.label };
+  }
+
+  /**
+   * Re-applies the last undone command
+   * @returns {{ success: boolean, label?: string }}
+   */
+  redo() {
+    if (this._group) return { success: false };
+    const command = this._history.redo();
+    if (!command) return { success: false };
+    this._notify();
+    return { success: true, label: command.label };
+  }
+
+  get canUndo() { return !this._group && this._history.canUndo; }
+  get canRedo() { return !this._group && this._history.canRedo; }
+  get undoLabel() { return this._history.undoLabel; }
+  get redoLabel() { return this._history.redoLabel; }
+
+  /** Deep copy of all mutable state */
+  _captureState() {
+    return {
+      routes: this._routes.map(r => this._copyRoute(r)),
+      activeRouteId: this._activeRouteId,
+      nextId: this._nextId,
+      calibration: { ...this._calibration }
+    };
+  }
+
+  _restoreState(state) {
+    // Route visibility is view state: keep what the user currently sees
+    const visibility = new Map(this._routes.map(r => [r.id, r.visible]));
+    this._routes = state.routes.map(r => ({
+      ...this._copyRoute(r),
+      visible: visibility.get(r.id) ?? r.visible
+    }));
+    this._activeRouteId = state.activeRouteId;
+    this._nextId = state.nextId;
+    this._calibration = { ...state.calibration };
+  }
+
+  _copyRoute(route) {
+    return { ...route, origin: { ...route.origin }, points: route.points.map(p => ({ ...p, fitting: p.fitting && { ...p.fitting }, photo: p.photo && { ...p.photo } })) };
+  }
+
   /**
    * Adds a new feature point from a screen tap
    * @param {number} screenX - Tap X position (CSS pixels)
    * @param {number} screenY - Tap Y position (CSS pixels)
    * @param {string} [memo='']
+   * @param {number|null} [parentId=null] - Tee point ID when starting a branch
    * @returns {{ success: boolean, point?: Object, errors?: Object }}
    */
-  addPoint(screenX, screenY, memo = '') {
+  addPoint(screenX, screenY, memo = '', parentId = null) {
     const countResult = validatePointCount(this.points.length);
     if (!countResult.valid) {
       return { success: false, errors: { count: countResult.error } };
@@ -46,7 +231,15 @@ export default class PointManager {
       return { success: false, errors: { memo: memoResult.error } };
     }
 
-    const point = {
+    return this._commit('ポイント追加', () => {
+      const point = this._newPoint(screenX, screenY, memo, parentId);
+      this.points.push(point);
+      return { success: true, point };
+    });
+  }
+
+  _newPoint(screenX, screenY, memo, parentId) {
+    return {
       id: this._nextId++,
       screenX,
       screenY,
@@ -55,13 +248,128 @@ export default class PointManager {
       distanceToNext: null,
       heading: null,          // 0-360 degrees (CW from north), null = not set
       elevation: null,        // -90..+90 degrees, null = not set
-      directionSource: null,  // 'fusion'|'compass'|'gyro'|'accel'|'manual'|null
-      sensorLevel: null       // 1-5, null = not set
+      directionSource: null,  // 'fusion'|'compass'|'gyro'|'accel'|'manual'|'ar'|'marker'|'derived'|null
+      sensorLevel: null,      // 1-5, null = not set
+      headingQuality: null,   // 'good'|'suspect' for compass headings, null = not judged
+      headingSpread: null,    // standard deviation of an averaged heading (degrees), null = single reading
+      elevationSpread: null,  // same for the elevation
+      parentId,               // branch origin point id, null = continues from previous point
+      fitting: null,          // { type, size, angle, outletSize, valveType }, null = plain point
+      photo: null             // { id, takenAt, heading, elevation, directionSource, sensorLevel }, null = none
     };
+  }
 
-    this.points.push(point);
-    this._notify();
-    return { success: true, point };
+  /**
+   * Returns a clean fitting object holding only the fields its type uses
+   * (elbows default to their nominal angle)
+   * @param {Object|null} fitting
+   * @returns {Object|null}
+   */
+  _normalizeFitting(fitting) {
+    const def = fitting ? FITTING_TYPES[fitting.type] : null;
+    if (!def) return null;
+    const has = (prop) => def.props.includes(prop);
+    return {
+      type: fitting.type,
+      size: fitting.size ?? null,
+      angle: has('angle') ? (fitting.angle ?? def.angle) : null,
+      outletSize: has('outletSize') ? (fitting.outletSize ?? null) : null,
+      valveType: has('valveType') ? (fitting.valveType ?? null) : null
+    };
+  }
+
+  /**
+   * Starts a new branch at an existing point. A branch start point is
+   * placed at the parent's location; the next added point continues from it.
+   * @param {number} parentId - ID of the tee point the branch leaves from
+   * @returns {{ success: boolean, point?: Object, error?: string }}
+   */
+  startBranch(parentId) {
+    let parent = this.getPoint(parentId);
+    if (!parent) return { success: false, error: '点が見つかりません' };
+    // Branching from a branch start is the same as branching from its parent
+    if (parent.parentId != null) parent = this.getPoint(parent.parentId);
+
+    return this._commit('分岐開始', () => {
+      // An empty branch at the end of the list is re-targeted instead of stacked
+      const last = this.points[this.points.length - 1];
+      if (last.parentId != null) {
+        last.parentId = parent.id;
+        last.screenX = parent.screenX;
+        last.screenY = parent.screenY;
+        return { success: true, point: last };
+      }
+
+      const result = this.addPoint(parent.screenX, parent.screenY, '', parent.id);
+      if (!result.success) {
+        return { success: false, error: result.errors.count };
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Inserts a point into the segment that starts at points[index].
+   * The new point lies on the segment, so it keeps the segment's direction.
+   * Without distances the segment is split in half; with one distance the
+   * other half gets the remainder.
+   * @param {number} index - Segment start index
+   * @param {{ firstDistance?: number|null, secondDistance?: number|null, memo?: string }} [options]
+   * @returns {{ success: boolean, point?: Object, error?: string }}
+   */
+  insertPoint(index, { firstDistance = null, secondDistance = null, memo = '' } = {}) {
+    if (!hasNextSegment(this.points, index)) {
+      return { success: false, error: '無効な区間です' };
+    }
+    const countResult = validatePointCount(this.points.length);
+    if (!countResult.valid) return { success: false, error: countResult.error };
+    const memoResult = validateMemo(memo);
+    if (!memoResult.valid) return { success: false, error: memoResult.error };
+    for (const d of [firstDistance, secondDistance]) {
+      if (d === null) continue;
+      const result = validateDistance(d);
+      if (!result.valid) return { success: false, error: result.error };
+    }
+
+    const start = this.points[index];
+    const end = this.points[index + 1];
+    const total = start.distanceToNext;
+    let first = firstDistance;
+    let second = secondDistance;
+    if (total !== null) {
+      if (first === null && second === null) {
+        first = total / 2;
+        second = total / 2;
+      } else if (second === null) {
+        second = total - first;
+      } else if (first === null) {
+        first = total - second;
+      }
+      if (first < 0 || second < 0) {
+        return { success: false, error: '区間の距離を超えています' };
+      }
+    }
+
+    return this._commit('ポイント挿入', () => {
+      const ratio = first !== null && second !== null && first + second > 0
+        ? first / (first + second) : 0.5;
+      const point = this._newPoint(
+        start.screenX + (end.screenX - start.screenX) * ratio,
+        start.screenY + (end.screenY - start.screenY) * ratio,
+        memo, null
+      );
+      point.distanceToNext = second;
+      point.heading = start.heading;
+      point.elevation = start.elevation;
+      point.directionSource = start.directionSource;
+      point.sensorLevel = start.sensorLevel;
+      point.headingQuality = start.headingQuality;
+      point.headingSpread = start.headingSpread;
+      point.elevationSpread = start.elevationSpread;
+      start.distanceToNext = first;
+      this.points.splice(index + 1, 0, point);
+      return { success: true, point };
+    });
   }
 
   /**
@@ -71,16 +379,17 @@ export default class PointManager {
    * @returns {{ success: boolean, error?: string }}
    */
   setSegmentDistance(index, distance) {
-    if (index < 0 || index >= this.points.length - 1) {
+    if (!hasNextSegment(this.points, index)) {
       return { success: false, error: '無効な区間です' };
     }
     if (distance !== null) {
       const result = validateDistance(distance);
       if (!result.valid) return { success: false, error: result.error };
     }
-    this.points[index].distanceToNext = distance;
-    this._notify();
-    return { success: true };
+    return this._commit('距離変更', () => {
+      this.points[index].distanceToNext = distance;
+      return { success: true };
+    });
   }
 
   /**
@@ -90,19 +399,26 @@ export default class PointManager {
    * @param {number|null} elevation - Vertical angle -90..+90
    * @param {string|null} source - 'fusion'|'compass'|'gyro'|'accel'|'manual'
    * @param {number|null} level - Sensor level 1-5
+   * @param {'good'|'suspect'|null} [quality] - Compass reading quality (SensorManager)
+   * @param {{ heading: number|null, elevation: number|null }|null} [spread] - Standard
+   *   deviations of an averaged reading (degrees)
    * @returns {{ success: boolean, error?: string }}
    */
-  setPointDirection(index, heading, elevation, source, level) {
+  setPointDirection(index, heading, elevation, source, level, quality = null, spread = null) {
     if (index < 0 || index >= this.points.length) {
       return { success: false, error: '\u7121\u52B9\u306A\u30A4\u30F3\u30C7\u30C3\u30AF\u30B9' };
     }
-    const p = this.points[index];
-    p.heading = heading;
-    p.elevation = elevation;
-    p.directionSource = source;
-    p.sensorLevel = level;
-    this._notify();
-    return { success: true };
+    return this._commit('方向変更', () => {
+      const p = this.points[index];
+      p.heading = heading;
+      p.elevation = elevation;
+      p.directionSource = source;
+      p.sensorLevel = level;
+      p.headingQuality = quality;
+      p.headingSpread = spread?.heading ?? null;
+      p.elevationSpread = spread?.elevation ?? null;
+      return { success: true };
+    });
   }
 
   /**
@@ -115,28 +431,84 @@ export default class PointManager {
     if (!p) return { success: false, error: '点が見つかりません' };
     const result = validateMemo(memo);
     if (!result.valid) return { success: false, error: result.error };
-    p.memo = memo.trim();
-    this._notify();
-    return { success: true };
+    return this._commit('メモ変更', () => {
+      p.memo = memo.trim();
+      return { success: true };
+    });
+  }
+
+  /**
+   * Tags a point as a fitting (or clears it with null)
+   * @param {number} id - Point ID
+   * @param {{ type: string, size?: number|null, angle?: number|null,
+   *           outletSize?: number|null, valveType?: string|null }|null} fitting
+   * @returns {{ success: boolean, error?: string }}
+   */
+  setPointFitting(id, fitting) {
+    const p = this.points.find(pt => pt.id === id);
+    if (!p) return { success: false, error: '点が見つかりません' };
+    const result = validateFitting(fitting);
+    if (!result.valid) return { success: false, error: result.error };
+    return this._commit('継手設定', () => {
+      p.fitting = this._normalizeFitting(fitting);
+      return { success: true };
+    });
+  }
+
+  /**
+   * Attaches a photo to a point, replacing any previous one (null removes it).
+   * Only the metadata is kept here; the image is in the photo store.
+   * @param {number} id - Point ID
+   * @param {{ id: string, takenAt: string, heading: number|null, elevation: number|null,
+   *           directionSource: string|null, sensorLevel: number|null }|null} photo
+   * @returns {{ success: boolean, error?: string }}
+   */
+  setPointPhoto(id, photo) {
+    const p = this.points.find(pt => pt.id === id);
+    if (!p) return { success: false, error: '点が見つかりません' };
+    const result = validatePhoto(photo);
+    if (!result.valid) return { success: false, error: result.error };
+    return this._commit(photo ? '写真撮影' : '写真削除', () => {
+      p.photo = photo && { ...photo };
+      return { success: true };
+    });
   }
 
   /**
    * Updates multiple fields of a point by index (for edit feature)
    * @param {number} index
-   * @param {{ distance?: number|null, heading?: number|null, elevation?: number|null, memo?: string }} data
+   * @param {{ distance?: number|null, heading?: number|null, elevation?: number|null, memo?: string,
+   *           headingQuality?: string|null, headingSpread?: number|null, elevationSpread?: number|null,
+   *           fitting?: Object|null, photo?: Object|null }} data
    */
   updatePointByIndex(index, data) {
     if (index < 0 || index >= this.points.length) return { success: false };
-    const p = this.points[index];
-    if (data.memo !== undefined) p.memo = data.memo.trim();
-    if (data.distance !== undefined && index < this.points.length - 1) {
-      p.distanceToNext = data.distance;
+    if (data.fitting !== undefined) {
+      const result = validateFitting(data.fitting);
+      if (!result.valid) return { success: false, error: result.error };
     }
-    if (data.heading !== undefined) p.heading = data.heading;
-    if (data.elevation !== undefined) p.elevation = data.elevation;
-    if (data.directionSource !== undefined) p.directionSource = data.directionSource;
-    this._notify();
-    return { success: true };
+    if (data.photo !== undefined) {
+      const result = validatePhoto(data.photo);
+      if (!result.valid) return { success: false, error: result.error };
+    }
+    return this._commit('ポイント編集', () => {
+      const p = this.points[index];
+      if (data.memo !== undefined) p.memo = data.memo.trim();
+      if (data.distance !== undefined && hasNextSegment(this.points, index)) {
+        p.distanceToNext = data.distance;
+      }
+      if (data.heading !== undefined) {
+        p.heading = data.heading;
+        p.headingQuality = data.headingQuality ?? null;
+        p.headingSpread = data.headingSpread ?? null;
+        p.elevationSpread = data.elevationSpread ?? null;
+      }
+      if (data.elevation !== undefined) p.elevation = data.elevation;
+      if (data.directionSource !== undefined) p.directionSource = data.directionSource;
+      if (data.fitting !== undefined) p.fitting = this._normalizeFitting(data.fitting);
+      if (data.photo !== undefined) p.photo = data.photo && { ...data.photo };
+      return { success: true };
+    });
   }
 
   /**
@@ -145,30 +517,100 @@ export default class PointManager {
    */
   undoLastPoint() {
     if (this.points.length === 0) return { success: false };
-    // If removing point N, also clear distanceToNext of point N-1
-    if (this.points.length >= 2) {
-      this.points[this.points.length - 2].distanceToNext = null;
-    }
-    this.points.pop();
-    this._notify();
-    return { success: true };
+    return this._commit('最終ポイント取消', () => {
+      // If removing point N, also clear distanceToNext of point N-1
+      if (this.points.length >= 2) {
+        this.points[this.points.length - 2].distanceToNext = null;
+      }
+      this.points.pop();
+      return { success: true };
+    });
   }
 
   /**
-   * Removes a point by ID
+   * Removes a point by ID.
+   * Tee points that other branches start from cannot be removed, nor can
+   * a branch start with points after it: it sits on the tee, so its first
+   * pipe would be lost.
    * @param {number} id
    */
   removePoint(id) {
     const index = this.points.findIndex(p => p.id === id);
     if (index === -1) return { success: false, error: '点が見つかりません' };
+    if (this.points.some(p => p.parentId === id)) {
+      return { success: false, error: '分岐元のポイントは削除できません' };
+    }
+    if (this.points[index].parentId != null && hasNextSegment(this.points, index)) {
+      return { success: false, error: '分岐の始点は、その先のポイントを削除してから削除してください' };
+    }
 
-    this.points.splice(index, 1);
-    // Fix distanceToNext of predecessor if it exists
-    if (index > 0 && index <= this.points.length) {
-      this.points[index - 1].distanceToNext = null;
+    return this._commit('ポイント削除', () => {
+      // The predecessor now bridges the gap (derived from the known positions)
+      const positions = knownPositions(this.points);
+      this.points.splice(index, 1);
+      positions.splice(index, 1);
+      if (index > 0 && hasNextSegment(this.points, index - 1)) {
+        this._deriveSegment(this.points[index - 1], positions[index - 1], positions[index]);
+      } else if (index > 0) {
+        this.points[index - 1].distanceToNext = null;
+      }
+      return { success: true };
+    });
+  }
+
+  /**
+   * Moves a point to another position within its branch run. Points keep
+   * their 3D positions; segments whose end point changed are re-derived
+   * from those positions (or cleared when a position is unknown).
+   * The first point of a run (route start or branch start) stays fixed.
+   * @param {number} fromIndex
+   * @param {number} toIndex
+   * @returns {{ success: boolean, error?: string }}
+   */
+  movePoint(fromIndex, toIndex) {
+    const points = this.points;
+    const run = getBranchRuns(points).find(r => fromIndex >= r.start && fromIndex <= r.end);
+    if (!run || fromIndex === toIndex) return { success: false, error: '無効な移動です' };
+    if (fromIndex === run.start || toIndex === run.start) {
+      return { success: false, error: '始点と分岐始点は移動できません' };
     }
-    this._notify();
-    return { success: true };
+    if (toIndex < run.start || toIndex > run.end) {
+      return { success: false, error: '同じ分岐内でのみ並べ替えできます' };
+    }
+
+    return this._commit('ポイント並べ替え', () => {
+      const positions = knownPositions(this.points);
+      const nextIdOf = new Map();
+      for (let i = run.start; i < run.end; i++) nextIdOf.set(points[i].id, points[i + 1].id);
+
+      const [point] = points.splice(fromIndex, 1);
+      const [pos] = positions.splice(fromIndex, 1);
+      points.splice(toIndex, 0, point);
+      positions.splice(toIndex, 0, pos);
+
+      for (let i = run.start; i <= run.end; i++) {
+        const p = points[i];
+        if (i === run.end) {
+          if (nextIdOf.has(p.id)) this._deriveSegment(p, null, null);
+        } else if (nextIdOf.get(p.id) !== points[i + 1].id) {
+          this._deriveSegment(p, positions[i], positions[i + 1]);
+        }
+      }
+      return { success: true };
+    });
+  }
+
+  /** Sets a point's segment from two positions; clears it if either is unknown */
+  _deriveSegment(point, from, to) {
+    const seg = from && to ? segmentBetween(from, to) : null;
+    point.distanceToNext = seg ? seg.distance : null;
+    point.heading = seg ? seg.heading : null;
+    point.elevation = seg ? seg.elevation : null;
+    point.directionSource = seg?.heading != null ? 'derived' : null;
+    point.sensorLevel = null;
+    point.headingQuality = null;
+    point.headingSpread = null;
+    point.elevationSpread = null;
   }
 
   /**
@@ -177,12 +619,63 @@ export default class PointManager {
    * @returns {number|null} Estimated distance in meters, or null if not calibrated
    */
   estimateDistance(index) {
-    if (!this._calibration.pixelsPerMeter) return null;
-    if (index < 0 || index >= this.points.length - 1) return null;
+    return this.estimateDistanceWithError(index)?.distance ?? null;
+  }
+
+  /**
+   * Estimates distance for a segment, with the expected error when the
+   * calibration allows one (plane calibration; a single reference
+   * segment gives no error estimate)
+   * @param {number} index - Segment index
+   * @returns {{ distance: number, error: number|null }|null} null if not calibrated
+   *   (or, on a plane, a point lies beyond its horizon)
+   */
+  estimateDistanceWithError(index) {
+    if (!hasNextSegment(this.points, index)) return null;
     const p1 = this.points[index];
     const p2 = this.points[index + 1];
+    const { pixelsPerMeter } = this._calibration;
+    const plane = this._activePlane;
+    if (plane) {
+      return planeDistance(plane, { x: p1.screenX, y: p1.screenY }, { x: p2.screenX, y: p2.screenY });
+    }
+    if (!pixelsPerMeter) return null;
     const px = pixelDistance(p1.screenX, p1.screenY, p2.screenX, p2.screenY);
-    return px / this._calibration.pixelsPerMeter;
+    return { distance: px / pixelsPerMeter, error: null };
+  }
+
+  /**
+   * Heading of a segment on a plane calibrated with a known bearing (fiducial marker)
+   * @param {number} index - Segment index
+   * @returns {number|null} Degrees clockwise from north, or null when not available
+   */
+  estimateHeading(index) {
+    const plane = this._activePlane;
+    if (!plane || !hasNextSegment(this.points, index)) return null;
+    const p1 = this.points[index];
+    const p2 = this.points[index + 1];
+    return planeHeading(plane, { x: p1.screenX, y: p1.screenY }, { x: p2.screenX, y: p2.screenY });
+  }
+
+  /** @returns {boolean} True once a segment calibration, or a plane for the frame on screen, is set */
+  get isCalibrated() {
+    return this._activePlane !== null || this._calibration.pixelsPerMeter !== null;
+  }
+
+  /**
+   * Tells which frozen frame is on screen. A plane calibration only holds
+   * for the frame it was tapped on; on any other frame (or live video)
+   * it is ignored.
+   * @param {number|null} frame - Frame id, null for live video
+   */
+  setFrame(frame) {
+    this._frame = frame;
+  }
+
+  /** Plane calibration of the frame on screen, null when there is none */
+  get _activePlane() {
+    const { plane } = this._calibration;
+    return plane && this._frame !== null && plane.frame === this._frame ? plane : null;
   }
 
   /**
@@ -191,18 +684,51 @@ export default class PointManager {
    * @param {number} realDistance - Real-world distance in meters
    */
   calibrate(segmentIndex, realDistance) {
-    if (segmentIndex < 0 || segmentIndex >= this.points.length - 1) return;
+    if (!hasNextSegment(this.points, segmentIndex)) return;
     if (realDistance <= 0) return;
     const p1 = this.points[segmentIndex];
     const p2 = this.points[segmentIndex + 1];
     const px = pixelDistance(p1.screenX, p1.screenY, p2.screenX, p2.screenY);
-    this._calibration = {
-      pixelsPerMeter: px / realDistance,
-      referenceSegment: segmentIndex
-    };
+    this._commit('校正', () => {
+      this._calibration = {
+        pixelsPerMeter: px / realDistance,
+        referenceSegment: segmentIndex,
+        plane: null
+      };
+    });
   }
 
-  /** @returns {{ pixelsPerMeter: number|null, referenceSegment: number|null }} */
+  /**
+   * Sets a plane calibration from a known rectangle on the frozen frame
+   * on screen (see setFrame). Replaces a segment calibration for estimates
+   * while that frame is shown.
+   * @param {Array<{ x: number, y: number }>} corners - Screen corners, in order around the rectangle
+   * @param {number} width - Side from the first to the second corner (m)
+   * @param {number} height - Side from the second to the third corner (m)
+   * @param {number|null} [bearing] - Compass bearing from the fourth corner towards the first
+   *   (a marker's printed "up"), enabling estimateHeading
+   * @returns {{ success: boolean, error?: string }}
+   */
+  calibratePlane(corners, width, height, bearing = null) {
+    if (this._frame === null) return { success: false, error: '画像を静止してから校正してください' };
+    if (!(width > 0) || !(height > 0)) return { success: false, error: '長方形の寸法を入力してください' };
+    if (!isConvexQuad(corners) || !rectangleHomography(corners, width, height)) {
+      return { success: false, error: '4隅を長方形の周りの順にタップしてください' };
+    }
+    return this._commit('平面校正', () => {
+      this._calibration = {
+        ...this._calibration,
+        plane: { corners: corners.map(c => ({ x: c.x, y: c.y })), width, height, bearing, frame: this._frame }
+      };
+      return { success: true };
+    });
+  }
+
+  /**
+   * @returns {{ pixelsPerMeter: number|null, referenceSegment: number|null,
+   *             plane: { corners: Array<{ x: number, y: number }>, width: number, height: number,
+   *                      bearing: number|null, frame: number|null }|null }}
+   */
   get calibration() {
     return { ...this._calibration };
   }
@@ -220,13 +746,148 @@ export default class PointManager {
   getCount() { return this.points.length; }
   getPoint(id) { return this.points.find(p => p.id === id) || null; }
 
+  // ─── Routes ───────────────────────────────────────────────
+
+  /** Palette color the next added route gets unless another is chosen */
+  get nextRouteColor() {
+    const id = this._routes.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+    return ROUTE_PALETTE[(id - 1) % ROUTE_PALETTE.length];
+  }
+
+  /**
+   * Adds a new route and makes it active
+   * @param {{ name?: string, pipeType?: string, color?: string, diameter?: number|null,
+   *           origin?: { x: number, y: number, z: number } }} [props]
+   * @returns {{ success: boolean, route?: Object, error?: string }}
+   */
+  addRoute(props = {}) {
+    if (props.name !== undefined) {
+      const result = validateRouteName(props.name);
+      if (!result.valid) return { success: false, error: result.error };
+    }
+    return this._commit('路線追加', () => {
+      const id = this._routes.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+      const route = this._createRoute(id, { ...props, name: props.name?.trim() });
+      this._routes.push(route);
+      this._activeRouteId = id;
+      return { success: true, route };
+    });
+  }
+
+  /**
+   * Updates route properties (name, pipe type, color, diameter, origin)
+   * @param {number} id
+   * @param {Object} props
+   * @returns {{ success: boolean, error?: string }}
+   */
+  updateRoute(id, props) {
+    const route = this._routes.find(r => r.id === id);
+    if (!route) return { success: false, error: '路線が見つかりません' };
+    if (props.name !== undefined) {
+      const result = validateRouteName(props.name);
+      if (!result.valid) return { success: false, error: result.error };
+    }
+    return this._commit('路線設定', () => {
+      if (props.name !== undefined) route.name = props.name.trim();
+      if (props.pipeType !== undefined) route.pipeType = props.pipeType.trim();
+      if (props.color !== undefined) route.color = props.color;
+      if (props.diameter !== undefined) route.diameter = props.diameter;
+      if (props.slopeMin !== undefined) route.slopeMin = props.slopeMin;
+      if (props.slopeMax !== undefined) route.slopeMax = props.slopeMax;
+      if (props.origin !== undefined) route.origin = { ...route.origin, ...props.origin };
+      return { success: true };
+    });
+  }
+
+  /**
+   * Shows or hides a route in the 3D view (view state, not recorded in history)
+   * @param {number} id
+   * @param {boolean} visible
+   */
+  setRouteVisible(id, visible) {
+    const route = this._routes.find(r => r.id === id);
+    if (!route) return { success: false, error: '路線が見つかりません' };
+    route.visible = !!visible;
+    this._notify();
+    return { success: true };
+  }
+
+  /**
+   * Selects the route that point edits apply to (not recorded in history)
+   * @param {number} id
+   */
+  setActiveRoute(id) {
+    if (!this._routes.some(r => r.id === id)) {
+      return { success: false, error: '路線が見つかりません' };
+    }
+    this._activeRouteId = id;
+    this._notify();
+    return { success: true };
+  }
+
   /**
-   * Replaces all points (for project load)
+   * Removes a route with all its points. The last route cannot be removed.
+   * @param {number} id
+   */
+  removeRoute(id) {
+    if (this._routes.length <= 1) {
+      return { success: false, error: '最後の路線は削除できません' };
+    }
+    const index = this._routes.findIndex(r => r.id === id);
+    if (index === -1) return { success: false, error: '路線が見つかりません' };
+    return this._commit('路線削除', () => {
+      this._routes.splice(index, 1);
+      if (this._activeRouteId === id) this._activeRouteId = this._routes[0].id;
+      return { success: true };
+    });
+  }
+
+  /**
+   * Replaces all routes (for project load). Starts a fresh undo history.
+   * @param {Array<Object>} routes - Route records with points arrays
+   * @param {{ pixelsPerMeter?: number, referenceSegment?: number }} [calibration]
+   * @param {number} [activeRouteId]
+   */
+  loadRoutes(routes, calibration, activeRouteId) {
+    this._routes = routes.map((r, i) => {
+      const route = this._createRoute(r.id ?? i + 1, r);
+      route.points = this._normalizePoints(r.points || []);
+      return route;
+    });
+    if (this._routes.length === 0) this._routes.push(this._createRoute(1, {}));
+    this._activeRouteId = this._routes.some(r => r.id === activeRouteId)
+      ? activeRouteId : this._routes[0].id;
+    this._nextId = this._maxPointId() + 1;
+    this._setCalibration(calibration);
+    this._history.clear();
+    this._notify();
+  }
+
+  /**
+   * Replaces all points of the active route (undoable).
+   * Ids already used by another route are renumbered (parentId follows).
    * @param {Array} points
    * @param {{ pixelsPerMeter?: number, referenceSegment?: number }} [calibration]
    */
   loadPoints(points, calibration) {
-    this.points = points.map(p => ({
+    this._commit('ポイント読込', () => {
+      const used = new Set(this._routes
+        .filter(r => r !== this._activeRoute)
+        .flatMap(r => r.points.map(p => p.id)));
+      let nextId = Math.max(0, ...used, ...points.map(p => p.id)) + 1;
+      const idMap = new Map(points.map(p => [p.id, used.has(p.id) ? nextId++ : p.id]));
+      this._activeRoute.points = this._normalizePoints(points.map(p => ({
+        ...p,
+        id: idMap.get(p.id),
+        parentId: p.parentId != null ? (idMap.get(p.parentId) ?? null) : null
+      })));
+      this._nextId = this._maxPointId() + 1;
+      this._setCalibration(calibration);
+    });
+  }
+
+  _normalizePoints(points) {
+    return points.map(p => ({
       id: p.id,
       screenX: p.screenX || 0,
       screenY: p.screenY || 0,
@@ -236,23 +897,47 @@ export default class PointManager {
       heading: p.heading ?? null,
       elevation: p.elevation ?? null,
       directionSource: p.directionSource || null,
-      sensorLevel: p.sensorLevel ?? null
+      sensorLevel: p.sensorLevel ?? null,
+      headingQuality: p.headingQuality ?? null,
+      headingSpread: p.headingSpread ?? null,
+      elevationSpread: p.elevationSpread ?? null,
+      parentId: p.parentId ?? null,
+      fitting: this._normalizeFitting(p.fitting),
+      photo: p.photo ? { ...p.photo } : null
     }));
-    const maxId = this.points.reduce((max, p) => Math.max(max, p.id), 0);
-    this._nextId = maxId + 1;
-    if (calibration) {
-      this._calibration = {
-        pixelsPerMeter: calibration.pixelsPerMeter || null,
-        referenceSegment: calibration.referenceSegment ?? null
-      };
+  }
+
+  _maxPointId() {
+    let maxId = 0;
+    for (const r of this._routes) {
+      for (const p of r.points) maxId = Math.max(maxId, p.id);
     }
-    this._notify();
+    return maxId;
   }
 
+  _setCalibration(calibration) {
+    if (!calibration) return;
+    this._calibration = {
+      pixelsPerMeter: calibration.pixelsPerMeter || null,
+      referenceSegment: calibration.referenceSegment ?? null,
+      plane: calibration.plane ?? null
+    };
+  }
+
+  /** Removes all points of the active route, keeping other routes */
+  clearPoints() {
+    this._commit('全ポイント削除', () => {
+      this._activeRoute.points = [];
+    });
+  }
+
+  /** Resets to a single empty route (new project) */
   clear() {
-    this.points = [];
-    this._nextId = 1;
-    this._calibration = { pixelsPerMeter: null, referenceSegment: null };
-    this._notify();
+    this._commit('全消去', () => {
+      this._routes = [this._createRoute(1, {})];
+      this._activeRouteId = 1;
+      this._nextId = 1;
+      this._calibration = { pixelsPerMeter: null, referenceSegment: null, plane: null };
+    });
   }
 }
@@ -0,0 +1,135 @@
+/**
+ * Portable project package (.pipescan): a ZIP holding manifest.json with
+ * the app version, project metadata, calibration, routes and recording
+ * settings, so a survey can move between devices. Point photos are
+ * stored next to it as photos/<photo id>.jpg.
+ * @module modules/ProjectPackage
+ */
+
+import {
+  APP_VERSION, EXPORT_FILENAME_PREFIX, PACKAGE_EXTENSION, PACKAGE_MANIFEST, PACKAGE_FORMAT_VERSION,
+  PROJECT_SCHEMA_VERSION, PACKAGE_PHOTO_DIR
+} from '../config.js';
+import { downloadBlob, fileTimestamp } from '../utils/dom.js';
+import { createZip, readZip } from '../utils/zip.js';
+import { migrateProject } from '../utils/schema.js';
+
+export default class ProjectPackage {
+  /**
+   * Downloads the project as a .pipescan file
+   * @param {{ projectName: string, metadata: Object, calibration: Object,
+   *           activeRouteId: number, routes: Array<Object>, createdAt?: string }} project
+   * @param {{ distanceMode?: string, directionMode?: string }} [settings] - How the survey was recorded
+   * @param {Map<string, string>} [photos] - Photo id → JPEG data URL of the points' photos
+   */
+  export(project, settings = {}, photos = new Map()) {
+    const bytes = this.build(project, settings, photos);
+    const blob = new Blob([bytes], { type: 'application/zip' });
+    downloadBlob(blob, `${EXPORT_FILENAME_PREFIX}_${fileTimestamp()}${PACKAGE_EXTENSION}`);
+  }
+
+  /**
+   * Builds the package bytes
+   * @param {Object} project - See export
+   * @param {Object} [settings]
+   * @param {Map<string, string>} [photos]
+   * @returns {Uint8Array}
+   */
+  build(project, settings = {}, photos = new Map()) {
+    const manifest = {
+      format: 'pipescan',
+      formatVersion: PACKAGE_FORMAT_VERSION,
+      appVersion: APP_VERSION,
+      exportedAt: new Date().toISOString(),
+      project: {
+        schemaVersion: PROJECT_SCHEMA_VERSION,
+        projectName: project.projectName || '',
+        createdAt: project.createdAt || null,
+        metadata: project.metadata,
+        calibration: project.calibration,
+        activeRouteId: project.activeRouteId ?? null,
+        routes: project.routes
+      },
+      settings
+    };
+    const files = [{ name: PACKAGE_MANIFEST, data: JSON.stringify(manifest) }];
+    for (const [id, dataUrl] of photos) {
+      files.push({ name: `${PACKAGE_PHOTO_DIR}${id}.jpg`, data: dataUrlToBytes(dataUrl) });
+    }
+    return createZip(files);
+  }
+
+  /**
+   * Reads a package and migrates its project to the current schema
+   * @param {Blob|Uint8Array} file
+   * @returns {Promise<{ success: boolean, project?: Object, settings?: Object, appVersion?: string,
+   *                     photos?: Map<string, string>, report?: Array<{ where: string, message: string }>,
+   *                     error?: string }>}
+   *   photos: photo id → JPEG data URL; report: values repaired or dropped by the migration
+   */
+  async read(file) {
+    let manifest;
+    const photos = new Map();
+    try {
+      const bytes = file instanceof Uint8Array ? file : new Uint8Array(await file.arrayBuffer());
+      const entries = await readZip(bytes);
+      const raw = entries.get(PACKAGE_MANIFEST);
+      if (!raw) return { success: false, error: 'プロジェクトファイルではありません' };
+      manifest = JSON.parse(new TextDecoder().decode(raw));
+      for (const [name, data] of entries) {
+        if (name.startsWith(PACKAGE_PHOTO_DIR) && name.endsWith('.jpg')) {
+          photos.set(name.slice(PACKAGE_PHOTO_DIR.length, -'.jpg'.length), bytesToDataUrl(data));
+        }
+      }
+    } catch (error) {
+      console.error('ProjectPackage.read failed:', error);
+      return { success: false, error: 'ファイルを読み込めませんでした' };
+    }
+
+    if (manifest?.format !== 'pipescan' || !manifest.project) {
+      return { success: false, error: 'プロジェクトファイルではありません' };
+    }
+    if (!(manifest.formatVersion <= PACKAGE_FORMAT_VERSION)) {
+      return { success: false, error: '新しいバージョンのアプリで作成されたファイルです。アプリを更新してください' };
+    }
+    const migrated = migrateProject(manifest.project);
+    if (!migrated.success) return migrated;
+
+    // A photo whose image is missing from the package is dropped
+    const report = migrated.report;
+    for (const route of migrated.data.routes) {
+      for (const p of route.points) {
+        if (p.photo && !photos.has(p.photo.id)) {
+          p.photo = null;
+          report.push({ where: `ポイント${p.id}`, message: '写真ファイルがないため写真を破棄しました' });
+        }
+      }
+    }
+    return {
+      success: true,
+      project: migrated.data,
+      settings: manifest.settings || {},
+      appVersion: manifest.appVersion || '',
+      photos,
+      report
+    };
+  }
+}
+
+/** base64 data URL → bytes */
+function dataUrlToBytes(dataUrl) {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/** JPEG bytes → data URL */
+function bytesToDataUrl(bytes) {
+  const CHUNK = 0x8000;
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK));
+  }
+  return `data:image/jpeg;base64,${btoa(binary)}`;
+}
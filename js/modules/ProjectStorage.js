@@ -1,41 +1,69 @@
 /**
- * Project save/load via LocalStorage (v2 - camera UI)
+ * Project library in IndexedDB: any number of saved projects, each a
+ * record with metadata and routes. Records are migrated to the current
+ * schema (utils/schema.js) when read. The old single LocalStorage project
+ * is imported into the library on first use. Every explicit save also
+ * stores a revision snapshot. A separate recovery slot keeps the
+ * autosaved working state apart from explicit saves. Point photos are
+ * stored once in their own store; points only hold the photo id.
  * @module modules/ProjectStorage
  */
 
-import { STORAGE_KEY, APP_VERSION } from '../config.js';
+import {
+  STORAGE_KEY, APP_VERSION, PROJECT_SCHEMA_VERSION, DB_NAME, DB_VERSION, DB_PROJECT_STORE,
+  DB_RECOVERY_STORE, DB_REVISION_STORE, DB_PHOTO_STORE, REVISION_LIMIT
+} from '../config.js';
+import { migrateProject } from '../utils/schema.js';
+
+/** Record key of the single recovery entry */
+const RECOVERY_KEY = 'session';
 
 export default class ProjectStorage {
   constructor() {
-    this._key = STORAGE_KEY;
+    this._dbPromise = null;
+    this._legacyError = null;   // why the LocalStorage project could not be imported
   }
 
   /**
-   * Saves project data to LocalStorage
+   * Saves a project and records the saved state as a new revision.
+   * A null id creates a new library entry.
+   * @param {number|null} id - Library id of the project being saved
    * @param {string} projectName
-   * @param {{ siteName: string, operator: string, pipeType: string }} metadata
-   * @param {Array<Object>} points
-   * @param {{ pixelsPerMeter: number|null, referenceSegment: number|null }} calibration
-   * @returns {{ success: boolean, error?: string }}
+   * @param {{ siteName: string, operator: string, pipeType: string, northReference: string,
+   *           latitude: number|null, longitude: number|null, surveyDate: string, gridZone: string }} metadata
+   * @param {Array<Object>} routes - Route records, each with its points array
+   * @param {{ pixelsPerMeter: number|null, referenceSegment: number|null, plane: Object|null }} calibration
+   * @param {number} [activeRouteId]
+   * @returns {Promise<{ success: boolean, id?: number, error?: string }>}
    */
-  save(projectName, metadata, points, calibration) {
+  async save(id, projectName, metadata, routes, calibration, activeRouteId = null) {
     try {
-      const existing = this._readRaw();
+      const existing = id != null ? await this._get(id) : null;
+      const now = new Date().toISOString();
       const data = {
         version: APP_VERSION,
+        schemaVersion: PROJECT_SCHEMA_VERSION,
         projectName: projectName || '',
-        createdAt: existing?.createdAt || new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
         metadata: {
           siteName: metadata?.siteName || '',
           operator: metadata?.operator || '',
-          pipeType: metadata?.pipeType || ''
+          pipeType: metadata?.pipeType || '',
+          northReference: metadata?.northReference || 'magnetic',
+          latitude: metadata?.latitude ?? null,
+          longitude: metadata?.longitude ?? null,
+          surveyDate: metadata?.surveyDate || '',
+          gridZone: metadata?.gridZone || ''
         },
-        calibration: calibration || { pixelsPerMeter: null, referenceSegment: null },
-        points: points
+        calibration: calibration || { pixelsPerMeter: null, referenceSegment: null, plane: null },
+        activeRouteId,
+        routes
       };
-      localStorage.setItem(this._key, JSON.stringify(data));
-      return { success: true };
+      if (id != null) data.id = id;
+      const savedId = await this._put(data);
+      await this._addRevision(savedId, data);
+      return { success: true, id: savedId };
     } catch (error) {
       console.error('ProjectStorage.save failed:', error);
       return { success: false, error: '保存に失敗しました' };
@@ -43,42 +71,471 @@ export default class ProjectStorage {
   }
 
   /**
-   * Loads project data from LocalStorage
-   * @returns {{ success: boolean, data?: Object, error?: string }}
+   * Loads a project from the library, migrated to the current schema.
+   * report lists every value that was repaired or dropped on the way.
+   * @param {number} id
+   * @returns {Promise<{ success: boolean, data?: Object,
+   *                     report?: Array<{ where: string, message: string }>, error?: string }>}
    */
-  load() {
+  async load(id) {
     try {
-      const data = this._readRaw();
+      const data = await this._get(id);
       if (!data) {
-        return { success: false, error: '保存されたプロジェクトがありません' };
-      }
-      if (!this._validate(data)) {
-        return { success: false, error: 'データが破損しています' };
+        return { success: false, error: 'プロジェクトが見つかりません' };
       }
-      return { success: true, data };
+      const migrated = migrateProject(data);
+      if (!migrated.success) return migrated;
+      return { success: true, data: { ...migrated.data, id }, report: migrated.report };
     } catch (error) {
       console.error('ProjectStorage.load failed:', error);
       return { success: false, error: '読み込みに失敗しました' };
     }
   }
 
-  hasProject() {
-    return localStorage.getItem(this._key) !== null;
+  /**
+   * Lists saved projects, newest first. The query matches project name,
+   * site name or operator; from/to limit the last-saved date (YYYY-MM-DD, inclusive).
+   * Records the schema cannot read (e.g. saved by a newer version) are listed
+   * with the migration error, so they can still be deleted.
+   * @param {{ query?: string, from?: string, to?: string }} [filter]
+   * @returns {Promise<{ success: boolean, projects?: Array<{ id: number, projectName: string,
+   *           siteName: string, operator: string, pipeType: string, createdAt: string,
+   *           updatedAt: string, routeCount: number|null, pointCount: number|null,
+   *           error?: string }>, error?: string }>} error: set for an unreadable record
+   */
+  async list({ query = '', from = '', to = '' } = {}) {
+    try {
+      const records = await this._getAll();
+      const q = query.trim().toLowerCase();
+      const projects = records
+        .map((r) => {
+          const migrated = migrateProject(r);
+          return migrated.success ? this._summary(migrated.data) : this._unreadableSummary(r, migrated.error);
+        })
+        .filter(p => !q || [p.projectName, p.siteName, p.operator].some(v => v.toLowerCase().includes(q)))
+        .filter(p => {
+          const day = localDate(p.updatedAt);
+          return (!from || day >= from) && (!to || day <= to);
+        })
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+      return { success: true, projects };
+    } catch (error) {
+      console.error('ProjectStorage.list failed:', error);
+      return { success: false, error: 'プロジェクト一覧を取得できませんでした' };
+    }
+  }
+
+  /**
+   * @param {number} id
+   * @param {string} projectName
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async rename(id, projectName) {
+    try {
+      const data = await this._get(id);
+      if (!data) return { success: false, error: 'プロジェクトが見つかりません' };
+      data.projectName = projectName;
+      data.updatedAt = new Date().toISOString();
+      await this._put(data);
+      return { success: true };
+    } catch (error) {
+      console.error('ProjectStorage.rename failed:', error);
+      return { success: false, error: '名前を変更できませんでした' };
+    }
   }
 
-  clear() {
-    localStorage.removeItem(this._key);
+  /**
+   * Copies a project into a new library entry
+   * @param {number} id
+   * @returns {Promise<{ success: boolean, id?: number, error?: string }>}
+   */
+  async duplicate(id) {
+    try {
+      const data = await this._get(id);
+      if (!data) return { success: false, error: 'プロジェクトが見つかりません' };
+      const now = new Date().toISOString();
+      const copy = { ...data, projectName: `${data.projectName || '無題'} のコピー`, createdAt: now, updatedAt: now };
+      delete copy.id;
+      const newId = await this._put(copy);
+      await this._addRevision(newId, copy);
+      return { success: true, id: newId };
+    } catch (error) {
+      console.error('ProjectStorage.duplicate failed:', error);
+      return { success: false, error: '複製できませんでした' };
+    }
   }
 
-  _readRaw() {
-    const raw = localStorage.getItem(this._key);
-    if (!raw) return null;
-    return JSON.parse(raw);
+  /**
+   * @param {number} id
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async remove(id) {
+    try {
+      await this._transaction('readwrite', store => store.delete(id));
+      await this._transaction('readwrite', store => this._deleteRevisions(store, id, Infinity),
+        { storeName: DB_REVISION_STORE });
+      return { success: true };
+    } catch (error) {
+      console.error('ProjectStorage.remove failed:', error);
+      return { success: false, error: '削除できませんでした' };
+    }
   }
 
-  _validate(data) {
-    if (!data || typeof data !== 'object') return false;
-    if (!Array.isArray(data.points)) return false;
-    return true;
+  // ─── Revisions ───────────────────────────────────────────
+
+  /**
+   * Saved revisions of a project, newest first
+   * @param {number} projectId
+   * @returns {Promise<{ success: boolean, revisions?: Array<{ id: number, revision: number,
+   *           savedAt: string, projectName: string, routeCount: number, pointCount: number }>,
+   *           error?: string }>}
+   */
+  async listRevisions(projectId) {
+    try {
+      const records = await this._transaction('readonly',
+        store => store.index('projectId').getAll(projectId), { storeName: DB_REVISION_STORE });
+      const revisions = records.map(r => {
+        const routes = Array.isArray(r.routes) ? r.routes : [];
+        return {
+          id: r.id,
+          revision: r.revision,
+          savedAt: r.savedAt,
+          projectName: r.projectName || '',
+          routeCount: routes.length,
+          pointCount: routes.reduce((sum, route) => sum + (route?.points?.length || 0), 0)
+        };
+      }).sort((a, b) => b.revision - a.revision);
+      return { success: true, revisions };
+    } catch (error) {
+      console.error('ProjectStorage.listRevisions failed:', error);
+      return { success: false, error: '履歴を取得できませんでした' };
+    }
   }
+
+  /**
+   * Loads one revision, migrated to the current schema
+   * @param {number} revisionId
+   * @returns {Promise<{ success: boolean, data?: Object,
+   *                     report?: Array<{ where: string, message: string }>, error?: string }>}
+   */
+  async loadRevision(revisionId) {
+    try {
+      const raw = await this._transaction('readonly', store => store.get(revisionId),
+        { storeName: DB_REVISION_STORE });
+      if (!raw) return { success: false, error: '履歴が見つかりません' };
+      return migrateProject(raw);
+    } catch (error) {
+      console.error('ProjectStorage.loadRevision failed:', error);
+      return { success: false, error: '履歴を読み込めませんでした' };
+    }
+  }
+
+  /** Stores a snapshot of a saved project and prunes beyond REVISION_LIMIT */
+  async _addRevision(projectId, data) {
+    const store = { storeName: DB_REVISION_STORE };
+    const existing = await this._transaction('readonly',
+      s => s.index('projectId').getAll(projectId), store);
+    const revision = existing.reduce((max, r) => Math.max(max, r.revision), 0) + 1;
+    const { id, createdAt, updatedAt, ...snapshot } = data;
+    await this._transaction('readwrite',
+      s => s.add({ ...snapshot, projectId, revision, savedAt: updatedAt }), store);
+    if (existing.length + 1 > REVISION_LIMIT) {
+      await this._transaction('readwrite',
+        s => this._deleteRevisions(s, projectId, existing.length + 1 - REVISION_LIMIT), store);
+    }
+  }
+
+  /** Deletes the oldest `count` revisions of a project (cursor walks in key = age order) */
+  _deleteRevisions(store, projectId, count) {
+    let deleted = 0;
+    const request = store.index('projectId').openCursor(projectId);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || deleted >= count) return;
+      cursor.delete();
+      deleted++;
+      cursor.continue();
+    };
+    return request;
+  }
+
+  // ─── Recovery Slot ───────────────────────────────────────
+
+  /**
+   * Writes the working state to the recovery slot (never to the library)
+   * @param {{ projectId: number|null, projectName: string, metadata: Object,
+   *           routes: Array<Object>, calibration: Object, activeRouteId: number }} state
+   * @returns {Promise<{ success: boolean, error?: string }>}
+   */
+  async saveRecovery(state) {
+    try {
+      const data = {
+        ...state,
+        version: APP_VERSION,
+        schemaVersion: PROJECT_SCHEMA_VERSION,
+        savedAt: new Date().toISOString()
+      };
+      await this._transaction('readwrite',
+        store => store.put(data, RECOVERY_KEY), { storeName: DB_RECOVERY_STORE });
+      return { success: true };
+    } catch (error) {
+      console.error('ProjectStorage.saveRecovery failed:', error);
+      return { success: false, error: '自動保存に失敗しました' };
+    }
+  }
+
+  /**
+   * Reads the recovery slot, migrated to the current schema
+   * @returns {Promise<{ success: boolean, data?: Object|null,
+   *                     report?: Array<{ where: string, message: string }>, error?: string }>}
+   *   data: null when there is nothing to recover
+   */
+  async loadRecovery() {
+    try {
+      const raw = await this._transaction('readonly',
+        store => store.get(RECOVERY_KEY), { storeName: DB_RECOVERY_STORE });
+      if (!raw) return { success: true, data: null };
+      const migrated = migrateProject(raw);
+      if (!migrated.success) return migrated;
+      return { success: true, data: migrated.data, report: migrated.report };
+    } catch (error) {
+      console.error('ProjectStorage.loadRecovery failed:', error);
+      return { success: false, error: '自動保存データを読み込めませんでした' };
+    }
+  }
+
+  /** @returns {Promise<{ success: boolean, error?: string }>} */
+  async clearRecovery() {
+    try {
+      await this._transaction('readwrite',
+        store => store.delete(RECOVERY_KEY), { storeName: DB_RECOVERY_STORE });
+      return { success: true };
+    } catch (error) {
+      console.error('ProjectStorage.clearRecovery failed:', error);
+      return { success: false, error: '自動保存データを削除できませんでした' };
+    }
+  }
+
+  // ─── Photos ──────────────────────────────────────────────
+
+  /**
+   * Stores a point photo
+   * @param {string} dataUrl - JPEG data URL
+   * @param {string} [id] - Photo id (imports keep theirs); a new one by default
+   * @returns {Promise<{ success: boolean, id?: string, error?: string }>}
+   */
+  async savePhoto(dataUrl, id = newPhotoId()) {
+    try {
+      await this._transaction('readwrite',
+        store => store.put(dataUrl, id), { storeName: DB_PHOTO_STORE });
+      return { success: true, id };
+    } catch (error) {
+      console.error('ProjectStorage.savePhoto failed:', error);
+      return { success: false, error: '写真を保存できませんでした' };
+    }
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<{ success: boolean, dataUrl?: string|null, error?: string }>}
+   *   dataUrl: null when the photo is not in the store
+   */
+  async loadPhoto(id) {
+    try {
+      const dataUrl = await this._transaction('readonly',
+        store => store.get(id), { storeName: DB_PHOTO_STORE });
+      return { success: true, dataUrl: dataUrl ?? null };
+    } catch (error) {
+      console.error('ProjectStorage.loadPhoto failed:', error);
+      return { success: false, error: '写真を読み込めませんでした' };
+    }
+  }
+
+  /**
+   * Deletes photos that no project, revision or recovery state refers to.
+   * Call only while no unsaved photos can exist (at startup, before
+   * anything is recorded).
+   * @returns {Promise<{ success: boolean, removed?: number, error?: string }>}
+   */
+  async prunePhotos() {
+    try {
+      const states = [
+        ...await this._getAll(),
+        ...await this._transaction('readonly', store => store.getAll(), { storeName: DB_REVISION_STORE }),
+        ...await this._transaction('readonly', store => store.getAll(), { storeName: DB_RECOVERY_STORE })
+      ];
+      const used = new Set(states.flatMap(s => (Array.isArray(s.routes) ? s.routes : []))
+        .flatMap(r => (Array.isArray(r?.points) ? r.points : []))
+        .map(p => p?.photo?.id)
+        .filter(Boolean));
+      const ids = await this._transaction('readonly', store => store.getAllKeys(), { storeName: DB_PHOTO_STORE });
+      const unused = ids.filter(id => !used.has(id));
+      if (unused.length > 0) {
+        await this._transaction('readwrite', (store) => {
+          for (const id of unused) store.delete(id);
+          return store.count();
+        }, { storeName: DB_PHOTO_STORE });
+      }
+      return { success: true, removed: unused.length };
+    } catch (error) {
+      console.error('ProjectStorage.prunePhotos failed:', error);
+      return { success: false, error: '写真を整理できませんでした' };
+    }
+  }
+
+  /**
+   * Why the single LocalStorage project (pre-library saves) could not be
+   * imported into the library; it stays in LocalStorage untouched
+   * @returns {Promise<string|null>} null when there was nothing to import or it was imported
+   */
+  async legacyImportError() {
+    try {
+      await this._db();
+    } catch {
+      return null;
+    }
+    return this._legacyError;
+  }
+
+  // ─── IndexedDB ───────────────────────────────────────────
+
+  /** Opens the database once and imports the legacy LocalStorage project */
+  _db() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(DB_PROJECT_STORE)) {
+            db.createObjectStore(DB_PROJECT_STORE, { keyPath: 'id', autoIncrement: true });
+          }
+          if (!db.objectStoreNames.contains(DB_RECOVERY_STORE)) {
+            db.createObjectStore(DB_RECOVERY_STORE);
+          }
+          if (!db.objectStoreNames.contains(DB_REVISION_STORE)) {
+            const revisions = db.createObjectStore(DB_REVISION_STORE, { keyPath: 'id', autoIncrement: true });
+            revisions.createIndex('projectId', 'projectId');
+          }
+          if (!db.objectStoreNames.contains(DB_PHOTO_STORE)) {
+            db.createObjectStore(DB_PHOTO_STORE);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).then(async (db) => {
+        await this._migrateLegacy(db);
+        return db;
+      });
+      // Let a later call retry after a failed open
+      this._dbPromise.catch(() => { this._dbPromise = null; });
+    }
+    return this._dbPromise;
+  }
+
+  /**
+   * Runs fn(store) in a transaction and resolves with the request result
+   * once the transaction completes
+   * @param {IDBTransactionMode} mode
+   * @param {function(IDBObjectStore): IDBRequest} fn
+   * @param {{ db?: IDBDatabase, storeName?: string }} [options] - db: use while opening
+   */
+  async _transaction(mode, fn, { db = null, storeName = DB_PROJECT_STORE } = {}) {
+    db = db || await this._db();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  _get(id) {
+    return this._transaction('readonly', store => store.get(id));
+  }
+
+  _getAll() {
+    return this._transaction('readonly', store => store.getAll());
+  }
+
+  _put(data) {
+    return this._transaction('readwrite', store => store.put(data));
+  }
+
+  /** Moves the single LocalStorage project (pre-library saves) into the library */
+  async _migrateLegacy(db) {
+    let raw;
+    try {
+      raw = localStorage.getItem(STORAGE_KEY);
+    } catch {
+      return;
+    }
+    if (!raw) return;
+    // The LocalStorage copy is the only one: remove it only once it is in the library
+    try {
+      const migrated = migrateProject(JSON.parse(raw));
+      if (!migrated.success) {
+        this._legacyError = migrated.error;
+        return;
+      }
+      const { id, ...data } = migrated.data;
+      await this._transaction('readwrite', store => store.add(data), { db });
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      // Kept, so the next start can retry
+      console.error('ProjectStorage legacy migration failed:', error);
+      if (error instanceof SyntaxError) this._legacyError = 'データが破損しています';
+    }
+  }
+
+  // ─── Records ─────────────────────────────────────────────
+
+  _summary(data) {
+    return {
+      id: data.id,
+      projectName: data.projectName || '',
+      siteName: data.metadata?.siteName || '',
+      operator: data.metadata?.operator || '',
+      pipeType: data.metadata?.pipeType || '',
+      createdAt: data.createdAt || '',
+      updatedAt: data.updatedAt || data.createdAt || '',
+      routeCount: data.routes.length,
+      pointCount: data.routes.reduce((sum, r) => sum + r.points.length, 0)
+    };
+  }
+
+  /** Summary from whatever text fields a record the schema cannot read still has */
+  _unreadableSummary(record, error) {
+    const text = (v) => (typeof v === 'string' ? v : '');
+    return {
+      id: record.id,
+      projectName: text(record.projectName),
+      siteName: text(record.metadata?.siteName),
+      operator: text(record.metadata?.operator),
+      pipeType: text(record.metadata?.pipeType),
+      createdAt: text(record.createdAt),
+      updatedAt: text(record.updatedAt) || text(record.createdAt),
+      routeCount: null,
+      pointCount: null,
+      error
+    };
+  }
+}
+
+/** Random id for a new photo (unique across projects and packages) */
+function newPhotoId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * ISO timestamp → local calendar date 'YYYY-MM-DD' ('' when missing)
+ * @param {string} iso
+ * @returns {string}
+ */
+function localDate(iso) {
+  const d = new Date(iso);
+  if (!iso || isNaN(d)) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
 }
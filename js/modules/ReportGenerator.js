@@ -0,0 +1,211 @@
+/**
+ * Survey report: a self-contained, paginated HTML document with the
+ * project header, plan and elevation views, per-route point tables,
+ * total length, and point photos with memos. Printed through the
+ * browser's print dialog (also "Save as PDF"), so it works offline.
+ * @module modules/ReportGenerator
+ */
+
+import { EXPORT_FILENAME_PREFIX, FITTING_TYPES, VALVE_TYPES } from '../config.js';
+import { downloadBlob, fileTimestamp } from '../utils/dom.js';
+import { formatDistance, hasNextSegment, totalRouteLength, routesTotalLength } from '../utils/math.js';
+import { correctHeading, sourceOffset, northLabel } from '../utils/geomag.js';
+
+/** Point directionSource → label */
+const SOURCE_LABELS = {
+  fusion: 'センサー融合',
+  compass: 'コンパス',
+  gyro: 'ジャイロ',
+  accel: '加速度',
+  manual: '手動',
+  ar: 'AR',
+  marker: 'マーカー',
+  derived: '推定'
+};
+
+export default class ReportGenerator {
+  /**
+   * Opens the print dialog for the report
+   * @param {Object} project - See _buildHtml
+   * @param {Object} [assets] - See _buildHtml
+   */
+  print(project, assets = {}) {
+    const html = this._buildHtml(project, assets);
+    const frame = document.createElement('iframe');
+    frame.style.cssText = 'position:fixed;width:0;height:0;border:0;visibility:hidden;';
+    frame.addEventListener('load', () => {
+      const win = frame.contentWindow;
+      win.addEventListener('afterprint', () => frame.remove());
+      // Photos are data URLs, but give them a frame to decode before printing
+      setTimeout(() => win.print(), 100);
+    });
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+  }
+
+  /**
+   * Downloads the report as an HTML file
+   * @param {Object} project - See _buildHtml
+   * @param {Object} [assets] - See _buildHtml
+   */
+  exportHTML(project, assets = {}) {
+    const html = this._buildHtml(project, assets);
+    const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+    downloadBlob(blob, `${EXPORT_FILENAME_PREFIX}_report_${fileTimestamp()}.html`);
+  }
+
+  /**
+   * @param {{ projectName: string, metadata: { siteName: string, operator: string, pipeType: string },
+   *           routes: Array<Object>, createdAt?: string|null, updatedAt?: string|null,
+   *           northReference?: string, headingOffset?: number }} project
+   *   headingOffset: degrees from stored headings to northReference (see utils/geomag)
+   * @param {{ views?: { top?: string|null, side?: string|null },
+   *           photos?: Map<string, string> }} assets - View images and photo id → data URL
+   * @returns {string}
+   */
+  _buildHtml(project, { views = {}, photos = new Map() } = {}) {
+    const e = (v) => this._escapeHtml(v);
+    const routes = project.routes.filter(r => r.points.length > 0);
+    const meta = project.metadata || {};
+    const offset = project.headingOffset ?? 0;
+    const north = northLabel(project.northReference);
+    const heading = (value, source) => `${correctHeading(value, sourceOffset(source, offset)).toFixed(1)}°`;
+    const spread = (value) => (value != null ? ` ±${value.toFixed(1)}°` : '');
+    const times = routes.flatMap(r => r.points.map(p => Date.parse(p.createdAt))).filter(t => !isNaN(t));
+    const surveyed = times.length > 0
+      ? this._dateRange(Math.min(...times), Math.max(...times)) : '-';
+
+    const header = [
+      ['プロジェクト', e(project.projectName || '（無題）')],
+      ['現場', e(meta.siteName || '-')],
+      ['作成者', e(meta.operator || '-')],
+      ['配管種別', e(meta.pipeType || '-')],
+      ['測量日', surveyed],
+      ['方位基準', northLabel(project.northReference, offset)],
+      ['作成日', project.createdAt ? this._date(project.createdAt) : '-'],
+      ['最終保存', project.updatedAt ? this._date(project.updatedAt) : '-'],
+      ['報告書作成', this._date(new Date().toISOString())]
+    ].map(([k, v]) => `<tr><th>${k}</th><td>${v}</td></tr>`).join('');
+
+    const summary = this._table(
+      ['路線', '配管種別', '点数', '延長 (m)'],
+      [
+        ...routes.map(r => [
+          e(r.name), e(r.pipeType || meta.pipeType || '-'), r.points.length, formatDistance(totalRouteLength(r.points))
+        ]),
+        ['<strong>合計</strong>', '', routes.reduce((n, r) => n + r.points.length, 0),
+          `<strong>${formatDistance(routesTotalLength(routes))}</strong>`]
+      ]
+    );
+
+    const viewFigures = [['top', `平面図（上が${north}）`], ['side', `側面図（${north}から見た東西方向）`]]
+      .filter(([key]) => views[key])
+      .map(([key, caption]) => `<figure class="view"><img src="${views[key]}" alt=""><figcaption>${caption}</figcaption></figure>`)
+      .join('');
+
+    const pointSections = routes.map(route => {
+      const rows = route.points.map((p, i) => [
+        i + 1,
+        p.id,
+        hasNextSegment(route.points, i) ? (p.distanceToNext !== null ? formatDistance(p.distanceToNext) : '未入力') : '',
+        p.heading != null
+          ? `${heading(p.heading, p.directionSource)}${spread(p.headingSpread)}${p.headingQuality === 'suspect' ? ' ⚠' : ''}` : '-',
+        p.elevation != null ? `${p.elevation.toFixed(1)}°${spread(p.elevationSpread)}` : '-',
+        e(SOURCE_LABELS[p.directionSource] || p.directionSource || '-'),
+        p.sensorLevel ?? '-',
+        p.fitting ? e(this._fittingText(p.fitting)) : '',
+        e(p.memo || '')
+      ]);
+      return `<section class="route"><h2>${e(route.name)} — ポイント一覧</h2>` + this._table(
+        ['No.', 'ID', '次点まで (m)', '方位角', '仰俯角', '方向の取得元', 'センサー水準', '継手', 'メモ'], rows
+      ) + `<p class="total">延長: ${formatDistance(totalRouteLength(route.points))}m</p></section>`;
+    }).join('\n');
+
+    const photoFigures = routes.flatMap(route => route.points.map((p, i) => {
+      const url = p.photo && photos.get(p.photo.id);
+      if (!url) return '';
+      const caption = [
+        `<strong>${e(route.name)} No.${i + 1}</strong> (ID ${p.id})`,
+        p.memo && e(p.memo),
+        `撮影: ${this._date(p.photo.takenAt, true)}`,
+        p.photo.heading != null && `方位 ${heading(p.photo.heading, p.photo.directionSource)} / 仰俯角 ${(p.photo.elevation ?? 0).toFixed(1)}°`
+      ].filter(Boolean).join('<br>');
+      return `<figure class="photo"><img src="${url}" alt=""><figcaption>${caption}</figcaption></figure>`;
+    })).join('');
+
+    return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="UTF-8">
+<title>配管調査報告書</title>
+<style>
+  @page { size: A4; margin: 12mm; }
+  body { font-family: sans-serif; font-size: 11px; margin: 16px; color: #000; }
+  h1 { font-size: 20px; margin: 0 0 8px; }
+  h2 { font-size: 14px; margin: 0 0 6px; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 8px; }
+  th, td { border: 1px solid #999; padding: 3px 6px; text-align: left; }
+  th { background: #eee; }
+  thead { display: table-header-group; }
+  tr, figure { break-inside: avoid; }
+  .header th { width: 25%; }
+  .views { display: flex; flex-direction: column; gap: 8px; }
+  figure { margin: 0; }
+  .view img { width: 100%; border: 1px solid #999; }
+  .photos { display: grid; grid-template-columns: 1fr 1fr; gap: 10px; }
+  .photo img { width: 100%; max-height: 70mm; object-fit: contain; border: 1px solid #999; }
+  figcaption { font-size: 10px; margin-top: 2px; }
+  .total { text-align: right; font-weight: bold; }
+  section { break-before: page; }
+  section.first { break-before: auto; }
+  @media print { body { margin: 0; } h2 { break-after: avoid; } }
+</style>
+</head>
+<body>
+<section class="first">
+<h1>配管調査報告書</h1>
+<table class="header"><tbody>${header}</tbody></table>
+<h2>延長</h2>
+${summary}
+</section>
+${viewFigures ? `<section><h2>図面</h2><div class="views">${viewFigures}</div></section>` : ''}
+${pointSections}
+${photoFigures ? `<section><h2>写真</h2><div class="photos">${photoFigures}</div></section>` : ''}
+</body>
+</html>
+`;
+  }
+
+  _table(headers, rows) {
+    return `<table><thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>` +
+      `<tbody>${rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+  }
+
+  _fittingText(fitting) {
+    const def = FITTING_TYPES[fitting.type];
+    let text = def?.label || fitting.type;
+    if (fitting.angle != null && fitting.angle !== def?.angle) text += ` ${fitting.angle}°`;
+    if (fitting.size != null) text += ` ${fitting.size}A`;
+    if (fitting.outletSize != null) text += `×${fitting.outletSize}A`;
+    if (fitting.valveType) text += ` ${VALVE_TYPES[fitting.valveType] || fitting.valveType}`;
+    return text;
+  }
+
+  _date(iso, withTime = false) {
+    const d = new Date(iso);
+    if (isNaN(d)) return '-';
+    return withTime ? d.toLocaleString('ja-JP') : d.toLocaleDateString('ja-JP');
+  }
+
+  _dateRange(from, to) {
+    const a = this._date(new Date(from).toISOString());
+    const b = this._date(new Date(to).toISOString());
+    return a === b ? a : `${a} 〜 ${b}`;
+  }
+
+  _escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, (c) => (
+      { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+  }
+}
@@ -1,12 +1,15 @@
 /**
  * Converts point data into Three.js 3D objects (spheres + line/tube route)
- * Supports wire mode (thin line) and pipe mode (tube with custom radius)
+ * Supports wire mode (thin line) and pipe mode (tube with custom radius).
+ * In pipe mode, points tagged as fittings get simple fitting geometry.
  * @module modules/RouteGenerator
  */
 
 import * as THREE from 'three';
-import { POINT_DIAMETER, POINT_COLOR_3D, ROUTE_COLOR_3D } from '../config.js';
-import { pointsToPositions } from '../utils/math.js';
+import {
+  POINT_DIAMETER, POINT_COLOR_3D, ROUTE_COLOR_3D, FITTING_COLOR_3D, SUSPECT_COLOR_3D
+} from '../config.js';
+import { pointsToPositions, hasNextSegment, getBranchRuns } from '../utils/math.js';
 
 const DEFAULT_TUBE_RADIUS = 0.025;
 const PIPE_RADIAL_SEGMENTS = 16;
@@ -14,59 +17,90 @@ const PIPE_RADIAL_SEGMENTS = 16;
 export default class RouteGenerator {
   constructor() {
     this._pointMaterial = new THREE.MeshStandardMaterial({ color: POINT_COLOR_3D });
-    this._tubeMaterial = new THREE.MeshStandardMaterial({ color: ROUTE_COLOR_3D });
-    this._lineMaterial = new THREE.LineBasicMaterial({ color: ROUTE_COLOR_3D, linewidth: 2 });
+    this._suspectMaterial = new THREE.MeshStandardMaterial({ color: SUSPECT_COLOR_3D });
+    this._routeMaterials = new Map(); // color → { tube, line }
+    this._fittingMaterial = new THREE.MeshStandardMaterial({
+      color: FITTING_COLOR_3D, metalness: 0.4, roughness: 0.5
+    });
     this._sphereGeometry = new THREE.SphereGeometry(POINT_DIAMETER / 2, 16, 12);
   }
 
   /**
-   * Builds a THREE.Group from distance-based point data
-   * @param {Array<{ id: number, distanceToNext: number|null }>} points
+   * Returns (and caches) tube/line materials for a route color
+   * @param {string|number} color
+   */
+  _materialsFor(color) {
+    if (!this._routeMaterials.has(color)) {
+      this._routeMaterials.set(color, {
+        tube: new THREE.MeshStandardMaterial({ color }),
+        line: new THREE.LineBasicMaterial({ color, linewidth: 2 })
+      });
+    }
+    return this._routeMaterials.get(color);
+  }
+
+  /**
+   * Builds a THREE.Group from a route's distance-based point data
+   * @param {{ id?: number, name?: string, color?: string, diameter?: number|null,
+   *           origin?: { x: number, y: number, z: number },
+   *           points: Array<{ id: number, distanceToNext: number|null }> }} route
    * @param {'wire'|'pipe'} displayMode
-   * @param {number} pipeRadius - Pipe outer radius in meters (pipe mode only)
+   * @param {number} pipeRadius - Default pipe outer radius in meters (pipe mode, when the route has no diameter)
+   * @param {number} [headingOffset=0] - Degrees from stored headings to the reference north
    * @returns {THREE.Group}
    */
-  buildRouteGroup(points, displayMode = 'wire', pipeRadius = DEFAULT_TUBE_RADIUS) {
+  buildRouteGroup(route, displayMode = 'wire', pipeRadius = DEFAULT_TUBE_RADIUS, headingOffset = 0) {
     const group = new THREE.Group();
-    group.name = 'routeGroup';
+    group.name = route.name || 'routeGroup';
+    group.userData = { routeId: route.id ?? null, pipeType: route.pipeType || '' };
+    const points = route.points;
     if (points.length === 0) return group;
 
-    const positions = pointsToPositions(points);
+    const positions = pointsToPositions(points, route.origin, headingOffset);
+    const materials = this._materialsFor(route.color || ROUTE_COLOR_3D);
+    const radius = route.diameter ? route.diameter / 2000 : pipeRadius; // mm → m
 
-    // Feature point spheres
+    // Feature point spheres; points whose heading was flagged during capture stand out
     positions.forEach((pos, i) => {
-      const mesh = new THREE.Mesh(this._sphereGeometry, this._pointMaterial);
+      const material = points[i].headingQuality === 'suspect' ? this._suspectMaterial : this._pointMaterial;
+      const mesh = new THREE.Mesh(this._sphereGeometry, material);
       mesh.position.set(pos.x, pos.y, pos.z);
-      mesh.userData = { pointId: points[i].id };
+      mesh.userData = { pointId: points[i].id, fittingType: points[i].fitting?.type ?? null };
       group.add(mesh);
     });
 
     // Route segments
     if (positions.length >= 2) {
       if (displayMode === 'pipe') {
-        this._buildPipeSegments(group, positions, pipeRadius);
+        this._buildPipeSegments(group, points, positions, radius, materials.tube);
+        this._buildFittings(group, points, positions, radius);
       } else {
-        this._buildWireSegments(group, positions);
+        this._buildWireSegments(group, points, positions, materials.line);
       }
     }
 
     return group;
   }
 
-  /** Wire mode: THREE.Line between consecutive points */
-  _buildWireSegments(group, positions) {
-    const vecs = positions.map(p => new THREE.Vector3(p.x, p.y, p.z));
-    const geo = new THREE.BufferGeometry().setFromPoints(vecs);
-    const line = new THREE.Line(geo, this._lineMaterial);
-    line.name = 'routeLine';
-    group.add(line);
+  /** Wire mode: one THREE.Line per branch run */
+  _buildWireSegments(group, points, positions, material) {
+    for (const run of getBranchRuns(points)) {
+      if (run.end === run.start) continue;
+      const vecs = positions.slice(run.start, run.end + 1)
+        .map(p => new THREE.Vector3(p.x, p.y, p.z));
+      const geo = new THREE.BufferGeometry().setFromPoints(vecs);
+      const line = new THREE.Line(geo, material);
+      line.name = 'routeLine';
+      group.add(line);
+    }
   }
 
   /** Pipe mode: CylinderGeometry segments + sphere joints */
-  _buildPipeSegments(group, positions, radius) {
+  _buildPipeSegments(group, points, positions, radius, material) {
     const yAxis = new THREE.Vector3(0, 1, 0);
 
     for (let i = 0; i < positions.length - 1; i++) {
+      if (!hasNextSegment(points, i)) continue;
       const p1 = new THREE.Vector3(positions[i].x, positions[i].y, positions[i].z);
       const p2 = new THREE.Vector3(positions[i + 1].x, positions[i + 1].y, positions[i + 1].z);
       const length = p1.distanceTo(p2);
@@ -75,7 +109,7 @@ export default class RouteGenerator {
       const cylGeo = new THREE.CylinderGeometry(
         radius, radius, length, PIPE_RADIAL_SEGMENTS, 1, false
       );
-      const cylMesh = new THREE.Mesh(cylGeo, this._tubeMaterial);
+      const cylMesh = new THREE.Mesh(cylGeo, material);
 
       // Position at midpoint
       cylMesh.position.set(
@@ -93,17 +127,116 @@ export default class RouteGenerator {
     // Sphere joints to fill gaps at bends
     for (let i = 0; i < positions.length; i++) {
       const capGeo = new THREE.SphereGeometry(radius, PIPE_RADIAL_SEGMENTS, 8);
-      const capMesh = new THREE.Mesh(capGeo, this._tubeMaterial);
+      const capMesh = new THREE.Mesh(capGeo, material);
       capMesh.position.set(positions[i].x, positions[i].y, positions[i].z);
       capMesh.name = 'routeTube';
       group.add(capMesh);
     }
   }
 
+  /** Pipe mode: fitting geometry at points tagged as fittings */
+  _buildFittings(group, points, positions, radius) {
+    const vec = (p) => new THREE.Vector3(p.x, p.y, p.z);
+    const unit = (v) => (v.length() < 0.0001 ? null : v.normalize());
+
+    points.forEach((p, i) => {
+      if (!p.fitting) return;
+      // Incoming segment: a branch start has none of its own
+      const hasIn = p.parentId == null && hasNextSegment(points, i - 1);
+      const dirIn = hasIn ? unit(vec(positions[i]).sub(vec(positions[i - 1]))) : null;
+      const dirOut = hasNextSegment(points, i)
+        ? unit(vec(positions[i + 1]).sub(vec(positions[i]))) : null;
+
+      const fitting = this._buildFitting(p.fitting, radius, dirIn, dirOut);
+      fitting.position.copy(vec(positions[i]));
+      fitting.name = `fitting_${p.fitting.type}`;
+      fitting.userData = { pointId: p.id, ...p.fitting };
+      group.add(fitting);
+    });
+  }
+
+  /**
+   * Builds one fitting as a group centred on its point
+   * @param {{ type: string, size: number|null, outletSize: number|null }} fitting
+   * @param {number} radius - Pipe radius (m)
+   * @param {THREE.Vector3|null} dirIn - Incoming segment direction
+   * @param {THREE.Vector3|null} dirOut - Outgoing segment direction
+   * @returns {THREE.Group}
+   */
+  _buildFitting(fitting, radius, dirIn, dirOut) {
+    const group = new THREE.Group();
+    const axis = dirOut || dirIn || new THREE.Vector3(1, 0, 0);
+    const add = (geometry, direction = axis, offset = 0) => {
+      const mesh = new THREE.Mesh(geometry, this._fittingMaterial);
+      mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+      mesh.position.copy(direction).multiplyScalar(offset);
+      mesh.name = 'routeFitting';
+      group.add(mesh);
+      return mesh;
+    };
+    const r = radius;
+
+    switch (fitting.type) {
+      case 'elbow45':
+      case 'elbow90': {
+        if (dirIn && dirOut && dirIn.angleTo(dirOut) > 0.02) {
+          // Bent sleeve following the bend
+          const curve = new THREE.QuadraticBezierCurve3(
+            dirIn.clone().multiplyScalar(-3 * r), new THREE.Vector3(), dirOut.clone().multiplyScalar(3 * r)
+          );
+          const mesh = new THREE.Mesh(
+            new THREE.TubeGeometry(curve, 12, r * 1.2, PIPE_RADIAL_SEGMENTS, false), this._fittingMaterial
+          );
+          mesh.name = 'routeFitting';
+          group.add(mesh);
+        } else {
+          add(new THREE.CylinderGeometry(r * 1.2, r * 1.2, r * 3, PIPE_RADIAL_SEGMENTS));
+        }
+        break;
+      }
+      case 'tee':
+        add(new THREE.SphereGeometry(r * 1.4, PIPE_RADIAL_SEGMENTS, 12));
+        add(new THREE.CylinderGeometry(r * 1.2, r * 1.2, r * 4, PIPE_RADIAL_SEGMENTS));
+        break;
+      case 'reducer': {
+        // Cone narrowing towards the outlet side
+        const ratio = fitting.size && fitting.outletSize
+          ? Math.min(1, Math.max(0.2, fitting.outletSize / fitting.size)) : 0.6;
+        add(new THREE.CylinderGeometry(r * ratio, r * 1.2, r * 3, PIPE_RADIAL_SEGMENTS), axis, r * 1.5);
+        break;
+      }
+      case 'valve': {
+        // Bow-tie body with a stem and handwheel pointing up (or sideways on risers)
+        add(new THREE.CylinderGeometry(0, r * 1.8, r * 2, PIPE_RADIAL_SEGMENTS), axis, -r);
+        add(new THREE.CylinderGeometry(r * 1.8, 0, r * 2, PIPE_RADIAL_SEGMENTS), axis, r);
+        const up = Math.abs(axis.y) > 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+        add(new THREE.CylinderGeometry(r * 0.25, r * 0.25, r * 3, 8), up, r * 1.5);
+        const wheel = add(new THREE.TorusGeometry(r * 1.2, r * 0.2, 8, PIPE_RADIAL_SEGMENTS), up, r * 3);
+        wheel.rotateX(Math.PI / 2); // torus lies in its XY plane
+        break;
+      }
+      case 'flange':
+        add(new THREE.CylinderGeometry(r * 2, r * 2, r * 0.5, PIPE_RADIAL_SEGMENTS));
+        break;
+      case 'cap': {
+        // Dome closing the pipe end
+        const outward = dirIn || (dirOut ? dirOut.clone().negate() : axis);
+        add(new THREE.SphereGeometry(r * 1.2, PIPE_RADIAL_SEGMENTS, 8, 0, Math.PI * 2, 0, Math.PI / 2), outward);
+        break;
+      }
+      case 'union':
+        add(new THREE.CylinderGeometry(r * 1.6, r * 1.6, r * 1.6, 6)); // hex nut
+        break;
+      default:
+        break;
+    }
+    return group;
+  }
+
   /** Disposes a previously built route group's unique geometries */
   disposeGroup(group) {
     group.traverse((child) => {
-      if (child.geometry && (child.name === 'routeTube' || child.name === 'routeLine')) {
+      if (child.geometry && ['routeTube', 'routeLine', 'routeFitting'].includes(child.name)) {
         child.geometry.dispose();
       }
     });
@@ -111,8 +244,13 @@ export default class RouteGenerator {
 
   dispose() {
     this._pointMaterial.dispose();
-    this._tubeMaterial.dispose();
-    this._lineMaterial.dispose();
+    this._suspectMaterial.dispose();
+    for (const { tube, line } of this._routeMaterials.values()) {
+      tube.dispose();
+      line.dispose();
+    }
+    this._routeMaterials.clear();
+    this._fittingMaterial.dispose();
     this._sphereGeometry.dispose();
   }
 }
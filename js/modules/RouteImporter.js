@@ -0,0 +1,313 @@
+/**
+ * Reads route data from the app's own CSV export (standard or extended
+ * columns) or from a saved project / point list JSON, validating each
+ * point. Problems are collected per row for a preview instead of aborting.
+ * @module modules/RouteImporter
+ */
+
+import { CSV_COLUMNS, MAX_POINTS, DIRECTION_SOURCES } from '../config.js';
+import {
+  validateDistance, validateMemo, validateFitting, validateHeading, validateElevation, validateSensorLevel
+} from '../utils/validation.js';
+import { correctHeading, sourceOffset } from '../utils/geomag.js';
+
+/** Route name used when the file has no route column */
+const DEFAULT_ROUTE_NAME = '取込';
+
+export default class RouteImporter {
+  /**
+   * Parses file contents into routes
+   * @param {string} text - File contents
+   * @param {string} [filename] - A .json / .csv extension decides the format; without
+   *   one, content that parses as JSON is JSON and anything else CSV
+   * @returns {{ success: boolean, routes?: Array<{ name: string, points: Array<Object> }>,
+   *             errors?: Array<{ row: string, message: string }>, error?: string }}
+   *   errors: rows that were skipped or had a field dropped
+   */
+  parse(text, filename = '') {
+    const content = text.replace(/^\uFEFF/, '');
+    let isJson;
+    if (/\.json$/i.test(filename)) isJson = true;
+    else if (/\.csv$/i.test(filename)) isJson = false;
+    else isJson = /^\s*[[{]/.test(content) && isJsonText(content);
+    const result = isJson ? this._parseJson(content) : this._parseCsv(content);
+    if (!result.success) return result;
+
+    const routes = result.routes.filter(r => r.points.length > 0);
+    if (routes.length === 0) {
+      return { success: false, error: '読み込めるポイントがありません' };
+    }
+    return { success: true, routes, errors: result.errors };
+  }
+
+  _parseJson(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch {
+      return { success: false, error: 'JSONの形式が正しくありません' };
+    }
+
+    // Project save (routes), legacy single-route save (points) or a bare point array
+    let sources;
+    if (Array.isArray(data)) {
+      sources = [{ name: DEFAULT_ROUTE_NAME, points: data }];
+    } else if (data && Array.isArray(data.routes)) {
+      sources = data.routes.map((r, i) => ({ name: r?.name || `路線${i + 1}`, points: r?.points }));
+    } else if (data && Array.isArray(data.points)) {
+      sources = [{ name: data.projectName || DEFAULT_ROUTE_NAME, points: data.points }];
+    } else {
+      return { success: false, error: 'ルートデータが見つかりません' };
+    }
+
+    const errors = [];
+    const routes = sources.map(({ name, points }) => {
+      if (!Array.isArray(points)) {
+        errors.push({ row: name, message: 'ポイント一覧がありません' });
+        return { name, points: [] };
+      }
+      const records = points.map((p, i) => ({
+        row: `${name} ${i + 1}件目`,
+        fields: p && typeof p === 'object' ? p : {}
+      }));
+      return { name, points: this._buildPoints(records, errors) };
+    });
+    return { success: true, routes, errors };
+  }
+
+  _parseCsv(content) {
+    const records = parseCsvRecords(content);
+
+    // Skip the project header block: the table starts at the row naming point_id
+    const headerAt = records.findIndex(r => r.cells.some(c => this._columnKey(c) === 'point_id'));
+    if (headerAt === -1) {
+      return { success: false, error: 'point_id 列が見つかりません' };
+    }
+    const keys = records[headerAt].cells.map(c => this._columnKey(c));
+
+    // Headings exported against true / grid north go back to the stored (magnetic) frame
+    const correctionRow = records.slice(0, headerAt).find(r => r.cells[0]?.trim() === 'heading_correction_deg');
+    const headingCorrection = Number(correctionRow?.cells[1]) || 0;
+
+    const byRoute = new Map();
+    for (const record of records.slice(headerAt + 1)) {
+      if (record.cells.every(c => c.trim() === '')) continue;
+      const cells = {};
+      keys.forEach((key, i) => {
+        if (key) cells[key] = (record.cells[i] ?? '').trim();
+      });
+      const name = cells.route || DEFAULT_ROUTE_NAME;
+      if (!byRoute.has(name)) byRoute.set(name, []);
+      byRoute.get(name).push({ row: `${record.line}行目`, fields: this._csvFields(cells) });
+    }
+
+    const errors = [];
+    if (headingCorrection !== 0 && keys.includes('heading_deg') && !keys.includes('direction_source')) {
+      // Without the source the correction cannot be told apart from compass headings
+      errors.push({
+        row: 'heading_correction_deg',
+        message: 'direction_source 列がないため方位の補正を戻せません（手動入力の方位として読み込みます）'
+      });
+    }
+    const routes = [...byRoute].map(([name, rows]) => ({
+      name, points: this._buildPoints(rows, errors, headingCorrection)
+    }));
+    return { success: true, routes, errors };
+  }
+
+  /** Header cell → CSV_COLUMNS key (accepts the key or its Japanese label) */
+  _columnKey(cell) {
+    const text = cell.trim();
+    const col = CSV_COLUMNS.find(c => c.key === text || c.label === text);
+    return col ? col.key : null;
+  }
+
+  /** CSV cells → point-shaped fields (computed columns are ignored) */
+  _csvFields(cells) {
+    const fitting = cells.fitting_type
+      ? {
+        type: cells.fitting_type,
+        size: cells.nominal_size,
+        angle: cells.fitting_angle,
+        outletSize: cells.outlet_size,
+        valveType: cells.valve_type || null
+      }
+      : null;
+    return {
+      id: cells.point_id,
+      distanceToNext: cells.distance_to_next,
+      memo: cells.memo,
+      parentId: cells.parent_id,
+      heading: cells.heading_deg,
+      elevation: cells.elevation_deg,
+      directionSource: cells.direction_source,
+      sensorLevel: cells.sensor_level,
+      headingSpread: cells.heading_spread_deg,
+      elevationSpread: cells.elevation_spread_deg,
+      createdAt: cells.created_at,
+      fitting
+    };
+  }
+
+  /**
+   * Validates raw records into points. A row without a usable id is
+   * skipped; an invalid field is dropped and the row kept.
+   * @param {Array<{ row: string, fields: Object }>} records
+   * @param {Array<{ row: string, message: string }>} errors - Appended to
+   * @param {number} [headingCorrection=0] - Correction the file's headings carry (degrees)
+   * @returns {Array<Object>} Points in PointManager shape
+   */
+  _buildPoints(records, errors, headingCorrection = 0) {
+    const points = [];
+    const ids = new Set();
+    for (const { row, fields } of records) {
+      const fail = (message) => errors.push({ row, message });
+
+      const id = toNumber(fields.id);
+      if (!Number.isInteger(id) || id <= 0) {
+        fail('ポイントIDが不正なため読み込みません');
+        continue;
+      }
+      if (ids.has(id)) {
+        fail(`ポイントID ${id} が重複しているため読み込みません`);
+        continue;
+      }
+      if (points.length >= MAX_POINTS) {
+        fail(`ポイントは最大${MAX_POINTS}個までのため読み込みません`);
+        continue;
+      }
+
+      const point = { id, memo: '', distanceToNext: null, heading: null, elevation: null,
+        directionSource: null, sensorLevel: null, headingSpread: null, elevationSpread: null,
+        parentId: null, fitting: null };
+
+      const memo = fields.memo ?? '';
+      const memoCheck = validateMemo(memo);
+      if (memoCheck.valid) point.memo = memo;
+      else fail(memoCheck.error);
+
+      const distance = toNumber(fields.distanceToNext);
+      if (distance !== null) {
+        const check = validateDistance(distance);
+        if (check.valid) point.distanceToNext = distance;
+        else fail(`距離: ${check.error}`);
+      }
+
+      const parentId = toNumber(fields.parentId);
+      if (parentId !== null) {
+        if (ids.has(parentId)) point.parentId = parentId;
+        else fail(`分岐元ID ${fields.parentId} が前の行にありません`);
+      }
+
+      const heading = toNumber(fields.heading);
+      const elevation = toNumber(fields.elevation);
+      const headingCheck = heading !== null ? validateHeading(heading) : { valid: true };
+      const elevationCheck = elevation !== null ? validateElevation(elevation) : { valid: true };
+      if (!headingCheck.valid) {
+        fail(headingCheck.error);
+      } else if (!elevationCheck.valid) {
+        fail(elevationCheck.error);
+      } else if (heading !== null) {
+        point.directionSource = DIRECTION_SOURCES.includes(fields.directionSource)
+          ? fields.directionSource : 'manual';
+        point.heading = correctHeading(heading, -sourceOffset(point.directionSource, headingCorrection));
+        point.elevation = elevation ?? 0;
+        const level = toNumber(fields.sensorLevel);
+        point.sensorLevel = level !== null && validateSensorLevel(level).valid ? level : null;
+        for (const key of ['headingSpread', 'elevationSpread']) {
+          const spread = toNumber(fields[key]);
+          if (spread !== null && spread >= 0) point[key] = spread;
+        }
+      }
+
+      if (fields.createdAt && !isNaN(Date.parse(fields.createdAt))) {
+        point.createdAt = fields.createdAt;
+      }
+
+      if (fields.fitting) {
+        const fitting = {
+          ...fields.fitting,
+          size: toNumber(fields.fitting.size),
+          angle: toNumber(fields.fitting.angle),
+          outletSize: toNumber(fields.fitting.outletSize)
+        };
+        const check = validateFitting(fitting);
+        if (check.valid) point.fitting = fitting;
+        else fail(`継手: ${check.error}`);
+      }
+
+      ids.add(id);
+      points.push(point);
+    }
+    return points;
+  }
+}
+
+/** @returns {boolean} True when the text parses as JSON (a CSV may start with "[" too) */
+function isJsonText(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Empty → null, otherwise a number (NaN when not numeric)
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return typeof value === 'number' ? value : Number(value);
+}
+
+/**
+ * Splits CSV text into records (RFC 4180 quoting, fields may span lines)
+ * @param {string} text
+ * @returns {Array<{ line: number, cells: string[] }>} line: 1-based line where the record starts
+ */
+function parseCsvRecords(text) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        if (c === '\n') line++;
+        cell += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      cells.push(cell);
+      records.push({ line: start, cells });
+      cells = [];
+      cell = '';
+      line++;
+      start = line;
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== '' || cells.length > 0) {
+    cells.push(cell);
+    records.push({ line: start, cells });
+  }
+  return records;
+}
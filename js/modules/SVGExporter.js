@@ -0,0 +1,319 @@
+/**
+ * Exports routes as an SVG drawing sheet: a dimensioned plan (top) view
+ * and an unrolled elevation profile from pointsToPositions, with point
+ * numbers, segment lengths, bend angles, a scale bar, a north arrow and a
+ * title block. Drawing units are millimeters on the sheet.
+ * @module modules/SVGExporter
+ */
+
+import { SVG_PAGE_WIDTH, SVG_PAGE_HEIGHT, SVG_SCALES, EXPORT_FILENAME_PREFIX } from '../config.js';
+import { downloadBlob, fileTimestamp } from '../utils/dom.js';
+import { pointsToPositions, hasNextSegment, getBranchRuns, routeBends, formatDistance } from '../utils/math.js';
+import { northLabel } from '../utils/geomag.js';
+
+/** Sheet layout (mm): border margin, title block and the two view areas */
+const MARGIN = 10;
+const TITLE = { width: 120, height: 42 };
+const PLAN_HEIGHT = 165;
+const VIEW_GAP = 8;
+/** Space kept free around a drawing inside its area for labels (mm) */
+const VIEW_PADDING = 12;
+
+/** Text sizes (mm) */
+const TEXT = 2.5;
+const TEXT_SMALL = 2;
+
+/** Vertical exaggerations tried for a flat profile, largest first */
+const PROFILE_EXAGGERATIONS = [10, 5, 2, 1];
+
+export default class SVGExporter {
+  /**
+   * Exports all routes to an SVG file
+   * @param {Array<{ name: string, color: string, origin: Object, points: Array<Object> }>} routes
+   * @param {{ projectName?: string, siteName?: string, operator?: string, pipeType?: string,
+   *           northReference?: string, headingOffset?: number }} [info]
+   *   headingOffset: degrees from stored headings to northReference (see utils/geomag)
+   */
+  export(routes, info = {}) {
+    if (routes.every(r => r.points.length === 0)) {
+      alert('出力するポイントがありません');
+      return;
+    }
+    const svg = this._buildSvg(routes, info);
+    const blob = new Blob([svg], { type: 'image/svg+xml' });
+    downloadBlob(blob, `${EXPORT_FILENAME_PREFIX}_${fileTimestamp()}.svg`);
+  }
+
+  /**
+   * @param {Array<Object>} routes
+   * @param {Object} info
+   * @returns {string}
+   */
+  _buildSvg(routes, info) {
+    const drawn = routes
+      .filter(r => r.points.length > 0)
+      .map(r => ({ route: r, positions: pointsToPositions(r.points, r.origin, info.headingOffset ?? 0) }));
+
+    const inner = { x: MARGIN, y: MARGIN, width: SVG_PAGE_WIDTH - MARGIN * 2, height: SVG_PAGE_HEIGHT - MARGIN * 2 };
+    const planArea = { x: inner.x, y: inner.y, width: inner.width, height: PLAN_HEIGHT };
+    const profileArea = {
+      x: inner.x,
+      y: inner.y + PLAN_HEIGHT + VIEW_GAP,
+      width: inner.width - TITLE.width - VIEW_GAP,
+      height: inner.height - PLAN_HEIGHT - VIEW_GAP
+    };
+    const titleArea = {
+      x: inner.x + inner.width - TITLE.width,
+      y: inner.y + inner.height - TITLE.height,
+      width: TITLE.width,
+      height: TITLE.height
+    };
+
+    const plan = this._plan(drawn, planArea, info);
+    const profile = this._profile(drawn, profileArea);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${SVG_PAGE_WIDTH}mm" height="${SVG_PAGE_HEIGHT}mm" viewBox="0 0 ${SVG_PAGE_WIDTH} ${SVG_PAGE_HEIGHT}" font-family="sans-serif">
+<rect x="0" y="0" width="${SVG_PAGE_WIDTH}" height="${SVG_PAGE_HEIGHT}" fill="#fff"/>
+<rect x="${inner.x}" y="${inner.y}" width="${inner.width}" height="${inner.height}" fill="none" stroke="#000" stroke-width="0.5"/>
+${plan.svg}
+${profile.svg}
+${this._titleBlock(titleArea, info, plan.scale, profile)}
+</svg>
+`;
+  }
+
+  // ─── Plan View ────────────────────────────────────────────
+
+  _plan(drawn, area, info) {
+    const all = drawn.flatMap(d => d.positions);
+    const bounds = this._bounds(all.map(p => p.x), all.map(p => p.z));
+    const scale = this._chooseScale(Math.max(
+      bounds.spanX / (area.width - VIEW_PADDING * 2),
+      bounds.spanY / (area.height - VIEW_PADDING * 2)
+    ));
+    const k = 1000 / scale; // sheet mm per meter
+    const cx = area.x + area.width / 2;
+    const cy = area.y + area.height / 2;
+    const map = (p) => ({ x: cx + (p.x - bounds.midX) * k, y: cy - (p.z - bounds.midY) * k });
+
+    const parts = [this._label(area.x + 2, area.y + 5, `平面図  S=1:${scale}`, TEXT, 'start', 'bold')];
+    for (const { route, positions } of drawn) {
+      const pts = positions.map(map);
+      parts.push(...this._runs(route, pts));
+      const bends = routeBends(route.points, info.headingOffset ?? 0);
+      route.points.forEach((p, i) => {
+        if (hasNextSegment(route.points, i)) {
+          const text = p.distanceToNext !== null ? formatDistance(p.distanceToNext) : '--';
+          parts.push(this._segmentLabel(pts[i], pts[i + 1], text));
+        }
+        parts.push(this._pointMark(pts[i], i + 1, route.color));
+        if (bends[i]) {
+          const { angle, standard } = bends[i];
+          const text = standard !== null ? `${standard}°` : `${angle.toFixed(1)}°`;
+          parts.push(this._label(pts[i].x + 1.8, pts[i].y + 3.8, text, TEXT_SMALL, 'start', 'normal', '#c00'));
+        }
+      });
+    }
+    parts.push(this._northArrow(area.x + area.width - 12, area.y + 8, info));
+    parts.push(this._scaleBar(area.x + 4, area.y + area.height - 6, scale));
+    return { svg: `<g id="plan">\n${parts.join('\n')}\n</g>`, scale };
+  }
+
+  // ─── Elevation Profile ────────────────────────────────────
+
+  /**
+   * Unrolled profile: horizontal distance along the pipe (branches start
+   * at their tee) against height, so risers stay vertical
+   */
+  _profile(drawn, area) {
+    const unrolled = drawn.map(({ route, positions }) => {
+      const along = [];
+      const indexById = new Map(route.points.map((p, i) => [p.id, i]));
+      route.points.forEach((p, i) => {
+        if (i === 0) along.push(0);
+        else if (p.parentId != null) along.push(along[indexById.get(p.parentId)] ?? 0);
+        else {
+          const a = positions[i - 1];
+          const b = positions[i];
+          along.push(along[i - 1] + Math.hypot(b.x - a.x, b.z - a.z));
+        }
+      });
+      return { route, positions, along };
+    });
+
+    const xs = unrolled.flatMap(u => u.along);
+    const ys = unrolled.flatMap(u => u.positions.map(p => p.y));
+    const bounds = this._bounds(xs, ys);
+    const width = area.width - VIEW_PADDING * 2;
+    const height = area.height - VIEW_PADDING * 2;
+    // The scale fits both directions, so 1× always fits and exaggeration only ever grows the height
+    const scale = this._chooseScale(Math.max(bounds.spanX / width, bounds.spanY / height));
+    const k = 1000 / scale;
+    const exaggeration = PROFILE_EXAGGERATIONS.find(n => bounds.spanY * k * n <= height) ?? 1;
+    const kv = k * exaggeration;
+    const x0 = area.x + VIEW_PADDING + (width - bounds.spanX * k) / 2;
+    const cy = area.y + area.height / 2;
+    const map = (along, y) => ({ x: x0 + (along - bounds.minX) * k, y: cy - (y - bounds.midY) * kv });
+
+    const title = exaggeration > 1
+      ? `縦断図（展開）  S=1:${scale}  縦倍率×${exaggeration}` : `縦断図（展開）  S=1:${scale}`;
+    const parts = [this._label(area.x + 2, area.y + 5, title, TEXT, 'start', 'bold')];
+    const datum = map(bounds.minX, bounds.minY).y + 4;
+    parts.push(this._label(area.x + 2, area.y + area.height - 2,
+      '点の下の数値: 路線起点からの高さ (m)', TEXT_SMALL * 0.8, 'start', 'normal', '#555'));
+    parts.push(`<line x1="${this._n(map(bounds.minX, 0).x)}" y1="${this._n(datum)}" x2="${this._n(map(bounds.maxX, 0).x)}" y2="${this._n(datum)}" stroke="#999" stroke-width="0.2" stroke-dasharray="1 1"/>`);
+
+    for (const { route, positions, along } of unrolled) {
+      const pts = positions.map((p, i) => map(along[i], p.y));
+      parts.push(...this._runs(route, pts));
+      route.points.forEach((p, i) => {
+        if (hasNextSegment(route.points, i)) {
+          const text = p.distanceToNext !== null ? formatDistance(p.distanceToNext) : '--';
+          parts.push(this._segmentLabel(pts[i], pts[i + 1], text));
+        }
+        parts.push(this._pointMark(pts[i], i + 1, route.color));
+        parts.push(this._label(pts[i].x, datum + 3, formatDistance(positions[i].y - route.origin.y),
+          TEXT_SMALL * 0.8, 'middle', 'normal', '#555'));
+      });
+    }
+    return { svg: `<g id="profile">\n${parts.join('\n')}\n</g>`, scale, exaggeration };
+  }
+
+  // ─── Drawing Parts ────────────────────────────────────────
+
+  /** One polyline per branch run */
+  _runs(route, pts) {
+    return getBranchRuns(route.points)
+      .filter(run => run.end > run.start)
+      .map(run => {
+        const path = pts.slice(run.start, run.end + 1);
+        // A branch is drawn from its tee point
+        const parent = route.points[run.start].parentId;
+        if (parent != null) {
+          const at = route.points.findIndex(p => p.id === parent);
+          if (at !== -1) path.unshift(pts[at]);
+        }
+        const coords = path.map(p => `${this._n(p.x)},${this._n(p.y)}`).join(' ');
+        return `<polyline points="${coords}" fill="none" stroke="${this._escape(route.color)}" stroke-width="0.6" stroke-linejoin="round"/>`;
+      });
+  }
+
+  _pointMark(p, number, color) {
+    return `<circle cx="${this._n(p.x)}" cy="${this._n(p.y)}" r="0.9" fill="#fff" stroke="${this._escape(color)}" stroke-width="0.3"/>\n` +
+      this._label(p.x - 1.5, p.y - 1.5, String(number), TEXT_SMALL, 'end', 'bold');
+  }
+
+  /** Length text along a segment, kept upright and offset to one side */
+  _segmentLabel(a, b, text) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len = Math.hypot(dx, dy);
+    if (len < 1) return '';
+    let angle = Math.atan2(dy, dx) * 180 / Math.PI;
+    if (angle > 90) angle -= 180;
+    if (angle < -90) angle += 180;
+    const rad = angle * Math.PI / 180;
+    const x = (a.x + b.x) / 2 + Math.sin(rad) * 1.2;
+    const y = (a.y + b.y) / 2 - Math.cos(rad) * 1.2;
+    return `<text x="${this._n(x)}" y="${this._n(y)}" font-size="${TEXT_SMALL}" text-anchor="middle" ` +
+      `transform="rotate(${this._n(angle)} ${this._n(x)} ${this._n(y)})">${this._escape(text)}</text>`;
+  }
+
+  /** North arrow with the reference north named below it */
+  _northArrow(x, y, info) {
+    return `<g id="north-arrow"><path d="M ${x} ${y - 4} L ${x + 2.5} ${y + 4} L ${x} ${y + 2.5} L ${x - 2.5} ${y + 4} Z" fill="#000"/>` +
+      `${this._label(x, y - 5.5, 'N', TEXT, 'middle', 'bold')}` +
+      `${this._label(x, y + 7, northLabel(info.northReference), TEXT_SMALL, 'middle')}</g>`;
+  }
+
+  /** Scale bar of a round length about 40 mm long on the sheet */
+  _scaleBar(x, y, scale) {
+    const meters = this._niceLength(40 * scale / 1000);
+    const length = meters * 1000 / scale;
+    const half = length / 2;
+    return `<g id="scale-bar">` +
+      `<rect x="${this._n(x)}" y="${y}" width="${this._n(half)}" height="1.2" fill="#000" stroke="#000" stroke-width="0.2"/>` +
+      `<rect x="${this._n(x + half)}" y="${y}" width="${this._n(half)}" height="1.2" fill="#fff" stroke="#000" stroke-width="0.2"/>` +
+      this._label(x, y - 1, '0', TEXT_SMALL, 'middle') +
+      this._label(x + length, y - 1, `${meters}m`, TEXT_SMALL, 'middle') +
+      `</g>`;
+  }
+
+  _titleBlock(area, info, planScale, profile) {
+    const rows = [
+      ['図名', '配管平面図・縦断図'],
+      ['プロジェクト', info.projectName || '（無題）'],
+      ['現場', info.siteName || '-'],
+      ['作成者', info.operator || '-'],
+      ['配管種別', info.pipeType || '-'],
+      ['作成日', new Date().toLocaleDateString('ja-JP')],
+      ['方位基準', northLabel(info.northReference, info.headingOffset ?? 0)],
+      ['縮尺', `平面 1:${planScale} / 縦断 1:${profile.scale}` +
+        (profile.exaggeration > 1 ? ` (縦×${profile.exaggeration})` : '')]
+    ];
+    const rowHeight = area.height / rows.length;
+    const labelWidth = 26;
+    const parts = [`<rect x="${area.x}" y="${area.y}" width="${area.width}" height="${area.height}" fill="#fff" stroke="#000" stroke-width="0.4"/>`];
+    parts.push(`<line x1="${area.x + labelWidth}" y1="${area.y}" x2="${area.x + labelWidth}" y2="${area.y + area.height}" stroke="#000" stroke-width="0.2"/>`);
+    rows.forEach(([label, value], i) => {
+      const top = area.y + rowHeight * i;
+      if (i > 0) {
+        parts.push(`<line x1="${area.x}" y1="${this._n(top)}" x2="${area.x + area.width}" y2="${this._n(top)}" stroke="#000" stroke-width="0.2"/>`);
+      }
+      const baseline = top + rowHeight / 2 + TEXT_SMALL * 0.35;
+      parts.push(this._label(area.x + 2, baseline, label, TEXT_SMALL));
+      parts.push(this._label(area.x + labelWidth + 2, baseline, value, TEXT_SMALL, 'start', i === 0 ? 'bold' : 'normal'));
+    });
+    return `<g id="title-block">\n${parts.join('\n')}\n</g>`;
+  }
+
+  _label(x, y, text, size, anchor = 'start', weight = 'normal', fill = '#000') {
+    return `<text x="${this._n(x)}" y="${this._n(y)}" font-size="${size}" text-anchor="${anchor}" ` +
+      `font-weight="${weight}" fill="${fill}">${this._escape(text)}</text>`;
+  }
+
+  // ─── Helpers ──────────────────────────────────────────────
+
+  _bounds(xs, ys) {
+    const minX = Math.min(...xs);
+    const maxX = Math.max(...xs);
+    const minY = Math.min(...ys);
+    const maxY = Math.max(...ys);
+    return {
+      minX, maxX, minY, maxY,
+      spanX: maxX - minX,
+      spanY: maxY - minY,
+      midX: (minX + maxX) / 2,
+      midY: (minY + maxY) / 2
+    };
+  }
+
+  /**
+   * Smallest standard scale at which the drawing fits
+   * @param {number} metersPerMm - Required meters of ground per sheet millimeter
+   * @returns {number} Scale denominator
+   */
+  _chooseScale(metersPerMm) {
+    const required = metersPerMm * 1000;
+    return SVG_SCALES.find(s => s >= required) ?? SVG_SCALES[SVG_SCALES.length - 1];
+  }
+
+  /** Round length (1, 2 or 5 × 10^n) not above the given one */
+  _niceLength(meters) {
+    const pow = 10 ** Math.floor(Math.log10(meters));
+    const step = [5, 2, 1].find(s => s * pow <= meters);
+    return Number((step * pow).toPrecision(1));
+  }
+
+  /** Coordinate formatting (0.01 mm) */
+  _n(value) {
+    return Number(value.toFixed(2));
+  }
+
+  _escape(value) {
+    return String(value ?? '').replace(/[&<>"']/g, (c) => (
+      { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+    ));
+  }
+}
@@ -8,9 +8,24 @@
  * Level 4: Accelerometer only (elevation only)
  * Level 5: No sensors / permission denied (manual input)
  *
+ * Compass headings are checked continuously for magnetic disturbance
+ * (field strength jumps where a magnetometer is exposed, and heading
+ * changes the gyro did not see); readings carry a quality flag.
+ *
+ * A tap can also be captured as the average over a short window around
+ * it, so hand shake shows up as a spread instead of as angular error.
+ *
  * @module modules/SensorManager
  */
 
+import {
+  COMPASS_GYRO_MISMATCH_DEG, COMPASS_WINDOW_MS, MAG_FIELD_RANGE_UT, MAG_FIELD_JUMP_UT,
+  DISTURBANCE_HOLD_MS, COMPASS_ACCURACY_LIMIT_DEG,
+  COMPASS_CALIBRATION_SECTORS, COMPASS_CALIBRATION_AXIS_DEG,
+  CAPTURE_WINDOW_DEFAULT_MS, CAPTURE_MIN_SAMPLES
+} from '../config.js';
+import { averageDirection } from '../utils/math.js';
+
 export default class SensorManager {
   constructor() {
     this._heading = null;       // absolute heading 0-360 (clockwise from north)
@@ -27,6 +42,22 @@ export default class SensorManager {
     this._lastGyroTime = null;
     this._filterAlpha = 0.96;   // gyro weight (short-term trust)
 
+    // Magnetic disturbance detection
+    this._rotationTotal = 0;    // device rotation about any axis, integrated from the gyro (deg)
+    this._compassSamples = [];  // { t, heading, rotation } within COMPASS_WINDOW_MS
+    this._magnetometer = null;
+    this._field = null;         // field strength (μT), Generic Sensor API only
+    this._fieldAverage = null;
+    this._disturbedUntil = 0;   // performance.now() until which headings are suspect
+    this._disturbance = null;   // 'gyro_mismatch' | 'field_jump' | 'field_range'
+
+    // Direction averaging
+    this._captureWindow = CAPTURE_WINDOW_DEFAULT_MS;
+    this._readings = [];        // { t, heading, elevation } within the capture window, one of them null
+
+    // Figure-eight calibration in progress: heading sectors seen, rotation per axis
+    this._calibration = null;
+
     this._listeners = [];
     this._handlers = {};
   }
@@ -79,6 +110,24 @@ export default class SensorManager {
     window.addEventListener('deviceorientationabsolute', this._handlers.absOri);
     window.addEventListener('deviceorientation', this._handlers.ori);
     window.addEventListener('devicemotion', this._handlers.motion);
+    this._startMagnetometer();
+  }
+
+  /** Chrome (Generic Sensor API): raw field strength, when the browser exposes it */
+  _startMagnetometer() {
+    if (typeof Magnetometer === 'undefined') return;
+    try {
+      const sensor = new Magnetometer({ frequency: 10 });
+      sensor.addEventListener('reading', () => this._onField(sensor.x, sensor.y, sensor.z));
+      sensor.addEventListener('error', (e) => {
+        console.warn('Sensor: magnetometer error', e.error);
+        this._magnetometer = null;
+      });
+      sensor.start();
+      this._magnetometer = sensor;
+    } catch (e) {
+      console.warn('Sensor: magnetometer unavailable', e);
+    }
   }
 
   /** Android: deviceorientationabsolute gives absolute compass alpha */
@@ -89,6 +138,8 @@ export default class SensorManager {
     this._applyCompass(compass);
     if (e.beta != null) {
       this._elevation = this._clamp(90 - e.beta, -90, 90);
+      // Averaged from one estimator only: the accelerometer's when there is one
+      if (!this._hasAccel) this._recordReading(null, this._elevation);
     }
   }
 
@@ -111,9 +162,18 @@ export default class SensorManager {
     if (rr && rr.alpha != null) {
       this._hasGyro = true;
       const now = performance.now();
-      if (this._lastGyroTime != null && this._gyroHeading != null) {
+      if (this._lastGyroTime != null) {
         const dt = (now - this._lastGyroTime) / 1000;
-        this._gyroHeading = (this._gyroHeading + rr.alpha * dt + 360) % 360;
+        if (this._gyroHeading != null) {
+          this._gyroHeading = (this._gyroHeading + rr.alpha * dt + 360) % 360;
+        }
+        this._rotationTotal += Math.hypot(rr.alpha, rr.beta ?? 0, rr.gamma ?? 0) * dt;
+        if (this._calibration) {
+          const axes = this._calibration.axes;
+          axes.alpha += Math.abs(rr.alpha) * dt;
+          axes.beta += Math.abs(rr.beta ?? 0) * dt;
+          axes.gamma += Math.abs(rr.gamma ?? 0) * dt;
+        }
       }
       this._lastGyroTime = now;
     }
@@ -126,12 +186,14 @@ export default class SensorManager {
       this._elevation = this._clamp(
         Math.atan2(-g.z, Math.abs(g.y)) * (180 / Math.PI), -90, 90
       );
+      this._recordReading(null, this._elevation);
     }
   }
 
   /* ── Complementary Filter ────────────────────────────── */
 
   _applyCompass(compassHeading) {
+    this._checkCompass(compassHeading);
     if (this._gyroHeading != null && this._hasGyro) {
       this._heading = this._fuse(compassHeading, this._gyroHeading);
     } else {
@@ -139,6 +201,7 @@ export default class SensorManager {
     }
     // Keep gyro synced to avoid drift
     this._gyroHeading = this._heading;
+    this._recordReading(compassHeading, null);
     this._notify();
   }
 
@@ -148,6 +211,105 @@ export default class SensorManager {
     return (compass + this._filterAlpha * diff + 360) % 360;
   }
 
+  /* ── Disturbance Detection ───────────────────────────── */
+
+  /** Flags a compass turn the gyro did not see (the device turned less) */
+  _checkCompass(heading) {
+    const now = performance.now();
+    const samples = this._compassSamples;
+    samples.push({ t: now, heading, rotation: this._rotationTotal });
+    while (now - samples[0].t > COMPASS_WINDOW_MS) samples.shift();
+
+    if (this._hasGyro && samples.length > 1) {
+      const first = samples[0];
+      const turned = Math.abs(((heading - first.heading + 540) % 360) - 180);
+      if (turned - (this._rotationTotal - first.rotation) > COMPASS_GYRO_MISMATCH_DEG) {
+        this._flagDisturbance('gyro_mismatch');
+      }
+    }
+    if (this._calibration) {
+      this._calibration.sectors.add(Math.floor(heading / (360 / COMPASS_CALIBRATION_SECTORS)) % COMPASS_CALIBRATION_SECTORS);
+    }
+  }
+
+  /** Flags field strengths outside the geomagnetic range or jumping from their average */
+  _onField(x, y, z) {
+    if (x == null || y == null || z == null) return;
+    const field = Math.hypot(x, y, z);
+    this._field = field;
+    if (field < MAG_FIELD_RANGE_UT.min || field > MAG_FIELD_RANGE_UT.max) {
+      this._flagDisturbance('field_range');
+    } else if (this._fieldAverage !== null && Math.abs(field - this._fieldAverage) > MAG_FIELD_JUMP_UT) {
+      this._flagDisturbance('field_jump');
+    }
+    // Slow average, so a lasting change (a new place) becomes the new normal
+    this._fieldAverage = this._fieldAverage === null ? field : this._fieldAverage * 0.95 + field * 0.05;
+  }
+
+  _flagDisturbance(cause) {
+    this._disturbedUntil = performance.now() + DISTURBANCE_HOLD_MS;
+    this._disturbance = cause;
+  }
+
+  /* ── Direction Averaging ─────────────────────────────── */
+
+  /**
+   * Keeps one sensor measurement for averaging, one window back. Headings are
+   * raw compass values, once per compass event: the filtered heading is
+   * already smoothed and would be counted again on every motion event.
+   * @param {number|null} heading
+   * @param {number|null} elevation
+   */
+  _recordReading(heading, elevation) {
+    const now = performance.now();
+    const readings = this._readings;
+    readings.push({ t: now, heading, elevation });
+    while (now - readings[0].t > this._captureWindow) readings.shift();
+  }
+
+  /** Averaging window around a tap (ms); 0 captures instantly */
+  get captureWindow() { return this._captureWindow; }
+  set captureWindow(ms) {
+    this._captureWindow = Math.max(0, Number(ms) || 0);
+    this._readings = [];
+  }
+
+  /* ── Figure-Eight Calibration ────────────────────────── */
+
+  /**
+   * Starts tracking a figure-eight motion. The OS recalibrates the
+   * magnetometer from such motion; this only measures that it was done.
+   */
+  startCalibration() {
+    this._calibration = { sectors: new Set(), axes: { alpha: 0, beta: 0, gamma: 0 } };
+  }
+
+  /** @returns {number} 0-1: heading sectors passed and rotation about every device axis */
+  get calibrationProgress() {
+    const c = this._calibration;
+    if (!c) return 0;
+    const sectors = c.sectors.size / COMPASS_CALIBRATION_SECTORS;
+    const axes = this._hasGyro
+      ? Math.min(c.axes.alpha, c.axes.beta, c.axes.gamma) / COMPASS_CALIBRATION_AXIS_DEG
+      : 1;
+    return Math.min(1, sectors, axes);
+  }
+
+  /**
+   * Ends the calibration. When completed, earlier disturbance and the field
+   * average are forgotten, since the magnetometer offsets may have changed.
+   * @param {boolean} completed
+   */
+  finishCalibration(completed) {
+    this._calibration = null;
+    if (!completed) return;
+    this._disturbedUntil = 0;
+    this._disturbance = null;
+    this._fieldAverage = null;
+    this._compassSamples = [];
+    this._notify();
+  }
+
   /* ── Level Detection ─────────────────────────────────── */
 
   _determineLevel() {
@@ -163,18 +325,74 @@ export default class SensorManager {
   /**
    * Snapshot current reading (call at tap / freeze moment).
    * @returns {{ heading: number|null, elevation: number|null,
-   *             source: string, level: number, accuracy: number|null }}
+   *             source: string, level: number, accuracy: number|null,
+   *             quality: 'good'|'suspect'|null, qualityReasons: string[] }}
    */
   captureReading() {
+    const { quality, reasons } = this.headingQuality;
     return {
       heading:   this._heading   != null ? Math.round(this._heading * 10) / 10   : null,
       elevation: this._elevation != null ? Math.round(this._elevation * 10) / 10 : null,
       source:    this._sourceName,
       level:     this._level,
-      accuracy:  this._compassAccuracy
+      accuracy:  this._compassAccuracy,
+      quality,
+      qualityReasons: reasons
     };
   }
 
+  /**
+   * Reading averaged over the capture window centered on the call: waits
+   * half a window, then averages what the sensors reported either side.
+   * Falls back to captureReading() when the window is 0 or too few samples
+   * arrived. The heading is suspect if it was at the tap or became so
+   * during the wait.
+   * @returns {Promise<Object>} captureReading() fields plus
+   *   headingSpread / elevationSpread (standard deviations, degrees, null
+   *   for an instantaneous reading) and samples / rejected counts
+   */
+  async captureAveragedReading() {
+    const tapped = performance.now();
+    const atTap = this.captureReading();
+    const half = this._captureWindow / 2;
+    const instant = { ...atTap, headingSpread: null, elevationSpread: null, samples: 1, rejected: 0 };
+    if (half <= 0) return instant;
+
+    await this._waitMs(half);
+    const samples = this._readings.filter(r => Math.abs(r.t - tapped) <= half);
+    if (samples.length < CAPTURE_MIN_SAMPLES) return instant;
+
+    const average = averageDirection(samples);
+    const round1 = v => (v != null ? Math.round(v * 10) / 10 : null);
+    const { quality, reasons } = this.headingQuality;
+    return {
+      ...atTap,
+      heading: average.heading != null ? round1(average.heading) % 360 : atTap.heading,
+      elevation: average.elevation != null ? round1(average.elevation) : atTap.elevation,
+      headingSpread: round1(average.headingSpread),
+      elevationSpread: round1(average.elevationSpread),
+      quality: quality === 'suspect' ? 'suspect' : atTap.quality,
+      qualityReasons: [...new Set([...atTap.qualityReasons, ...reasons])],
+      samples: average.used,
+      rejected: average.rejected
+    };
+  }
+
+  /**
+   * Trust in the current compass heading
+   * @returns {{ quality: 'good'|'suspect'|null, reasons: string[] }} quality is null
+   *   when the heading does not come from the compass; reasons are
+   *   'gyro_mismatch' | 'field_jump' | 'field_range' | 'low_accuracy'
+   */
+  get headingQuality() {
+    if (!this._hasCompass || this._heading == null) return { quality: null, reasons: [] };
+    const reasons = [];
+    if (performance.now() < this._disturbedUntil) reasons.push(this._disturbance);
+    const acc = this._compassAccuracy;
+    if (acc != null && (acc < 0 || acc > COMPASS_ACCURACY_LIMIT_DEG)) reasons.push('low_accuracy');
+    return { quality: reasons.length > 0 ? 'suspect' : 'good', reasons };
+  }
+
   /** Sets initial heading for Level 3 (gyro-only, no compass) */
   setInitialHeading(deg) {
     this._heading = ((deg % 360) + 360) % 360;
@@ -185,6 +403,7 @@ export default class SensorManager {
   get heading()     { return this._heading; }
   get elevation()   { return this._elevation; }
   get hasCompass()   { return this._hasCompass; }
+  get accuracy()     { return this._compassAccuracy; }
 
   get levelDescription() {
     return {
@@ -207,7 +426,10 @@ export default class SensorManager {
   onChange(fn) { this._listeners.push(fn); }
 
   _notify() {
-    const data = { heading: this._heading, elevation: this._elevation, level: this._level };
+    const data = {
+      heading: this._heading, elevation: this._elevation, level: this._level,
+      quality: this.headingQuality
+    };
     this._listeners.forEach(fn => fn(data));
   }
 
@@ -217,6 +439,8 @@ export default class SensorManager {
       ['deviceorientation', this._handlers.ori],
       ['devicemotion', this._handlers.motion]
     ]) { if (fn) window.removeEventListener(evt, fn); }
+    if (this._magnetometer) this._magnetometer.stop();
+    this._magnetometer = null;
     this._listeners = [];
   }
 
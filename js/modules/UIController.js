@@ -1,10 +1,26 @@
 /**
- * Controls camera UI, point list, distance+direction dialog interactions
+ * Controls camera UI, point list, route selector, distance+direction dialog interactions
  * @module modules/UIController
  */
 
 import { $, setText, createElement } from '../utils/dom.js';
-import { formatDistance } from '../utils/math.js';
+import {
+  formatDistance, hasNextSegment, getBranchRuns, routeBends,
+  segmentGradients, slopeLimitsFor, checkSlope
+} from '../utils/math.js';
+import { validateFitting } from '../utils/validation.js';
+import {
+  FITTING_TYPES, VALVE_TYPES, BOM_STOCK_LENGTHS, CSV_COLUMNS, CSV_COLUMNS_STORAGE_KEY,
+  PLANE_PRESETS, HEADING_QUALITY_REASONS, SPREAD_WARN_DEG, ROUTE_PALETTE
+} from '../config.js';
+
+/** Gradient check results → label */
+const SLOPE_CHECK_LABELS = {
+  ok: 'OK',
+  adverse: '\u9006\u52FE\u914D',
+  too_flat: '\u52FE\u914D\u4E0D\u8DB3',
+  too_steep: '\u52FE\u914D\u904E\u5927'
+};
 
 /** Relative-angle presets for manual direction input */
 const DIR_PRESETS = {
@@ -15,6 +31,11 @@ const DIR_PRESETS = {
   down:     { dHeading: 0,   elevation: -45 }
 };
 
+/** " ±1.2°" for an averaged reading's spread, '' for none */
+function spreadText(spread) {
+  return spread != null ? ` \u00B1${spread.toFixed(1)}\u00B0` : '';
+}
+
 export default class UIController {
   /**
    * @param {import('./PointManager.js').default} pointManager
@@ -32,10 +53,97 @@ export default class UIController {
     this._pendingReading = null;    // sensor reading (sensor mode)
     this._pendingPrevHeading = 0;   // previous heading (manual mode)
     this._selectedDir = null;       // preset key (manual mode)
+    this._dirEdited = false;        // a preset or the angle was changed in the dialog
+
+    // Route dialog state
+    this._routeResolve = null;
+
+    // Insert dialog state
+    this._insertResolve = null;
+
+    // BOM dialog state
+    this._bomResolve = null;
+
+    // CSV dialog state
+    this._csvResolve = null;
+
+    // Report dialog state
+    this._reportResolve = null;
+
+    // Plane calibration dialog state
+    this._planeResolve = null;
+
+    // Project library state
+    this._libraryResolve = null;
+    this._libraryStorage = null;
+    this._libraryCurrentId = null;
+
+    // Import preview state
+    this._importResolve = null;
+    this._importRoutes = null;
+
+    // Project pipe type (slope limits for routes without their own)
+    this._projectPipeType = '';
+    this._headingOffset = 0;    // degrees, stored headings → reference north (bend angles)
+
+    // Point photos: image loading / taking is done by the app (photo store)
+    this._photoHandlers = null;
+    this._photoCache = new Map();    // photo id → Promise<data URL|null>
+    this._pendingPhoto = undefined;  // edit dialog: undefined = unchanged, null = removed
 
     this._bindDistanceDialog();
+    this._bindInsertDialog();
+    this._bindBOMDialog();
+    this._bindCSVDialog();
+    this._bindReportDialog();
+    this._bindPlaneDialog();
+    this._bindImportDialog();
+    this._bindLibraryDialog();
     this._bindDirectionButtons();
-    this._pm.onChange(() => this._renderList());
+    this._bindFittingControls();
+    this._bindPhotoControls();
+    this._bindRouteControls();
+    this._pm.onChange(() => {
+      this._renderList();
+      this._renderRoutes();
+      this._renderGradient();
+    });
+    this._renderRoutes();
+    this._renderGradient();
+  }
+
+  /**
+   * Sets the project pipe type used by routes without their own
+   * (selects the default slope limits in the gradient view)
+   * @param {string} pipeType
+   */
+  setProjectPipeType(pipeType) {
+    this._projectPipeType = pipeType || '';
+    this._renderGradient();
+  }
+
+  /**
+   * Sets the reference north correction, so bend angles in the point list
+   * match the drawn route (see utils/geomag)
+   * @param {number} degrees
+   */
+  setHeadingOffset(degrees) {
+    if (degrees === this._headingOffset) return;
+    this._headingOffset = degrees;
+    this._renderList();
+  }
+
+  /**
+   * Connects point photos to the photo store
+   * @param {{ load: function(string): Promise<string|null>,
+   *           take: function(File): Promise<Object|null> }} handlers
+   *   load: photo id → image data URL; take: stores an image file and returns
+   *   the photo metadata for the point
+   */
+  setPhotoHandlers(handlers) {
+    this._photoHandlers = handlers;
+    this._photoCache.clear();
+    this._renderList();
   }
 
   /* ── Dialog Bindings ─────────────────────────────────── */
@@ -53,14 +161,226 @@ export default class UIController {
     });
   }
 
+  _bindInsertDialog() {
+    $('form-insert').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this._submitInsert();
+    });
+    $('btn-insert-cancel').addEventListener('click', () => this._resolveInsert(null));
+    $('modal-insert').addEventListener('click', (e) => {
+      if (e.target.id === 'modal-insert') this._resolveInsert(null);
+    });
+  }
+
+  _bindBOMDialog() {
+    const select = $('select-bom-stock');
+    select.appendChild(createElement('option', { value: '' }, ['\u306A\u3057']));
+    for (const len of BOM_STOCK_LENGTHS) {
+      select.appendChild(createElement('option', { value: String(len) }, [`${len}m`]));
+    }
+    select.appendChild(createElement('option', { value: 'custom' }, ['\u4EFB\u610F']));
+    select.addEventListener('change', (e) => {
+      $('row-bom-stock-custom').hidden = e.target.value !== 'custom';
+    });
+    $('btn-bom-csv').addEventListener('click', () => this._submitBOM('csv'));
+    $('btn-bom-html').addEventListener('click', () => this._submitBOM('html'));
+    $('btn-bom-cancel').addEventListener('click', () => this._resolveBOM(null));
+    $('modal-bom').addEventListener('click', (e) => {
+      if (e.target.id === 'modal-bom') this._resolveBOM(null);
+    });
+  }
+
+  _bindReportDialog() {
+    $('btn-report-print').addEventListener('click', () => this._submitReport('print'));
+    $('btn-report-html').addEventListener('click', () => this._submitReport('html'));
+    $('btn-report-cancel').addEventListener('click', () => this._resolveReport(null));
+    $('modal-report').addEventListener('click', (e) => {
+      if (e.target.id === 'modal-report') this._resolveReport(null);
+    });
+  }
+
+  _bindPlaneDialog() {
+    const select = $('select-plane-preset');
+    for (const [key, preset] of Object.entries(PLANE_PRESETS)) {
+      select.appendChild(createElement('option', { value: key }, [preset.label]));
+    }
+    select.addEventListener('change', () => this._applyPlanePreset(select.value));
+    $('form-plane').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this._submitPlane();
+    });
+    $('btn-plane-cancel').addEventListener('click', () => this._resolvePlane(null));
+    $('modal-plane').addEventListener('click', (e) => {
+      if (e.target.id === 'modal-plane') this._resolvePlane(null);
+    });
+  }
+
+  _bindCSVDialog() {
+    const container = $('csv-columns');
+    for (const col of CSV_COLUMNS) {
+      const input = createElement('input', { type: 'checkbox', value: col.key });
+      container.appendChild(createElement('label', { className: 'csv-column' }, [input, col.label]));
+    }
+    this._setCSVColumns(this._loadCSVColumns());
+
+    $('btn-csv-basic').addEventListener('click', () => {
+      this._setCSVColumns(CSV_COLUMNS.filter(c => c.basic).map(c => c.key));
+    });
+    $('btn-csv-all').addEventListener('click', () => {
+      this._setCSVColumns(CSV_COLUMNS.map(c => c.key));
+    });
+    $('form-csv').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this._submitCSV();
+    });
+    $('btn-csv-cancel').addEventListener('click', () => this._resolveCSV(null));
+    $('modal-csv').addEventListener('click', (e) => {
+      if (e.target.id === 'modal-csv') this._resolveCSV(null);
+    });
+  }
+
+  _bindImportDialog() {
+    $('select-import-route').addEventListener('change', () => this._renderImportSummary());
+    $('form-import').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const route = this._importRoutes[Number($('select-import-route').value)];
+      this._resolveImport(route);
+    });
+    $('btn-import-cancel').addEventListener('click', () => this._resolveImport(null));
+    $('modal-import').addEventListener('click', (e) => {
+      if (e.target.id === 'modal-import') this._resolveImport(null);
+    });
+  }
+
+  _bindLibraryDialog() {
+    for (const id of ['input-library-query', 'input-library-from', 'input-library-to']) {
+      $(id).addEventListener('input', () => this._renderLibrary());
+    }
+    $('btn-library-close').addEventListener('click', () => this._resolveLibrary(null));
+    $('modal-library').addEventListener('click', (e) => {
+      if (e.target.id === 'modal-library') this._resolveLibrary(null);
+    });
+  }
+
   _bindDirectionButtons() {
     document.querySelectorAll('.btn-direction').forEach(btn => {
       btn.addEventListener('click', (e) => {
         document.querySelectorAll('.btn-direction').forEach(b => b.classList.remove('selected'));
         e.currentTarget.classList.add('selected');
         this._selectedDir = e.currentTarget.dataset.dir;
+        this._dirEdited = true;
       });
     });
+    $('input-direction-angle').addEventListener('input', () => { this._dirEdited = true; });
+  }
+
+  _bindFittingControls() {
+    const typeSelect = $('select-fitting-type');
+    typeSelect.appendChild(createElement('option', { value: '' }, ['\u306A\u3057']));
+    for (const [key, def] of Object.entries(FITTING_TYPES)) {
+      typeSelect.appendChild(createElement('option', { value: key }, [def.label]));
+    }
+    const valveSelect = $('select-valve-type');
+    valveSelect.appendChild(createElement('option', { value: '' }, ['\u672A\u6307\u5B9A']));
+    for (const [key, label] of Object.entries(VALVE_TYPES)) {
+      valveSelect.appendChild(createElement('option', { value: key }, [label]));
+    }
+    typeSelect.addEventListener('change', (e) => {
+      const def = FITTING_TYPES[e.target.value];
+      $('input-fitting-angle').value = def?.angle ?? '';
+      this._showFittingProps(e.target.value);
+    });
+  }
+
+  _bindRouteControls() {
+    $('select-route').addEventListener('change', (e) => {
+      this._pm.setActiveRoute(parseInt(e.target.value, 10));
+    });
+    $('form-route').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this._submitRoute();
+    });
+    $('btn-route-delete').addEventListener('click', () => {
+      this._resolveRoute({ action: 'delete' });
+    });
+    $('btn-route-cancel').addEventListener('click', () => this._resolveRoute(null));
+    $('modal-route').addEventListener('click', (e) => {
+      if (e.target.id === 'modal-route') this._resolveRoute(null);
+    });
+  }
+
+  /* ── Route Dialog ────────────────────────────────────── */
+
+  /**
+   * Opens the route dialog for a new route (route = null) or an existing one.
+   * @param {Object|null} route
+   * @param {{ pipeType?: string, color?: string }} [defaults] - Prefill values for a new route
+   * @returns {Promise<{ action: 'save', props: Object }|{ action: 'delete' }|null>}
+   */
+  promptRoute(route, defaults = {}) {
+    return new Promise((resolve) => {
+      this._routeResolve = resolve;
+
+      setText('route-dialog-title', route ? '\u8DEF\u7DDA\u8A2D\u5B9A' : '\u8DEF\u7DDA\u306E\u8FFD\u52A0');
+      $('input-route-name').value = route ? route.name : '';
+      $('input-route-pipe-type').value = route ? route.pipeType : (defaults.pipeType || '');
+      $('input-route-color').value = route ? route.color : (defaults.color || ROUTE_PALETTE[0]);
+      $('input-route-diameter').value = route?.diameter ?? '';
+      $('input-route-slope-min').value = route?.slopeMin ?? '';
+      $('input-route-slope-max').value = route?.slopeMax ?? '';
+      $('input-route-origin-x').value = route ? route.origin.x : 0;
+      $('input-route-origin-z').value = route ? route.origin.z : 0;
+      $('input-route-origin-y').value = route ? route.origin.y : 0;
+      $('btn-route-delete').hidden = !route;
+
+      $('modal-route').hidden = false;
+      $('input-route-name').focus();
+    });
+  }
+
+  _submitRoute() {
+    const name = $('input-route-name').value.trim();
+    const rawDiameter = $('input-route-diameter').value.trim();
+    const diameter = rawDiameter !== '' ? parseFloat(rawDiameter) : null;
+    if (diameter !== null && (isNaN(diameter) || diameter <= 0)) {
+      alert('\u6709\u52B9\u306A\u7BA1\u5F84\u3092\u5165\u529B\u3057\u3066\u304F\u3060\u3055\u3044');
+      return;
+    }
+    const num = (id) => parseFloat($(id).value) || 0;
+    const slope = (id) => {
+      const raw = $(id).value.trim();
+      return raw === '' ? null : parseFloat(raw);
+    };
+    const slopeMin = slope('input-route-slope-min');
+    const slopeMax = slope('input-route-slope-max');
+    if ([slopeMin, slopeMax].some(v => v !== null && (isNaN(v) || v < 0)) ||
+        (slopeMin !== null && slopeMax !== null && slopeMin > slopeMax)) {
+      alert('\u6709\u52B9\u306A\u52FE\u914D\u57FA\u6E96\u3092\u5165\u529B\u3057\u3066\u304F\u3060\u3055\u3044');
+      return;
+    }
+
+    const props = {
+      pipeType: $('input-route-pipe-type').value,
+      color: $('input-route-color').value,
+      diameter,
+      slopeMin,
+      slopeMax,
+      origin: {
+        x: num('input-route-origin-x'),
+        y: num('input-route-origin-y'),
+        z: num('input-route-origin-z')
+      }
+    };
+    if (name !== '') props.name = name;
+    this._resolveRoute({ action: 'save', props });
+  }
+
+  _resolveRoute(result) {
+    $('modal-route').hidden = true;
+    if (this._routeResolve) {
+      this._routeResolve(result);
+      this._routeResolve = null;
+    }
   }
 
   /* ── Distance + Direction Prompt ─────────────────────── */
@@ -71,11 +391,12 @@ export default class UIController {
    * @param {boolean} isFirst
    * @param {Object|null} dirOptions
    *   { mode: 'sensor'|'manual',
-   *     reading?: { heading, elevation, source },
+   *     reading?: { heading, elevation, source, headingSpread?, elevationSpread? },
    *     prevHeading?: number }
    * @returns {Promise<{ distance: number|null, memo: string,
    *           heading: number|null, elevation: number|null,
-   *           directionSource: string|null }>}
+   *           directionSource: string|null, headingQuality: string|null,
+   *           headingSpread: number|null, elevationSpread: number|null }>}
    */
   promptDistance(segmentIndex, isFirst, dirOptions = null) {
     return new Promise((resolve) => {
@@ -91,11 +412,13 @@ export default class UIController {
         : `\u533A\u9593 ${segmentIndex + 1} \u306E\u8DDD\u96E2`;
       setText('distance-dialog-title', title);
 
-      // Estimated distance
-      const estimated = this._pm.estimateDistance(segmentIndex);
+      // Estimated distance (with its expected error when calibrated on a plane)
+      const { distance: estimated, error } = this._pm.estimateDistanceWithError(segmentIndex);
       const estimatedEl = $('distance-estimated');
       if (estimated !== null) {
-        $('distance-estimated-value').textContent = `${formatDistance(estimated)}m`;
+        $('distance-estimated-value').textContent = error !== null
+          ? `${formatDistance(estimated)}m (\u00B1${formatDistance(error)}m)`
+          : `${formatDistance(estimated)}m`;
         estimatedEl.hidden = false;
         $('input-distance').placeholder = formatDistance(estimated);
       } else {
@@ -108,12 +431,16 @@ export default class UIController {
 
       $('input-distance').value = '';
       $('input-point-memo').value = '';
+      this._setFittingFields(null);
+      this._pendingPhoto = undefined;
+      $('photo-section').hidden = true;
       $('modal-distance').hidden = false;
       $('input-distance').focus();
     });
   }
 
   _setupDirectionSection(dirOptions) {
+    this._dirEdited = false;
     const section = $('direction-section');
     const autoDiv = $('direction-auto');
     const manualDiv = $('direction-manual');
@@ -130,11 +457,17 @@ export default class UIController {
       autoDiv.hidden = false;
       manualDiv.hidden = true;
       this._pendingReading = dirOptions.reading;
-      const h = dirOptions.reading.heading;
-      const e = dirOptions.reading.elevation;
-      $('direction-auto-heading').textContent = h != null ? `${Math.round(h)}\u00B0` : '--';
-      $('direction-auto-elevation').textContent = e != null ? `${Math.round(e)}\u00B0` : '--';
+      const { heading: h, elevation: e, headingSpread, elevationSpread } = dirOptions.reading;
+      $('direction-auto-heading').textContent = h != null ? `${Math.round(h)}\u00B0${spreadText(headingSpread)}` : '--';
+      $('direction-auto-elevation').textContent = e != null ? `${Math.round(e)}\u00B0${spreadText(elevationSpread)}` : '--';
       $('direction-auto-source').textContent = `(${dirOptions.reading.source || 'auto'})`;
+      // Compass reading taken during magnetic disturbance / low accuracy
+      const warning = $('direction-auto-warning');
+      warning.hidden = dirOptions.reading.quality !== 'suspect';
+      if (!warning.hidden) {
+        const reasons = (dirOptions.reading.qualityReasons || []).map(r => HEADING_QUALITY_REASONS[r]).join('\u30FB');
+        warning.textContent = `\u26A0 \u65B9\u4F4D\u304C\u4E0D\u6B63\u78BA\u306A\u53EF\u80FD\u6027\u304C\u3042\u308A\u307E\u3059 (${reasons})`;
+      }
     } else {
       // Manual mode - show preset buttons
       autoDiv.hidden = true;
@@ -169,23 +502,91 @@ export default class UIController {
       distance = estimated;
     }
 
+    const fitting = this._collectFitting();
+    const fittingResult = validateFitting(fitting);
+    if (!fittingResult.valid) {
+      alert(fittingResult.error);
+      return;
+    }
+
     // Collect direction data
     const dir = this._collectDirectionData();
 
     this._resolveDistance({
-      distance, memo,
+      distance, memo, fitting,
+      photo: this._pendingPhoto,
       heading: dir.heading,
       elevation: dir.elevation,
-      directionSource: dir.source
+      directionSource: dir.source,
+      headingQuality: dir.quality ?? null,
+      headingSpread: dir.headingSpread ?? null,
+      elevationSpread: dir.elevationSpread ?? null
+    });
+  }
+
+  /* ── Fitting Fields ──────────────────────────────────── */
+
+  /** Shows only the property rows used by the selected fitting type */
+  _showFittingProps(type) {
+    const def = FITTING_TYPES[type];
+    $('fitting-props').hidden = !def;
+    document.querySelectorAll('[data-fitting-prop]').forEach(row => {
+      row.hidden = !def || !def.props.includes(row.dataset.fittingProp);
     });
   }
 
+  _setFittingFields(fitting) {
+    $('select-fitting-type').value = fitting?.type || '';
+    $('input-fitting-size').value = fitting?.size ?? '';
+    $('input-fitting-angle').value = fitting?.angle ?? '';
+    $('input-fitting-outlet').value = fitting?.outletSize ?? '';
+    $('select-valve-type').value = fitting?.valveType || '';
+    this._showFittingProps(fitting?.type || '');
+  }
+
+  /**
+   * Fitting from the dialog fields (null = none). Property fields hidden for the
+   * type are left over from another type and are not read.
+   * @returns {Object|null}
+   */
+  _collectFitting() {
+    const type = $('select-fitting-type').value;
+    const def = FITTING_TYPES[type];
+    if (!def) return null;
+    const num = (id, prop) => {
+      if (prop && !def.props.includes(prop)) return null;
+      const raw = $(id).value.trim();
+      return raw === '' ? null : parseFloat(raw);
+    };
+    return {
+      type,
+      size: num('input-fitting-size'),
+      angle: num('input-fitting-angle', 'angle'),
+      outletSize: num('input-fitting-outlet', 'outletSize'),
+      valveType: (def.props.includes('valveType') && $('select-valve-type').value) || null
+    };
+  }
+
+  /** Short display text, e.g. "エルボ90° 50A" */
+  _fittingText(fitting) {
+    const def = FITTING_TYPES[fitting.type];
+    let text = def.label;
+    if (fitting.angle != null && fitting.angle !== def.angle) text += ` ${fitting.angle}\u00B0`;
+    if (fitting.size != null) text += ` ${fitting.size}A`;
+    if (fitting.outletSize != null) text += `\u00D7${fitting.outletSize}A`;
+    if (fitting.valveType) text += ` ${VALVE_TYPES[fitting.valveType]}`;
+    return text;
+  }
+
   _collectDirectionData() {
     if (this._dirMode === 'sensor' && this._pendingReading) {
       return {
         heading: this._pendingReading.heading,
         elevation: this._pendingReading.elevation,
-        source: this._pendingReading.source
+        source: this._pendingReading.source,
+        quality: this._pendingReading.quality ?? null,
+        headingSpread: this._pendingReading.headingSpread ?? null,
+        elevationSpread: this._pendingReading.elevationSpread ?? null
       };
     }
     if (this._dirMode === 'manual' && this._selectedDir) {
@@ -219,7 +620,7 @@ export default class UIController {
   _editPoint(index) {
     const p = this._pm.points[index];
     if (!p) return;
-    const isLast = index === this._pm.points.length - 1;
+    const isLast = !hasNextSegment(this._pm.points, index);
 
     return new Promise((resolve) => {
       this._distanceResolve = (result) => {
@@ -227,10 +628,17 @@ export default class UIController {
         const updates = {};
         if (result.distance !== null && result.distance !== undefined) updates.distance = result.distance;
         if (result.memo !== undefined) updates.memo = result.memo;
-        if (result.heading != null) {
+        if (result.fitting !== undefined) updates.fitting = result.fitting;
+        if (result.photo !== undefined) updates.photo = result.photo;
+        // The dialog is prefilled with a rounded manual direction: only a change the
+        // user made replaces the stored one (and its quality and spread)
+        if (result.heading != null && this._dirEdited) {
           updates.heading = result.heading;
           updates.elevation = result.elevation || 0;
           updates.directionSource = result.directionSource || 'manual';
+          updates.headingQuality = result.headingQuality ?? null;
+          updates.headingSpread = result.headingSpread ?? null;
+          updates.elevationSpread = result.elevationSpread ?? null;
         }
         this._pm.updatePointByIndex(index, updates);
         resolve();
@@ -248,6 +656,10 @@ export default class UIController {
       $('input-distance').value = (!isLast && p.distanceToNext !== null) ? p.distanceToNext : '';
       $('input-distance').placeholder = isLast ? '(最終点)' : '距離 (m)';
       $('input-point-memo').value = p.memo || '';
+      this._setFittingFields(p.fitting);
+      this._pendingPhoto = undefined;
+      this._showPhoto(p.photo);
+      $('photo-section').hidden = false;
 
       // Direction section: manual mode with current heading
       this._setupDirectionSection({
@@ -263,6 +675,556 @@ export default class UIController {
     });
   }
 
+  /* ── Point Photo ─────────────────────────────────────── */
+
+  _bindPhotoControls() {
+    $('btn-photo-retake').addEventListener('click', () => $('input-photo-file').click());
+    $('input-photo-file').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file || !this._photoHandlers) return;
+      const photo = await this._photoHandlers.take(file);
+      if (!photo) return;
+      this._pendingPhoto = photo;
+      this._showPhoto(photo);
+    });
+    $('btn-photo-delete').addEventListener('click', () => {
+      this._pendingPhoto = null;
+      this._showPhoto(null);
+    });
+  }
+
+  /** Shows a photo (or its absence) in the edit dialog */
+  async _showPhoto(photo) {
+    const preview = $('point-photo-preview');
+    $('btn-photo-retake').textContent = photo ? '\u64AE\u308A\u76F4\u3057' : '\u64AE\u5F71';
+    $('btn-photo-delete').hidden = !photo;
+    if (!photo) {
+      preview.hidden = true;
+      preview.removeAttribute('src');
+      setText('point-photo-info', '\u5199\u771F\u306A\u3057');
+      return;
+    }
+    const info = [`\u64AE\u5F71: ${new Date(photo.takenAt).toLocaleString('ja-JP')}`];
+    if (photo.heading != null) {
+      info.push(`\u65B9\u4F4D ${Math.round(photo.heading)}\u00B0 \u4EF0\u4FEF\u89D2 ${Math.round(photo.elevation ?? 0)}\u00B0`);
+    }
+    if (photo.sensorLevel != null) info.push(`Lv${photo.sensorLevel}`);
+    setText('point-photo-info', info.join(' / '));
+    const url = await this._photoUrl(photo.id);
+    preview.hidden = !url;
+    if (url) preview.src = url;
+  }
+
+  /** @returns {Promise<string|null>} Image data URL of a photo (cached) */
+  _photoUrl(id) {
+    if (!this._photoHandlers) return Promise.resolve(null);
+    if (!this._photoCache.has(id)) this._photoCache.set(id, this._photoHandlers.load(id));
+    return this._photoCache.get(id);
+  }
+
+  /* ── Point Insert ────────────────────────────────────── */
+
+  /**
+   * Asks for the two halves of the segment starting at points[index] and
+   * inserts a point there. Empty fields split the segment proportionally.
+   * @param {number} index - Segment start index
+   */
+  async _insertPoint(index) {
+    const options = await this._promptInsert(index);
+    if (!options) return;
+    const result = this._pm.insertPoint(index, options);
+    if (!result.success) alert(result.error);
+  }
+
+  _promptInsert(index) {
+    return new Promise((resolve) => {
+      this._insertResolve = resolve;
+      const total = this._pm.points[index].distanceToNext;
+
+      setText('insert-dialog-title', `\u30DD\u30A4\u30F3\u30C8\u633F\u5165 (${index + 1} \u2192 ${index + 2})`);
+      setText('insert-segment-length', total !== null ? `${formatDistance(total)}m` : '--');
+      $('input-insert-first').value = '';
+      $('input-insert-second').value = '';
+      $('input-insert-first').placeholder = total !== null ? formatDistance(total / 2) : '\u672A\u5165\u529B';
+      $('input-insert-second').placeholder = total !== null ? formatDistance(total / 2) : '\u672A\u5165\u529B';
+      $('input-insert-memo').value = '';
+
+      $('modal-insert').hidden = false;
+      $('input-insert-first').focus();
+    });
+  }
+
+  _submitInsert() {
+    const read = (id) => {
+      const raw = $(id).value.trim();
+      return raw === '' ? null : parseFloat(raw);
+    };
+    const firstDistance = read('input-insert-first');
+    const secondDistance = read('input-insert-second');
+    if ([firstDistance, secondDistance].some(d => d !== null && (isNaN(d) || d < 0))) {
+      alert('\u6709\u52B9\u306A\u8DDD\u96E2\u3092\u5165\u529B\u3057\u3066\u304F\u3060\u3055\u3044');
+      return;
+    }
+    this._resolveInsert({ firstDistance, secondDistance, memo: $('input-insert-memo').value.trim() });
+  }
+
+  _resolveInsert(result) {
+    $('modal-insert').hidden = true;
+    if (this._insertResolve) {
+      this._insertResolve(result);
+      this._insertResolve = null;
+    }
+  }
+
+  /* ── BOM Dialog ──────────────────────────────────────── */
+
+  /**
+   * Asks for the BOM output format and stock length for nesting
+   * @returns {Promise<{ format: 'csv'|'html', stockLength: number|null }|null>}
+   */
+  promptBOM() {
+    return new Promise((resolve) => {
+      this._bomResolve = resolve;
+      $('modal-bom').hidden = false;
+    });
+  }
+
+  _submitBOM(format) {
+    const choice = $('select-bom-stock').value;
+    let stockLength = choice === '' ? null : parseFloat(choice);
+    if (choice === 'custom') {
+      stockLength = parseFloat($('input-bom-stock-custom').value);
+      if (isNaN(stockLength) || stockLength <= 0) {
+        alert('\u6709\u52B9\u306A\u5B9A\u5C3A\u3092\u5165\u529B\u3057\u3066\u304F\u3060\u3055\u3044');
+        return;
+      }
+    }
+    this._resolveBOM({ format, stockLength });
+  }
+
+  _resolveBOM(result) {
+    $('modal-bom').hidden = true;
+    if (this._bomResolve) {
+      this._bomResolve(result);
+      this._bomResolve = null;
+    }
+  }
+
+  /* ── Report Dialog ───────────────────────────────────── */
+
+  /**
+   * Asks how to output the survey report
+   * @returns {Promise<{ format: 'print'|'html', includeViews: boolean, includePhotos: boolean }|null>}
+   */
+  promptReport() {
+    return new Promise((resolve) => {
+      this._reportResolve = resolve;
+      $('modal-report').hidden = false;
+    });
+  }
+
+  _submitReport(format) {
+    this._resolveReport({
+      format,
+      includeViews: $('check-report-views').checked,
+      includePhotos: $('check-report-photos').checked
+    });
+  }
+
+  _resolveReport(result) {
+    $('modal-report').hidden = true;
+    if (this._reportResolve) {
+      this._reportResolve(result);
+      this._reportResolve = null;
+    }
+  }
+
+  /* ── Plane Calibration Dialog ──────────────────────── */
+
+  /**
+   * Asks for the size of the rectangle whose corners were tapped
+   * @returns {Promise<{ width: number, height: number }|null>} Meters; null when cancelled
+   */
+  promptPlane() {
+    return new Promise((resolve) => {
+      this._planeResolve = resolve;
+      this._applyPlanePreset($('select-plane-preset').value);
+      $('modal-plane').hidden = false;
+    });
+  }
+
+  _applyPlanePreset(key) {
+    const preset = PLANE_PRESETS[key];
+    if (!preset || preset.width === null) return;
+    $('input-plane-width').value = preset.width;
+    $('input-plane-height').value = preset.height;
+  }
+
+  _submitPlane() {
+    const width = parseFloat($('input-plane-width').value);
+    const height = parseFloat($('input-plane-height').value);
+    if (!(width > 0) || !(height > 0)) {
+      alert('\u9577\u65B9\u5F62\u306E\u5E45\u3068\u5965\u884C\u3092\u5165\u529B\u3057\u3066\u304F\u3060\u3055\u3044');
+      return;
+    }
+    this._resolvePlane({ width, height });
+  }
+
+  _resolvePlane(result) {
+    $('modal-plane').hidden = true;
+    if (this._planeResolve) {
+      this._planeResolve(result);
+      this._planeResolve = null;
+    }
+  }
+
+  /* ── CSV Dialog ──────────────────────────────────────── */
+
+  /**
+   * Asks which CSV columns to write and whether to add the project header.
+   * The selection is remembered for the next export.
+   * @returns {Promise<{ columns: string[], includeMetadata: boolean }|null>}
+   */
+  promptCSV() {
+    return new Promise((resolve) => {
+      this._csvResolve = resolve;
+      $('modal-csv').hidden = false;
+    });
+  }
+
+  _submitCSV() {
+    const columns = [...$('csv-columns').querySelectorAll('input:checked')].map(el => el.value);
+    if (columns.length === 0) {
+      alert('\u51FA\u529B\u3059\u308B\u5217\u3092\u9078\u629E\u3057\u3066\u304F\u3060\u3055\u3044');
+      return;
+    }
+    const includeMetadata = $('check-csv-metadata').checked;
+    try {
+      localStorage.setItem(CSV_COLUMNS_STORAGE_KEY, JSON.stringify({ columns, includeMetadata }));
+    } catch {
+      // Not remembering the selection is harmless
+    }
+    this._resolveCSV({ columns, includeMetadata });
+  }
+
+  _resolveCSV(result) {
+    $('modal-csv').hidden = true;
+    if (this._csvResolve) {
+      this._csvResolve(result);
+      this._csvResolve = null;
+    }
+  }
+
+  _setCSVColumns(columns) {
+    $('csv-columns').querySelectorAll('input').forEach(el => {
+      el.checked = columns.includes(el.value);
+    });
+  }
+
+  /** Last remembered column keys (standard set when none) */
+  _loadCSVColumns() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(CSV_COLUMNS_STORAGE_KEY));
+    } catch {
+      saved = null;
+    }
+    $('check-csv-metadata').checked = !!saved?.includeMetadata;
+    return Array.isArray(saved?.columns)
+      ? saved.columns
+      : CSV_COLUMNS.filter(c => c.basic).map(c => c.key);
+  }
+
+  /* ── Project Library ─────────────────────────────────── */
+
+  /**
+   * Shows the saved projects with search, rename, duplicate and delete.
+   * Resolves with the id of the project to open, or null when closed.
+   * @param {import('./ProjectStorage.js').default} storage
+   * @param {number|null} currentId - Library id of the open project
+   * @returns {Promise<number|null>}
+   */
+  promptLibrary(storage, currentId) {
+    this._libraryStorage = storage;
+    this._libraryCurrentId = currentId;
+    $('input-library-query').value = '';
+    $('input-library-from').value = '';
+    $('input-library-to').value = '';
+    this._renderLibrary();
+    return new Promise((resolve) => {
+      this._libraryResolve = resolve;
+      $('modal-library').hidden = false;
+    });
+  }
+
+  async _renderLibrary() {
+    const container = $('library-list');
+    const result = await this._libraryStorage.list({
+      query: $('input-library-query').value,
+      from: $('input-library-from').value,
+      to: $('input-library-to').value
+    });
+    container.innerHTML = '';
+    if (!result.success) {
+      container.appendChild(createElement('p', { className: 'empty-message' }, [result.error]));
+      return;
+    }
+    if (result.projects.length === 0) {
+      container.appendChild(createElement('p', { className: 'empty-message' },
+        ['\u30D7\u30ED\u30B8\u30A7\u30AF\u30C8\u304C\u3042\u308A\u307E\u305B\u3093']));
+      return;
+    }
+    for (const p of result.projects) {
+      container.appendChild(this._createLibraryItem(p));
+    }
+  }
+
+  /** A library entry; one that cannot be read shows why and can only be deleted */
+  _createLibraryItem(project) {
+    const unreadable = project.error != null;
+    const meta = [
+      project.siteName, project.operator,
+      project.updatedAt && new Date(project.updatedAt).toLocaleString('ja-JP'),
+      !unreadable && `${project.routeCount}\u8DEF\u7DDA ${project.pointCount}\u70B9`
+    ].filter(Boolean).join(' / ');
+    const button = (label, onClick, className = 'btn-view') => {
+      const btn = createElement('button', { type: 'button', className }, [label]);
+      btn.addEventListener('click', onClick);
+      return btn;
+    };
+    const actions = createElement('div', { className: 'library-item-actions' }, [
+      ...(unreadable ? [] : [
+        button('\u958B\u304F', () => this._resolveLibrary(project.id)),
+        button('\u540D\u524D\u5909\u66F4', () => this._renameLibraryProject(project)),
+        button('\u8907\u88FD', () => this._duplicateLibraryProject(project))
+      ]),
+      button('\u524A\u9664', () => this._deleteLibraryProject(project), 'btn-view btn-danger')
+    ]);
+    const className = project.id === this._libraryCurrentId ? 'library-item current' : 'library-item';
+    return createElement('div', { className }, [
+      createElement('div', { className: 'library-item-name' },
+        [project.projectName || '\uFF08\u7121\u984C\uFF09']),
+      createElement('div', { className: 'library-item-meta' }, [meta]),
+      ...(unreadable
+        ? [createElement('div', { className: 'library-item-error' }, [`\u958B\u3051\u307E\u305B\u3093: ${project.error}`])]
+        : []),
+      actions
+    ]);
+  }
+
+  async _renameLibraryProject(project) {
+    const name = prompt('\u30D7\u30ED\u30B8\u30A7\u30AF\u30C8\u540D', project.projectName);
+    if (name === null || name.trim() === '') return;
+    const result = await this._libraryStorage.rename(project.id, name.trim());
+    if (!result.success) alert(result.error);
+    this._renderLibrary();
+  }
+
+  async _duplicateLibraryProject(project) {
+    const result = await this._libraryStorage.duplicate(project.id);
+    if (!result.success) alert(result.error);
+    this._renderLibrary();
+  }
+
+  async _deleteLibraryProject(project) {
+    const name = project.projectName || '\uFF08\u7121\u984C\uFF09';
+    if (!confirm(`\u300C${name}\u300D\u3092\u524A\u9664\u3057\u307E\u3059\u304B\uFF1F`)) return;
+    const result = await this._libraryStorage.remove(project.id);
+    if (!result.success) alert(result.error);
+    this._renderLibrary();
+  }
+
+  _resolveLibrary(id) {
+    $('modal-library').hidden = true;
+    this._libraryStorage = null;
+    if (this._libraryResolve) {
+      this._libraryResolve(id);
+      this._libraryResolve = null;
+    }
+  }
+
+  /* ── Import Preview ──────────────────────────────────── */
+
+  /**
+   * Shows what a file import will load, with the rows that had problems,
+   * and lets the user pick the route when the file has several
+   * @param {{ routes: Array<{ name: string, points: Array<Object> }>,
+   *           errors: Array<{ row: string, message: string }> }} parsed - RouteImporter.parse result
+   * @returns {Promise<{ name: string, points: Array<Object> }|null>}
+   */
+  promptImport(parsed) {
+    this._importRoutes = parsed.routes;
+    const select = $('select-import-route');
+    select.innerHTML = '';
+    parsed.routes.forEach((r, i) => {
+      select.appendChild(createElement('option', { value: String(i) }, [r.name]));
+    });
+    $('row-import-route').hidden = parsed.routes.length < 2;
+
+    const errorList = $('import-errors');
+    errorList.innerHTML = '';
+    for (const { row, message } of parsed.errors) {
+      errorList.appendChild(createElement('li', {}, [`${row}: ${message}`]));
+    }
+    this._renderImportSummary();
+
+    return new Promise((resolve) => {
+      this._importResolve = resolve;
+      $('modal-import').hidden = false;
+    });
+  }
+
+  _renderImportSummary() {
+    const route = this._importRoutes[Number($('select-import-route').value)];
+    const errorCount = $('import-errors').children.length;
+    const known = route.points.filter((p, i) => hasNextSegment(route.points, i) && p.distanceToNext !== null).length;
+    setText('import-summary',
+      `${route.points.length}\u70B9\u3001\u8DDD\u96E2\u5165\u529B\u6E08\u307F ${known}\u533A\u9593` +
+      (errorCount > 0 ? `\u3001\u554F\u984C ${errorCount}\u4EF6` : ''));
+  }
+
+  _resolveImport(result) {
+    $('modal-import').hidden = true;
+    this._importRoutes = null;
+    if (this._importResolve) {
+      this._importResolve(result);
+      this._importResolve = null;
+    }
+  }
+
+  /* ── Drag Reorder ────────────────────────────────────── */
+
+  /**
+   * Lets a list row be dragged by its handle to another slot of the same
+   * branch run. Pointer events cover both mouse and touch.
+   * @param {HTMLElement} handle
+   * @param {number} index - Row (point) index
+   * @param {{ start: number, end: number }} run
+   */
+  _bindDragHandle(handle, index, run) {
+    handle.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      handle.setPointerCapture(e.pointerId);
+      const rows = [...this._listContainer.querySelectorAll('.point-item')];
+      rows[index].classList.add('point-item-dragging');
+      let target = index;
+
+      const onMove = (ev) => {
+        target = this._dropIndex(rows, ev.clientY, run);
+        rows.forEach((row, i) => row.classList.toggle('point-item-drop', i === target && i !== index));
+      };
+      const finish = (ev) => {
+        handle.removeEventListener('pointermove', onMove);
+        handle.removeEventListener('pointerup', finish);
+        handle.removeEventListener('pointercancel', finish);
+        rows.forEach(row => row.classList.remove('point-item-dragging', 'point-item-drop'));
+        if (ev.type === 'pointerup' && target !== index) {
+          const result = this._pm.movePoint(index, target);
+          if (!result.success) alert(result.error);
+        }
+      };
+      handle.addEventListener('pointermove', onMove);
+      handle.addEventListener('pointerup', finish);
+      handle.addEventListener('pointercancel', finish);
+    });
+  }
+
+  /** Row index under clientY, limited to the movable rows of the run */
+  _dropIndex(rows, clientY, run) {
+    let target = run.start + 1;
+    for (let i = run.start + 2; i <= run.end; i++) {
+      const rect = rows[i].getBoundingClientRect();
+      if (clientY >= rect.top + rect.height / 2) target = i;
+    }
+    return target;
+  }
+
+  /* ── Route Selector / Visibility ─────────────────────── */
+
+  _renderRoutes() {
+    const routes = this._pm.routes;
+    const activeId = this._pm.activeRoute.id;
+
+    const select = $('select-route');
+    select.innerHTML = '';
+    for (const r of routes) {
+      const option = createElement('option', { value: String(r.id) },
+        [`${r.name} (${r.points.length}\u70B9)`]);
+      option.selected = r.id === activeId;
+      select.appendChild(option);
+    }
+
+    const visibility = $('route-visibility');
+    visibility.innerHTML = '';
+    for (const r of routes) {
+      const checkbox = createElement('input', { type: 'checkbox', checked: r.visible });
+      checkbox.addEventListener('change', (e) => this._pm.setRouteVisible(r.id, e.target.checked));
+      const swatch = createElement('span', { className: 'route-swatch' });
+      swatch.style.background = r.color;
+      visibility.appendChild(createElement('label', { className: 'route-toggle' },
+        [checkbox, swatch, r.name]));
+    }
+  }
+
+  /* ── Gradient View ───────────────────────────────────── */
+
+  /** Slope table for the active route's segments, with limit violations flagged */
+  _renderGradient() {
+    const route = this._pm.activeRoute;
+    const points = route.points;
+    const limits = slopeLimitsFor(route, this._projectPipeType);
+    const gradients = segmentGradients(points, route.origin);
+    const container = $('gradient-table');
+    container.innerHTML = '';
+
+    const pct = (v) => (v !== null ? `${v.toFixed(1)}%` : '--');
+    setText('gradient-limits', limits.min === null && limits.max === null
+      ? '\u52FE\u914D\u57FA\u6E96\u306A\u3057\uFF08\u8DEF\u7DDA\u8A2D\u5B9A\u307E\u305F\u306F\u914D\u7BA1\u7A2E\u5225\u3067\u8A2D\u5B9A\uFF09'
+      : `\u4E0B\u308A\u52FE\u914D\u57FA\u6E96: ${pct(limits.min)} \u301C ${pct(limits.max)}`);
+
+    const header = ['\u533A\u9593', '\u6C34\u5E73(m)', '\u9AD8\u4F4E\u5DEE(m)', '\u52FE\u914D',
+      '1/N', '\u7BA1\u5E95\u9AD8 \u59CB\u2192\u7D42(m)', '\u5224\u5B9A'];
+    const rows = [];
+    let violations = 0;
+    gradients.forEach((g, i) => {
+      if (!hasNextSegment(points, i)) return;
+      if (!g) {
+        // Direction or distance not measured: nothing to judge
+        rows.push(createElement('tr', {}, [`${i + 1}\u2192${i + 2}`, '--', '--', '--', '--', '--', '-']
+          .map(text => createElement('td', {}, [text]))));
+        return;
+      }
+      const check = checkSlope(g, limits);
+      if (check && check !== 'ok') violations++;
+      const height = (v) => (v !== null ? formatDistance(v, 3) : '--');
+      const cells = [
+        `${i + 1}\u2192${i + 2}`,
+        formatDistance(g.run),
+        (g.rise > 0 ? '+' : '') + formatDistance(g.rise, 3),
+        g.percent !== null ? `${g.percent.toFixed(2)}%` : '\u5782\u76F4',
+        g.oneInN !== null ? `1/${Math.round(g.oneInN)}` : '--',
+        `${height(g.startHeight)} \u2192 ${height(g.endHeight)}`,
+        check ? SLOPE_CHECK_LABELS[check] : '-'
+      ];
+      const className = check && check !== 'ok' ? 'gradient-row-ng' : '';
+      rows.push(createElement('tr', { className },
+        cells.map(text => createElement('td', {}, [text]))));
+    });
+
+    setText('gradient-summary', violations > 0 ? `\u57FA\u6E96\u5916 ${violations}\u533A\u9593` : '');
+    if (rows.length === 0) {
+      container.appendChild(createElement('p', { className: 'empty-message' },
+        ['\u533A\u9593\u304C\u3042\u308A\u307E\u305B\u3093']));
+      return;
+    }
+    container.appendChild(createElement('table', {}, [
+      createElement('thead', {}, [createElement('tr', {},
+        header.map(text => createElement('th', {}, [text])))]),
+      createElement('tbody', {}, rows)
+    ]));
+  }
+
   /* ── Point List Rendering ────────────────────────────── */
 
   _renderList() {
@@ -281,14 +1243,24 @@ export default class UIController {
       return;
     }
 
+    // Map point index → branch number (0 = main line) and id → list number
+    const runs = getBranchRuns(points);
+    const branchOf = new Array(count);
+    runs.forEach((run, b) => {
+      for (let j = run.start; j <= run.end; j++) branchOf[j] = b;
+    });
+    const numberById = new Map(points.map((p, i) => [p.id, i + 1]));
+    const bends = routeBends(points, this._headingOffset);
+
     points.forEach((p, i) => {
-      const distText = p.distanceToNext !== null
+      const hasNext = hasNextSegment(points, i);
+      const distText = hasNext && p.distanceToNext !== null
         ? `\u2192 ${formatDistance(p.distanceToNext)}m`
-        : (i < count - 1 ? '\u2192 --' : '');
+        : (hasNext ? '\u2192 --' : '');
 
       // Direction info
       const dirText = p.heading != null
-        ? `${Math.round(p.heading)}\u00B0`
+        ? `${Math.round(p.heading)}\u00B0${p.headingQuality === 'suspect' ? '\u26A0' : ''}`
         : '';
 
       const btnEdit = createElement('button', { type: 'button' }, ['\u7DE8\u96C6']);
@@ -297,13 +1269,31 @@ export default class UIController {
       const btnDel = createElement('button', { type: 'button' }, ['\u524A\u9664']);
       btnDel.addEventListener('click', () => {
         if (confirm(`\u30DD\u30A4\u30F3\u30C8 ${p.id} \u3092\u524A\u9664\u3057\u307E\u3059\u304B\uFF1F`)) {
-          this._pm.removePoint(p.id);
+          const result = this._pm.removePoint(p.id);
+          if (!result.success) alert(result.error);
         }
       });
 
+      const btnInsert = createElement('button', { type: 'button' }, ['\u633F\u5165']);
+      btnInsert.addEventListener('click', () => this._insertPoint(i));
+
+      const btnBranch = createElement('button', { type: 'button' }, ['\u5206\u5C90']);
+      btnBranch.addEventListener('click', () => {
+        const result = this._pm.startBranch(p.id);
+        if (!result.success) alert(result.error);
+      });
+
       const infoChildren = [
         createElement('span', { className: 'point-item-id' }, [`${i + 1}.`])
       ];
+      if (p.parentId != null) {
+        infoChildren.push(createElement('span', { className: 'point-item-branch' },
+          [`\u5206\u5C90${branchOf[i]} \u2190 ${numberById.get(p.parentId) ?? '?'}.`]));
+      }
+      if (p.fitting) {
+        infoChildren.push(createElement('span', { className: 'point-item-fitting' },
+          [this._fittingText(p.fitting)]));
+      }
       if (p.memo) {
         infoChildren.push(createElement('span', { className: 'point-item-memo' }, [p.memo]));
       }
@@ -311,10 +1301,59 @@ export default class UIController {
         const label = dirText ? `${distText} (${dirText})` : distText;
         infoChildren.push(createElement('span', { className: 'point-item-distance' }, [label]));
       }
+      if (p.headingQuality === 'suspect') {
+        infoChildren.push(createElement('span', {
+          className: 'point-item-suspect',
+          title: '\u78C1\u6C17\u5E72\u6E09\u307E\u305F\u306F\u7CBE\u5EA6\u4F4E\u4E0B\u4E2D\u306B\u8A18\u9332\u3055\u308C\u305F\u65B9\u4F4D\u3067\u3059'
+        }, ['\u65B9\u4F4D\u8981\u78BA\u8A8D']));
+      }
+      if (p.headingSpread != null || p.elevationSpread != null) {
+        const spread = Math.max(p.headingSpread ?? 0, p.elevationSpread ?? 0);
+        infoChildren.push(createElement('span', {
+          className: spread > SPREAD_WARN_DEG ? 'point-item-spread point-item-spread-high' : 'point-item-spread',
+          title: `\u65B9\u5411\u306E\u3070\u3089\u3064\u304D\uFF08\u6A19\u6E96\u504F\u5DEE\uFF09 \u65B9\u4F4D${spreadText(p.headingSpread) || ' --'} / \u4EF0\u4FEF\u89D2${spreadText(p.elevationSpread) || ' --'}`
+        }, [`\u00B1${spread.toFixed(1)}\u00B0`]));
+      }
+      if (bends[i]) {
+        const { angle, standard } = bends[i];
+        infoChildren.push(createElement('span', {
+          className: standard !== null ? 'point-item-bend' : 'point-item-bend point-item-bend-odd'
+        }, [standard !== null
+          ? `\u66F2\u304C\u308A ${angle.toFixed(1)}\u00B0 \u2192 ${standard}\u00B0`
+          : `\u66F2\u304C\u308A ${angle.toFixed(1)}\u00B0 (\u898F\u683C\u5916)`]));
+      }
+
+      const actions = [btnEdit];
+      if (hasNext) actions.push(btnInsert);
+      if (p.parentId == null) actions.push(btnBranch);
+      actions.push(btnDel);
+
+      // Drag handle: the first point of a run (start / branch start) stays fixed
+      const run = runs[branchOf[i]];
+      const movable = i !== run.start && run.end - run.start >= 2;
+      const handle = createElement('span', {
+        className: movable ? 'point-item-handle' : 'point-item-handle point-item-handle-fixed',
+        title: '\u30C9\u30E9\u30C3\u30B0\u3067\u4E26\u3079\u66FF\u3048'
+      }, ['\u2261']);
+      if (movable) this._bindDragHandle(handle, i, run);
+
+      const children = [handle];
+      if (p.photo) {
+        const thumb = createElement('img', { className: 'point-item-photo', alt: '' });
+        this._photoUrl(p.photo.id).then((url) => {
+          if (url) thumb.src = url;
+          else thumb.hidden = true;
+        });
+        thumb.addEventListener('click', () => this._editPoint(i));
+        children.push(thumb);
+      }
 
-      const item = createElement('div', { className: 'point-item' }, [
+      const item = createElement('div', {
+        className: branchOf[i] > 0 ? 'point-item point-item-in-branch' : 'point-item'
+      }, [
+        ...children,
         createElement('div', { className: 'point-item-info' }, infoChildren),
-        createElement('div', { className: 'point-item-actions' }, [btnEdit, btnDel])
+        createElement('div', { className: 'point-item-actions' }, actions)
       ]);
 
       this._listContainer.appendChild(item);
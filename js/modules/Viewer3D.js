@@ -1,6 +1,7 @@
 /**
  * Three.js 3D viewer - scene, camera, renderer, controls
- * Supports: wire/pipe display toggle, distance labels, grid size selection
+ * Supports: wire/pipe display toggle, distance labels, grid size selection,
+ * multiple routes with per-route visibility
  * @module modules/Viewer3D
  */
 
@@ -15,7 +16,7 @@ import {
   VIEW_PRESETS
 } from '../config.js';
 import RouteGenerator from './RouteGenerator.js';
-import { pointsToPositions } from '../utils/math.js';
+import { pointsToPositions, hasNextSegment, routeBends } from '../utils/math.js';
 
 export default class Viewer3D {
   constructor(containerId) {
@@ -30,8 +31,9 @@ export default class Viewer3D {
     this._originMode = 'start';
     this._grid = null;
     this._axes = null;
-    this._lastPositions = null;
-    this._lastPoints = null;
+    this._lastPositions = null;  // active route positions (helper origin)
+    this._lastRoutes = null;
+    this._activeRouteId = null;
 
     // Display options
     this._displayMode = 'wire'; // 'wire' | 'pipe'
@@ -39,6 +41,7 @@ export default class Viewer3D {
     this._showLabels = false;
     this._labelGroup = null;
     this._gridSize = GRID_SIZE * GRID_DIVISIONS; // total grid size in meters
+    this._headingOffset = 0;    // degrees, stored headings → reference north
 
     this._initScene();
     this._initCamera();
@@ -139,30 +142,47 @@ export default class Viewer3D {
 
   // ─── Route Display ────────────────────────────────────────
 
-  updateRoute(points) {
-    this._lastPoints = points;
+  /**
+   * Rebuilds all route groups. Hidden routes are kept in the scene with
+   * visible=false so exports still contain them.
+   * @param {Array<{ id: number, name: string, color: string, diameter: number|null,
+   *                 visible: boolean, origin: Object, points: Array }>} routes
+   * @param {number} [activeRouteId] - Route used for the grid/axes origin
+   */
+  updateRoutes(routes, activeRouteId) {
+    this._lastRoutes = routes;
+    this._activeRouteId = activeRouteId ?? this._activeRouteId;
 
-    // Remove old route
+    // Remove old routes
     if (this._routeGroup) {
       this._scene.remove(this._routeGroup);
       this._disposeGroup(this._routeGroup);
     }
 
-    this._routeGroup = this._routeGenerator.buildRouteGroup(
-      points, this._displayMode, this._pipeRadius
-    );
+    this._routeGroup = new THREE.Group();
+    this._routeGroup.name = 'routes';
+    for (const route of routes) {
+      const group = this._routeGenerator.buildRouteGroup(
+        route, this._displayMode, this._pipeRadius, this._headingOffset
+      );
+      group.visible = route.visible;
+      this._routeGroup.add(group);
+    }
     this._scene.add(this._routeGroup);
 
-    this._lastPositions = points.length > 0 ? pointsToPositions(points) : null;
+    const active = routes.find(r => r.id === this._activeRouteId) || routes[0];
+    this._lastPositions = active && active.points.length > 0
+      ? pointsToPositions(active.points, active.origin, this._headingOffset) : null;
 
     this._updateHelperOrigin();
     this._rebuildLabels();
-    this._fitCameraToRoute(points);
+    this._fitCameraToRoute();
   }
 
-  _fitCameraToRoute(points) {
-    if (!points || points.length === 0) return;
-    const box = new THREE.Box3().setFromObject(this._routeGroup);
+  _fitCameraToRoute() {
+    const box = new THREE.Box3();
+    this._routeGroup.children.forEach(g => { if (g.visible) box.expandByObject(g); });
+    if (box.isEmpty()) return;
     const center = new THREE.Vector3();
     box.getCenter(center);
     const size = box.getSize(new THREE.Vector3());
@@ -182,7 +202,7 @@ export default class Viewer3D {
    */
   setDisplayMode(mode) {
     this._displayMode = mode;
-    if (this._lastPoints) this.updateRoute(this._lastPoints);
+    if (this._lastRoutes) this.updateRoutes(this._lastRoutes);
   }
 
   /**
@@ -191,11 +211,22 @@ export default class Viewer3D {
    */
   setPipeRadius(radius) {
     this._pipeRadius = radius;
-    if (this._displayMode === 'pipe' && this._lastPoints) {
-      this.updateRoute(this._lastPoints);
+    if (this._displayMode === 'pipe' && this._lastRoutes) {
+      this.updateRoutes(this._lastRoutes);
     }
   }
 
+  /**
+   * Sets the angle from stored headings to the project's reference north
+   * and rebuilds the routes
+   * @param {number} degrees
+   */
+  setHeadingOffset(degrees) {
+    if (degrees === this._headingOffset) return;
+    this._headingOffset = degrees;
+    if (this._lastRoutes) this.updateRoutes(this._lastRoutes);
+  }
+
   // ─── Distance Labels ──────────────────────────────────────
 
   setShowLabels(show) {
@@ -214,17 +245,27 @@ export default class Viewer3D {
       });
     }
 
-    if (!this._showLabels || !this._lastPositions || this._lastPositions.length < 2) {
+    if (!this._showLabels || !this._lastRoutes) {
       this._labelGroup = null;
       return;
     }
 
     this._labelGroup = new THREE.Group();
     this._labelGroup.name = 'labelGroup';
-    const points = this._lastPoints;
-    const positions = this._lastPositions;
+    for (const route of this._lastRoutes) {
+      if (route.visible && route.points.length >= 2) this._addRouteLabels(route);
+    }
+
+    this._scene.add(this._labelGroup);
+  }
+
+  /** Adds distance labels for one route's segments and bend labels at its points */
+  _addRouteLabels(route) {
+    const points = route.points;
+    const positions = pointsToPositions(points, route.origin, this._headingOffset);
 
     for (let i = 0; i < positions.length - 1; i++) {
+      if (!hasNextSegment(points, i)) continue;
       const dist = points[i].distanceToNext;
       if (dist === null || dist === undefined) continue;
 
@@ -242,7 +283,19 @@ export default class Viewer3D {
       this._labelGroup.add(label);
     }
 
-    this._scene.add(this._labelGroup);
+    // Bend angles: standard fittings in orange, non-standard bends in red
+    routeBends(points, this._headingOffset).forEach((bend, i) => {
+      if (!bend) return;
+      const div = document.createElement('div');
+      div.textContent = bend.standard !== null
+        ? `${bend.standard}\u00B0` : `${Math.round(bend.angle)}\u00B0?`;
+      div.style.cssText = `background:${bend.standard !== null ? 'rgba(230,120,0,0.85)' : 'rgba(200,0,0,0.85)'};` +
+        'color:#fff;padding:1px 5px;border-radius:8px;font-size:10px;font-weight:bold;white-space:nowrap;';
+
+      const label = new CSS2DObject(div);
+      label.position.set(positions[i].x, positions[i].y - 0.05, positions[i].z);
+      this._labelGroup.add(label);
+    });
   }
 
   // ─── Grid Size ────────────────────────────────────────────
@@ -293,6 +346,55 @@ export default class Viewer3D {
     this._controls.update();
   }
 
+  /**
+   * Renders the visible routes to an image for printing, with an
+   * orthographic camera fitted to them. The live view is left untouched.
+   * The scene's east/up/north axes are mirrored relative to three.js, so
+   * the plan is seen from below and the elevation from the north, which
+   * keeps east on the right in both.
+   * @param {'top'|'side'} view - top: plan (north up), side: east-west elevation
+   * @param {number} width - Image size (pixels)
+   * @param {number} height
+   * @returns {string|null} PNG data URL, or null when no route is visible
+   */
+  renderSnapshot(view, width, height) {
+    if (!this._routeGroup) return null;
+    const box = new THREE.Box3();
+    this._routeGroup.children.forEach(g => { if (g.visible) box.expandByObject(g); });
+    if (box.isEmpty()) return null;
+
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
+    const isTop = view === 'top';
+    const MARGIN = 1.15;
+    let halfW = Math.max(size.x, 0.5) * MARGIN / 2;
+    let halfH = Math.max(isTop ? size.z : size.y, 0.5) * MARGIN / 2;
+    if (halfW / halfH > width / height) halfH = halfW * height / width;
+    else halfW = halfH * width / height;
+
+    const depth = size.length() + 1;
+    const camera = new THREE.OrthographicCamera(-halfW, halfW, halfH, -halfH, 0.01, depth * 2);
+    camera.up.set(0, isTop ? 0 : 1, isTop ? 1 : 0);
+    camera.position.copy(center).add(isTop ? new THREE.Vector3(0, -depth, 0) : new THREE.Vector3(0, 0, depth));
+    camera.lookAt(center);
+
+    const renderer = new THREE.WebGLRenderer({ antialias: true, preserveDrawingBuffer: true });
+    renderer.setSize(width, height);
+    const background = this._scene.background;
+    const helpers = [this._grid, this._axes].map(h => [h, h.visible]);
+    this._scene.background = new THREE.Color(0xffffff);
+    helpers.forEach(([h]) => { h.visible = false; });
+    try {
+      renderer.render(this._scene, camera);
+      return renderer.domElement.toDataURL('image/png');
+    } finally {
+      this._scene.background = background;
+      helpers.forEach(([h, visible]) => { h.visible = visible; });
+      renderer.dispose();
+      renderer.forceContextLoss();
+    }
+  }
+
   getScene() { return this._scene; }
 
   forceResize() {
@@ -20,7 +20,8 @@ export default class WebXRManager {
     this._refSpace = null;
     this._viewerSpace = null;
     this._hitTestSource = null;
-    this._anchors = []; // { anchor: XRAnchor, mesh: THREE.Mesh }
+    this._anchors = []; // { anchor: XRAnchor, mesh: THREE.Mesh, pointId: number|null } in point order
+    this._hiddenAnchors = new Map(); // pointId → entry of undone/cleared points, kept for undo/redo
     this._reticle = null;
     this._lineMesh = null;
     this._suppressSelect = false;
@@ -208,7 +209,7 @@ export default class WebXRManager {
       mesh.matrixAutoUpdate = false;
       this._scene.add(mesh);
 
-      this._anchors.push({ anchor, mesh });
+      this._anchors.push({ anchor, mesh, pointId: null });
       this._labelsDirty = true;
       this._onAnchorTap(this._anchors.length - 1);
     } catch (err) {
@@ -249,6 +250,22 @@ export default class WebXRManager {
     return p1.distanceTo(p2);
   }
 
+  /**
+   * Gets the real-world distance between the anchors of two recorded points
+   * (see tagAnchor), so a branch segment is measured from its own start
+   * @param {number} fromId - Point id of the segment start
+   * @param {number} toId - Point id of the segment end
+   * @returns {number|null} Distance in meters, or null if either point has no anchor
+   */
+  getPointDistance(fromId, toId) {
+    const from = this._anchors.find(e => e.pointId === fromId);
+    const to = this._anchors.find(e => e.pointId === toId);
+    if (!from || !to) return null;
+    const p1 = new THREE.Vector3().setFromMatrixPosition(from.mesh.matrix);
+    const p2 = new THREE.Vector3().setFromMatrixPosition(to.mesh.matrix);
+    return p1.distanceTo(p2);
+  }
+
   /**
    * Gets direction (heading/elevation) between consecutive anchors.
    * Derived from AR anchor 3D coordinates (ARCore SLAM-fused).
@@ -272,7 +289,8 @@ export default class WebXRManager {
   }
 
   /**
-   * Captures compass heading once for ARCore→magnetic north offset.
+   * Captures compass heading once for ARCore→magnetic north offset (headings stay
+   * magnetic; exports correct them to the project's reference north).
    * Returns heading in degrees (0-360) or 0 if unavailable.
    */
   _captureCompassHeading() {
@@ -311,8 +329,17 @@ export default class WebXRManager {
     this._lastHitResult = null;
   }
 
-  /** Removes the last anchor (undo) */
-  undoLastAnchor() {
+  /**
+   * Links an anchor to the point recorded for it
+   * @param {number} index - Anchor index as passed to onAnchorTap
+   * @param {number} pointId
+   */
+  tagAnchor(index, pointId) {
+    if (this._anchors[index]) this._anchors[index].pointId = pointId;
+  }
+
+  /** Removes and deletes the last anchor (e.g. calibration anchors) */
+  discardLastAnchor() {
     if (this._anchors.length === 0) return;
     const entry = this._anchors.pop();
     this._scene.remove(entry.mesh);
@@ -321,13 +348,31 @@ export default class WebXRManager {
     this._labelsDirty = true;
   }
 
-  /** Removes all anchors (clear) */
-  clearAllAnchors() {
+  /**
+   * Shows the anchors of the given points, in that order, and hides the
+   * rest (after undo/redo, removal or reordering). Hidden anchors are kept
+   * until dispose, so undo or redo can bring their points back. Anchors not
+   * yet linked to a point (calibration taps) stay at the end.
+   * @param {number[]} pointIds - Recorded points in route order
+   */
+  syncAnchors(pointIds) {
+    const byId = new Map(this._hiddenAnchors);
+    const untagged = [];
     for (const entry of this._anchors) {
-      this._scene.remove(entry.mesh);
-      entry.anchor.delete();
+      if (entry.pointId === null) untagged.push(entry);
+      else byId.set(entry.pointId, entry);
     }
-    this._anchors = [];
+    const shown = pointIds.map(id => byId.get(id)).filter(Boolean);
+    this._hiddenAnchors = new Map();
+    for (const [id, entry] of byId) {
+      if (shown.includes(entry)) {
+        this._scene.add(entry.mesh);
+      } else {
+        this._scene.remove(entry.mesh);
+        this._hiddenAnchors.set(id, entry);
+      }
+    }
+    this._anchors = [...shown, ...untagged];
     this._updateLine();
     this._labelsDirty = true;
   }
@@ -426,6 +471,8 @@ export default class WebXRManager {
       entry.anchor.delete();
     }
     this._anchors = [];
+    for (const entry of this._hiddenAnchors.values()) entry.anchor.delete();
+    this._hiddenAnchors.clear();
     if (this._lineMesh) {
       this._scene.remove(this._lineMesh);
       this._lineMesh.geometry.dispose();
@@ -0,0 +1,17 @@
+/**
+ * CSV helpers shared by the exporters
+ * @module utils/csv
+ */
+
+/**
+ * Quotes a cell when it contains a comma, quote or line break
+ * @param {string|null|undefined} value
+ * @returns {string} Empty for a missing value
+ */
+export function escapeCsv(value) {
+  if (!value) return '';
+  if (value.includes(',') || value.includes('"') || value.includes('\n')) {
+    return `"${value.replace(/"/g, '""')}"`;
+  }
+  return value;
+}
@@ -0,0 +1,127 @@
+/**
+ * Differences between two states of a project's routes (e.g. two saved
+ * revisions). Routes are matched by id, points by id; a change in the order
+ * of the points both states share is reported once per route.
+ * @module utils/diff
+ */
+
+import { FITTING_TYPES } from '../config.js';
+import { formatDistance } from './math.js';
+
+/** Point fields compared, with their labels and value formatting */
+const POINT_FIELDS = [
+  { key: 'distanceToNext', label: '距離', format: (v) => `${formatDistance(v)}m` },
+  { key: 'heading', label: '方位角', format: (v) => `${v.toFixed(1)}°` },
+  { key: 'elevation', label: '仰俯角', format: (v) => `${v.toFixed(1)}°` },
+  { key: 'memo', label: 'メモ', format: (v) => `「${v}」` },
+  { key: 'parentId', label: '分岐元', format: (v) => `ポイント${v}` },
+  { key: 'fitting', label: '継手', format: (v) => FITTING_TYPES[v.type]?.label || v.type },
+  { key: 'photo', label: '写真', format: (v) => `${new Date(v.takenAt).toLocaleString('ja-JP')}撮影` }
+];
+
+/** Route properties compared (name, survey-relevant settings; not color or visibility) */
+const ROUTE_FIELDS = [
+  { key: 'name', label: '路線名', format: (v) => `「${v}」` },
+  { key: 'pipeType', label: '管種', format: (v) => v },
+  { key: 'diameter', label: '外径', format: (v) => `${v}mm` },
+  { key: 'slopeMin', label: '最小勾配', format: (v) => `${v}%` },
+  { key: 'slopeMax', label: '最大勾配', format: (v) => `${v}%` },
+  {
+    key: 'origin', label: '起点',
+    format: (v) => `(${formatDistance(v.x)}, ${formatDistance(v.y)}, ${formatDistance(v.z)})m`
+  }
+];
+
+/** Numbers closer than this count as unchanged */
+const EPSILON = 1e-6;
+
+/**
+ * @param {Array<{ id: number, name: string, points: Array<Object> }>} before - Older routes
+ * @param {Array<{ id: number, name: string, points: Array<Object> }>} after - Newer routes
+ * @returns {{ routesAdded: string[], routesRemoved: string[],
+ *             routeChanged: Array<{ route: string, field: string, from: *, to: * }>,
+ *             reordered: string[],
+ *             added: Array<{ route: string, id: number }>,
+ *             removed: Array<{ route: string, id: number }>,
+ *             changed: Array<{ route: string, id: number, field: string, from: *, to: * }> }}
+ *   Route names are taken from the newer state where the route exists in both
+ */
+export function diffRoutes(before, after) {
+  const diff = {
+    routesAdded: [], routesRemoved: [], routeChanged: [], reordered: [], added: [], removed: [], changed: []
+  };
+  const beforeById = new Map(before.map(r => [r.id, r]));
+  const afterIds = new Set(after.map(r => r.id));
+
+  for (const route of before) {
+    if (!afterIds.has(route.id)) diff.routesRemoved.push(route.name);
+  }
+  for (const route of after) {
+    const old = beforeById.get(route.id);
+    if (!old) {
+      diff.routesAdded.push(route.name);
+      for (const p of route.points) diff.added.push({ route: route.name, id: p.id });
+      continue;
+    }
+    for (const { key } of ROUTE_FIELDS) {
+      if (!sameValue(old[key] ?? null, route[key] ?? null)) {
+        diff.routeChanged.push({ route: route.name, field: key, from: old[key] ?? null, to: route[key] ?? null });
+      }
+    }
+    const oldPoints = new Map(old.points.map(p => [p.id, p]));
+    const newIds = new Set(route.points.map(p => p.id));
+    for (const p of old.points) {
+      if (!newIds.has(p.id)) diff.removed.push({ route: route.name, id: p.id });
+    }
+    const oldOrder = old.points.filter(p => newIds.has(p.id)).map(p => p.id);
+    const newOrder = route.points.filter(p => oldPoints.has(p.id)).map(p => p.id);
+    if (oldOrder.some((id, i) => id !== newOrder[i])) diff.reordered.push(route.name);
+    for (const p of route.points) {
+      const prev = oldPoints.get(p.id);
+      if (!prev) {
+        diff.added.push({ route: route.name, id: p.id });
+        continue;
+      }
+      for (const { key } of POINT_FIELDS) {
+        if (!sameValue(prev[key] ?? null, p[key] ?? null)) {
+          diff.changed.push({ route: route.name, id: p.id, field: key, from: prev[key] ?? null, to: p[key] ?? null });
+        }
+      }
+    }
+  }
+  return diff;
+}
+
+/**
+ * One readable line per difference
+ * @param {ReturnType<typeof diffRoutes>} diff
+ * @returns {string[]} Empty when nothing changed
+ */
+export function formatDiff(diff) {
+  const lines = [];
+  for (const name of diff.routesAdded) lines.push(`+ 路線「${name}」を追加`);
+  for (const name of diff.routesRemoved) lines.push(`− 路線「${name}」を削除`);
+  for (const { route, field, from, to } of diff.routeChanged) {
+    lines.push(`~ 路線「${route}」${describeChange(ROUTE_FIELDS, field, from, to)}`);
+  }
+  for (const name of diff.reordered) lines.push(`~ ${name} ポイントの順序を変更`);
+  for (const { route, id } of diff.added) lines.push(`+ ${route} ポイント${id} を追加`);
+  for (const { route, id } of diff.removed) lines.push(`− ${route} ポイント${id} を削除`);
+  for (const { route, id, field, from, to } of diff.changed) {
+    lines.push(`~ ${route} ポイント${id} ${describeChange(POINT_FIELDS, field, from, to)}`);
+  }
+  return lines;
+}
+
+/** @returns {string} e.g. "距離: 1.20m → 1.35m" */
+function describeChange(fields, field, from, to) {
+  const { label, format } = fields.find(f => f.key === field);
+  const show = (v) => (v === null || v === '' ? 'なし' : format(v));
+  return `${label}: ${show(from)} → ${show(to)}`;
+}
+
+function sameValue(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return Math.abs(a - b) < EPSILON;
+  if (a && b && typeof a === 'object') return JSON.stringify(a) === JSON.stringify(b);
+  return a === b;
+}
@@ -108,3 +108,21 @@ export function fileTimestamp() {
   const pad = (n) => String(n).padStart(2, '0');
   return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}_${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
 }
+
+/**
+ * Reads an image file into a JPEG data URL, scaled down to fit maxSize
+ * @param {File|Blob} file
+ * @param {number} maxSize - Longest side in pixels
+ * @param {number} quality - JPEG quality
+ * @returns {Promise<string>}
+ */
+export async function imageFileToDataUrl(file, maxSize, quality) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas.toDataURL('image/jpeg', quality);
+}
@@ -0,0 +1,122 @@
+/**
+ * Square fiducial markers (ArUco-style): a 6×6 cell grid with a black
+ * border and a 4×4 bit pattern inside. The patterns differ in at least
+ * five bits from each other under every rotation, so a marker's id and
+ * its printed "up" can both be read from any viewing angle.
+ * @module utils/fiducial
+ */
+
+import { MARKER_CONTRAST } from '../config.js';
+import { computeHomography, applyHomography } from './homography.js';
+import { findQuadrilaterals, grayscale } from './rectDetect.js';
+
+/** Inner 4×4 patterns, row-major from the printed top-left, 1 = black */
+const MARKER_CODES = [
+  0x9C92, 0x2494, 0x0383, 0xDF86, 0xDA9F, 0xC565, 0x931D, 0x5621,
+  0x6443, 0x3BF6, 0xAA1E, 0xEFA8, 0x2628, 0x8BFC, 0xACEC, 0xE25D
+];
+
+/** Cells across a marker, border included */
+const GRID = 6;
+
+/** Wrong bits still accepted when matching a pattern */
+const MAX_BIT_ERRORS = 1;
+
+/** Number of distinct marker ids */
+export const MARKER_COUNT = MARKER_CODES.length;
+
+/**
+ * @param {number} id - 0 .. MARKER_COUNT - 1
+ * @returns {boolean[][]} GRID × GRID cells from the printed top-left, true = black
+ */
+export function markerCells(id) {
+  const code = MARKER_CODES[id];
+  return Array.from({ length: GRID }, (_, row) => Array.from({ length: GRID }, (_, col) => {
+    if (row === 0 || col === 0 || row === GRID - 1 || col === GRID - 1) return true;
+    return ((code >> (15 - ((row - 1) * 4 + (col - 1)))) & 1) === 1;
+  }));
+}
+
+/**
+ * Finds and identifies markers in an image
+ * @param {ImageData} imageData
+ * @returns {Array<{ id: number, corners: Array<{ x: number, y: number }> }>}
+ *   Corners in image pixels from the printed top-left, clockwise; largest marker first
+ */
+export function detectMarkers(imageData) {
+  const gray = grayscale(imageData);
+  const markers = [];
+  for (const quad of findQuadrilaterals(imageData, { aspect: 1, polarity: 'dark' })) {
+    const marker = decodeMarker(gray, imageData.width, imageData.height, quad.corners);
+    if (marker && !markers.some(m => m.id === marker.id)) markers.push(marker);
+  }
+  return markers;
+}
+
+/**
+ * Reads the cell grid inside a quadrilateral and matches it against the
+ * patterns in all four rotations
+ * @returns {{ id: number, corners: Array<{ x: number, y: number }> }|null}
+ */
+function decodeMarker(gray, width, height, corners) {
+  const h = computeHomography([
+    { x: 0, y: 0 }, { x: GRID, y: 0 }, { x: GRID, y: GRID }, { x: 0, y: GRID }
+  ], corners);
+  if (!h) return null;
+
+  // Mean level around each cell center (the middle half of the cell)
+  const levels = [];
+  for (let row = 0; row < GRID; row++) {
+    for (let col = 0; col < GRID; col++) {
+      let sum = 0;
+      let n = 0;
+      for (const dy of [-0.25, 0, 0.25]) {
+        for (const dx of [-0.25, 0, 0.25]) {
+          const p = applyHomography(h, { x: col + 0.5 + dx, y: row + 0.5 + dy });
+          if (!p) return null;
+          const x = Math.round(p.x);
+          const y = Math.round(p.y);
+          if (x < 0 || y < 0 || x >= width || y >= height) return null;
+          sum += gray[y * width + x];
+          n++;
+        }
+      }
+      levels.push(sum / n);
+    }
+  }
+  const min = Math.min(...levels);
+  const max = Math.max(...levels);
+  if (max - min < MARKER_CONTRAST) return null;
+  const threshold = (min + max) / 2;
+  const black = levels.map(v => v < threshold);
+
+  for (let row = 0; row < GRID; row++) {
+    for (let col = 0; col < GRID; col++) {
+      const border = row === 0 || col === 0 || row === GRID - 1 || col === GRID - 1;
+      if (border && !black[row * GRID + col]) return null;
+    }
+  }
+
+  // Inner bits read with each corner in turn as the top-left
+  for (let rotation = 0; rotation < 4; rotation++) {
+    let code = 0;
+    for (let r = 0; r < 4; r++) {
+      for (let c = 0; c < 4; c++) {
+        // Printed cell (r, c) in the image grid when image corner `rotation` is the printed top-left
+        const [row, col] = [[r, c], [c, 3 - r], [3 - r, 3 - c], [3 - c, r]][rotation];
+        code = (code << 1) | (black[(row + 1) * GRID + (col + 1)] ? 1 : 0);
+      }
+    }
+    const id = MARKER_CODES.findIndex(m => bitCount(m ^ code) <= MAX_BIT_ERRORS);
+    if (id >= 0) {
+      return { id, corners: corners.map((_, i) => corners[(i + rotation) % 4]) };
+    }
+  }
+  return null;
+}
+
+function bitCount(v) {
+  let n = 0;
+  for (; v; v &= v - 1) n++;
+  return n;
+}
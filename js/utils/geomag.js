@@ -0,0 +1,291 @@
+/**
+ * Offline magnetic declination from the World Magnetic Model (WMM2025,
+ * degree 12) and grid convergence for transverse Mercator grids, so that
+ * magnetic compass headings can be turned to true or grid north.
+ * @module utils/geomag
+ */
+
+import { GRID_ZONES, NORTH_REFERENCES, MAGNETIC_SOURCES } from '../config.js';
+
+/** Model epoch (decimal year); coefficients are valid for five years from it */
+const WMM_EPOCH = 2025.0;
+const WMM_YEARS = 5;
+
+/**
+ * Gauss coefficients [n, m, g, h, ġ, ḣ] in nT and nT/year
+ * (Schmidt semi-normalized, NOAA NCEI / BGS WMM2025)
+ */
+const WMM_COEFFICIENTS = [
+  [1, 0, -29351.8, 0, 12, 0],
+  [1, 1, -1410.8, 4545.4, 9.7, -21.5],
+  [2, 0, -2556.6, 0, -11.6, 0],
+  [2, 1, 2951.1, -3133.6, -5.2, -27.7],
+  [2, 2, 1649.3, -815.1, -8, -12.1],
+  [3, 0, 1361, 0, -1.3, 0],
+  [3, 1, -2404.1, -56.6, -4.2, 4],
+  [3, 2, 1243.8, 237.5, 0.4, -0.3],
+  [3, 3, 453.6, -549.5, -15.6, -4.1],
+  [4, 0, 895, 0, -1.6, 0],
+  [4, 1, 799.5, 278.6, -2.4, -1.1],
+  [4, 2, 55.7, -133.9, -6, 4.1],
+  [4, 3, -281.1, 212, 5.6, 1.6],
+  [4, 4, 12.1, -375.6, -7, -4.4],
+  [5, 0, -233.2, 0, 0.6, 0],
+  [5, 1, 368.9, 45.4, 1.4, -0.5],
+  [5, 2, 187.2, 220.2, 0, 2.2],
+  [5, 3, -138.7, -122.9, 0.6, 0.4],
+  [5, 4, -142, 43, 2.2, 1.7],
+  [5, 5, 20.9, 106.1, 0.9, 1.9],
+  [6, 0, 64.4, 0, -0.2, 0],
+  [6, 1, 63.8, -18.4, -0.4, 0.3],
+  [6, 2, 76.9, 16.8, 0.9, -1.6],
+  [6, 3, -115.7, 48.8, 1.2, -0.4],
+  [6, 4, -40.9, -59.8, -0.9, 0.9],
+  [6, 5, 14.9, 10.9, 0.3, 0.7],
+  [6, 6, -60.7, 72.7, 0.9, 0.9],
+  [7, 0, 79.5, 0, 0, 0],
+  [7, 1, -77, -48.9, -0.1, 0.6],
+  [7, 2, -8.8, -14.4, -0.1, 0.5],
+  [7, 3, 59.3, -1, 0.5, -0.8],
+  [7, 4, 15.8, 23.4, -0.1, 0],
+  [7, 5, 2.5, -7.4, -0.8, -1],
+  [7, 6, -11.1, -25.1, -0.8, 0.6],
+  [7, 7, 14.2, -2.3, 0.8, -0.2],
+  [8, 0, 23.2, 0, -0.1, 0],
+  [8, 1, 10.8, 7.1, 0.2, -0.2],
+  [8, 2, -17.5, -12.6, 0, 0.5],
+  [8, 3, 2, 11.4, 0.5, -0.4],
+  [8, 4, -21.7, -9.7, -0.1, 0.4],
+  [8, 5, 16.9, 12.7, 0.3, -0.5],
+  [8, 6, 15, 0.7, 0.2, -0.6],
+  [8, 7, -16.8, -5.2, 0, 0.3],
+  [8, 8, 0.9, 3.9, 0.2, 0.2],
+  [9, 0, 4.6, 0, 0, 0],
+  [9, 1, 7.8, -24.8, -0.1, -0.3],
+  [9, 2, 3, 12.2, 0.1, 0.3],
+  [9, 3, -0.2, 8.3, 0.3, -0.3],
+  [9, 4, -2.5, -3.3, -0.3, 0.3],
+  [9, 5, -13.1, -5.2, 0, 0.2],
+  [9, 6, 2.4, 7.2, 0.3, -0.1],
+  [9, 7, 8.6, -0.6, -0.1, -0.2],
+  [9, 8, -8.7, 0.8, 0.1, 0.4],
+  [9, 9, -12.9, 10, -0.1, 0.1],
+  [10, 0, -1.3, 0, 0.1, 0],
+  [10, 1, -6.4, 3.3, 0, 0],
+  [10, 2, 0.2, 0, 0.1, 0],
+  [10, 3, 2, 2.4, 0.1, -0.2],
+  [10, 4, -1, 5.3, 0, 0.1],
+  [10, 5, -0.6, -9.1, -0.3, -0.1],
+  [10, 6, -0.9, 0.4, 0, 0.1],
+  [10, 7, 1.5, -4.2, -0.1, 0],
+  [10, 8, 0.9, -3.8, -0.1, -0.1],
+  [10, 9, -2.7, 0.9, 0, 0.2],
+  [10, 10, -3.9, -9.1, 0, 0],
+  [11, 0, 2.9, 0, 0, 0],
+  [11, 1, -1.5, 0, 0, 0],
+  [11, 2, -2.5, 2.2, 0, 0],
+  [11, 3, 2.4, -0.7, 0, 0],
+  [11, 4, -0.6, -0.1, 0, 0],
+  [11, 5, -0.1, 2.3, 0, 0],
+  [11, 6, -0.6, -2.7, 0, 0],
+  [11, 7, -0.9, -2.2, 0, 0],
+  [11, 8, 0.4, 0, 0, 0],
+  [11, 9, 0.4, -0.3, 0, 0],
+  [11, 10, 2.1, -0.2, 0, 0],
+  [11, 11, 0.3, 0.5, 0, 0],
+  [12, 0, -2.1, 0, 0, 0],
+  [12, 1, -0.4, 0.5, 0, 0],
+  [12, 2, -0.2, -0.6, 0, 0],
+  [12, 3, 0.9, -0.1, 0, 0],
+  [12, 4, -0.5, 0, 0, 0],
+  [12, 5, -0.3, 0.8, 0, 0],
+  [12, 6, 0.1, -0.3, 0, 0],
+  [12, 7, -1.1, 1, 0, 0],
+  [12, 8, 0.3, 0.2, 0, 0],
+  [12, 9, 0.2, 0.1, 0, 0],
+  [12, 10, -0.2, 0.7, 0, 0],
+  [12, 11, 0.6, -0.7, 0, 0],
+  [12, 12, 0.2, 0.3, 0, 0]
+];
+
+const MAX_DEGREE = 12;
+
+/** Geomagnetic reference radius and WGS84 ellipsoid axes (km) */
+const EARTH_RADIUS = 6371.2;
+const WGS84_A = 6378.137;
+const WGS84_B = 6356.7523142;
+
+const DEG = Math.PI / 180;
+
+/** Schmidt normalization factors, applied once to the coefficients */
+const SCHMIDT = (() => {
+  const s = [[1]];
+  for (let n = 1; n <= MAX_DEGREE; n++) {
+    s[n] = [s[n - 1][0] * (2 * n - 1) / n];
+    for (let m = 1; m <= n; m++) {
+      s[n][m] = s[n][m - 1] * Math.sqrt((n - m + 1) * (m === 1 ? 2 : 1) / (n + m));
+    }
+  }
+  return s;
+})();
+
+/**
+ * Magnetic declination at sea level
+ * @param {number} latitude - Degrees, north positive (geodetic, WGS84)
+ * @param {number} longitude - Degrees, east positive
+ * @param {Date} [date]
+ * @returns {number} Degrees, east positive: true bearing of magnetic north
+ */
+export function magneticDeclination(latitude, longitude, date = new Date()) {
+  const dt = decimalYear(date) - WMM_EPOCH;
+
+  // Geodetic → geocentric (height 0), and the angle between the two verticals
+  const sinLat = Math.sin(latitude * DEG);
+  const cosLat = Math.cos(latitude * DEG);
+  const a2 = WGS84_A ** 2;
+  const b2 = WGS84_B ** 2;
+  const d = Math.sqrt(a2 * cosLat ** 2 + b2 * sinLat ** 2);
+  const r = Math.sqrt((a2 * a2 * cosLat ** 2 + b2 * b2 * sinLat ** 2) / d ** 2);
+  const ct = Math.max(-1, Math.min(1, b2 * sinLat / (d * r))); // cos of geocentric colatitude
+  const st = Math.sqrt(1 - ct * ct);
+  const ca = d / r;
+  const sa = (a2 - b2) * cosLat * sinLat / (r * d);
+
+  // Gauss-normalized associated Legendre functions and their θ derivatives
+  const P = [[1]];
+  const dP = [[0]];
+  for (let n = 1; n <= MAX_DEGREE; n++) {
+    P[n] = [];
+    dP[n] = [];
+    for (let m = 0; m <= n; m++) {
+      if (m === n) {
+        P[n][m] = st * P[n - 1][m - 1];
+        dP[n][m] = st * dP[n - 1][m - 1] + ct * P[n - 1][m - 1];
+      } else {
+        const k = n > 1 ? ((n - 1) ** 2 - m * m) / ((2 * n - 1) * (2 * n - 3)) : 0;
+        const p2 = m <= n - 2 ? P[n - 2][m] : 0;
+        const dp2 = m <= n - 2 ? dP[n - 2][m] : 0;
+        P[n][m] = ct * P[n - 1][m] - k * p2;
+        dP[n][m] = ct * dP[n - 1][m] - st * P[n - 1][m] - k * dp2;
+      }
+    }
+  }
+
+  // Field in geocentric north / east / down
+  let north = 0;
+  let east = 0;
+  let down = 0;
+  const lon = longitude * DEG;
+  for (const [n, m, g0, h0, gDot, hDot] of WMM_COEFFICIENTS) {
+    const g = (g0 + gDot * dt) * SCHMIDT[n][m];
+    const h = (h0 + hDot * dt) * SCHMIDT[n][m];
+    const ratio = (EARTH_RADIUS / r) ** (n + 2);
+    const cos = Math.cos(m * lon);
+    const sin = Math.sin(m * lon);
+    north += ratio * (g * cos + h * sin) * dP[n][m];
+    if (st > 1e-9) east += ratio * m * (g * sin - h * cos) * P[n][m] / st;
+    down -= ratio * (n + 1) * (g * cos + h * sin) * P[n][m];
+  }
+  // Rotated to the geodetic (ellipsoid) vertical
+  const x = north * ca + down * sa;
+  return Math.atan2(east, x) / DEG;
+}
+
+/**
+ * True when the date lies in the model's validity span
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isModelValid(date) {
+  const year = decimalYear(date);
+  return year >= WMM_EPOCH && year < WMM_EPOCH + WMM_YEARS;
+}
+
+/**
+ * Grid convergence of a transverse Mercator grid: the grid bearing of
+ * true north, negated (grid bearing = true bearing − convergence)
+ * @param {number} latitude - Degrees
+ * @param {number} longitude - Degrees, east positive
+ * @param {number} centralMeridian - Grid origin longitude (degrees)
+ * @returns {number} Degrees, positive east of the central meridian in the northern hemisphere
+ */
+export function gridConvergence(latitude, longitude, centralMeridian) {
+  const dLon = (longitude - centralMeridian) * DEG;
+  return Math.atan(Math.tan(dLon) * Math.sin(latitude * DEG)) / DEG;
+}
+
+/**
+ * Central meridian of a GRID_ZONES entry; the UTM zone follows the longitude
+ * @param {string} zone - GRID_ZONES id
+ * @param {number} longitude
+ * @returns {number|null}
+ */
+export function zoneMeridian(zone, longitude) {
+  if (zone === 'utm') return Math.floor((longitude + 180) / 6) * 6 - 177;
+  return GRID_ZONES.find(z => z.id === zone)?.meridian ?? null;
+}
+
+/**
+ * Angle to add to a stored (magnetic) heading to express it against the
+ * project's reference north
+ * @param {{ northReference?: string, latitude?: number|null, longitude?: number|null,
+ *           surveyDate?: string, gridZone?: string }} settings - Project metadata
+ * @returns {{ offset: number, declination: number|null, convergence: number|null }|null}
+ *   offset 0 for magnetic north; null when true / grid north lacks a location or zone
+ */
+export function headingCorrection(settings) {
+  const reference = settings?.northReference || 'magnetic';
+  if (reference === 'magnetic') return { offset: 0, declination: null, convergence: null };
+  const { latitude, longitude } = settings;
+  if (typeof latitude !== 'number' || typeof longitude !== 'number') return null;
+
+  const date = settings.surveyDate ? new Date(`${settings.surveyDate}T00:00:00`) : new Date();
+  const declination = magneticDeclination(latitude, longitude, isNaN(date) ? new Date() : date);
+  if (reference !== 'grid') return { offset: declination, declination, convergence: null };
+
+  const meridian = zoneMeridian(settings.gridZone, longitude);
+  if (meridian === null) return null;
+  const convergence = gridConvergence(latitude, longitude, meridian);
+  return { offset: declination - convergence, declination, convergence };
+}
+
+/**
+ * A stored heading against the reference north
+ * @param {number} heading - Degrees as stored
+ * @param {number} offset - From headingCorrection
+ * @returns {number} 0 ≤ result < 360
+ */
+export function correctHeading(heading, offset) {
+  return ((heading + offset) % 360 + 360) % 360;
+}
+
+/**
+ * Correction for a heading from the given source: the offset for
+ * compass-based (MAGNETIC_SOURCES) headings, 0 for all others
+ * @param {string|null} source - Point or photo directionSource
+ * @param {number} offset - From headingCorrection
+ * @returns {number}
+ */
+export function sourceOffset(source, offset) {
+  return MAGNETIC_SOURCES.includes(source) ? offset : 0;
+}
+
+/**
+ * Text naming the reference north for drawings and reports
+ * @param {string} reference - NORTH_REFERENCES value
+ * @param {number|null} [offset] - Applied correction (degrees); omitted for the bare name
+ * @returns {string} e.g. "真北（補正 -7.8°）"
+ */
+export function northLabel(reference, offset = null) {
+  const entry = NORTH_REFERENCES.find(r => r.value === reference) ?? NORTH_REFERENCES[0];
+  if (entry.value === 'magnetic' || offset === null) return entry.short;
+  return `${entry.short}（補正 ${offset >= 0 ? '+' : ''}${offset.toFixed(1)}°）`;
+}
+
+/** @returns {number} Year with the elapsed fraction of it */
+function decimalYear(date) {
+  const year = date.getFullYear();
+  const start = new Date(year, 0, 1);
+  const end = new Date(year + 1, 0, 1);
+  return year + (date - start) / (end - start);
+}
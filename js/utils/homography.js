@@ -0,0 +1,167 @@
+/**
+ * Planar homography between screen pixels and a measured plane (meters),
+ * from the four corners of a known rectangle. Used for perspective-correct
+ * distance estimates on that plane.
+ * @module utils/homography
+ */
+
+import { PLANE_TAP_ERROR_PX } from '../config.js';
+
+/**
+ * Solves the homography that maps four source points onto four targets
+ * @param {Array<{ x: number, y: number }>} src
+ * @param {Array<{ x: number, y: number }>} dst
+ * @returns {number[]|null} Row-major 3×3 matrix (h33 = 1), or null when degenerate
+ */
+export function computeHomography(src, dst) {
+  // Eight equations in h11..h32 (direct linear transform with h33 = 1)
+  const A = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = src[i];
+    const { x: u, y: v } = dst[i];
+    A.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    A.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  }
+  const h = solveLinear(A);
+  return h ? [...h, 1] : null;
+}
+
+/**
+ * @param {number[]} h - Matrix from computeHomography
+ * @param {{ x: number, y: number }} p
+ * @returns {{ x: number, y: number }|null} null for points on or beyond the horizon
+ */
+export function applyHomography(h, p) {
+  const w = h[6] * p.x + h[7] * p.y + h[8];
+  if (!(w > 1e-12)) return null;
+  return {
+    x: (h[0] * p.x + h[1] * p.y + h[2]) / w,
+    y: (h[3] * p.x + h[4] * p.y + h[5]) / w
+  };
+}
+
+/**
+ * Homography from screen corners (tapped in order around the rectangle)
+ * to plane coordinates (0,0), (width,0), (width,height), (0,height).
+ * The sign of w is normalized so points on the rectangle's side of the
+ * horizon map with w > 0.
+ * @param {Array<{ x: number, y: number }>} corners - Four screen points
+ * @param {number} width - Rectangle side from the first to the second corner (m)
+ * @param {number} height - Rectangle side from the second to the third corner (m)
+ * @returns {number[]|null}
+ */
+export function rectangleHomography(corners, width, height) {
+  const h = computeHomography(corners, [
+    { x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }
+  ]);
+  if (!h) return null;
+  const w = h[6] * corners[0].x + h[7] * corners[0].y + h[8];
+  return w < 0 ? h.map(v => -v) : h;
+}
+
+/**
+ * True when the four points form a convex quadrilateral in the order given
+ * (a perspective view of a rectangle always does)
+ * @param {Array<{ x: number, y: number }>} corners
+ * @returns {boolean}
+ */
+export function isConvexQuad(corners) {
+  if (corners.length !== 4) return false;
+  let sign = 0;
+  for (let i = 0; i < 4; i++) {
+    const a = corners[i];
+    const b = corners[(i + 1) % 4];
+    const c = corners[(i + 2) % 4];
+    const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+    if (Math.abs(cross) < 1e-6) return false;
+    if (sign === 0) sign = Math.sign(cross);
+    else if (Math.sign(cross) !== sign) return false;
+  }
+  return true;
+}
+
+/**
+ * Distance on the calibrated plane between two screen points, with the
+ * expected error from tap imprecision (PLANE_TAP_ERROR_PX on every
+ * corner and both end points, propagated to first order)
+ * @param {{ corners: Array<{ x: number, y: number }>, width: number, height: number }} plane
+ * @param {{ x: number, y: number }} a - Screen point
+ * @param {{ x: number, y: number }} b - Screen point
+ * @returns {{ distance: number, error: number }|null} Meters; null when a point is beyond the horizon
+ */
+export function planeDistance(plane, a, b) {
+  const measure = (corners, p, q) => {
+    const h = rectangleHomography(corners, plane.width, plane.height);
+    const pa = h && applyHomography(h, p);
+    const pb = h && applyHomography(h, q);
+    return pa && pb ? Math.hypot(pb.x - pa.x, pb.y - pa.y) : null;
+  };
+  const distance = measure(plane.corners, a, b);
+  if (distance === null) return null;
+
+  // Sensitivity to each tapped coordinate (finite differences)
+  const STEP = 0.5;
+  let variance = 0;
+  const add = (moved) => {
+    if (moved === null) return;
+    variance += ((moved - distance) / STEP * PLANE_TAP_ERROR_PX) ** 2;
+  };
+  for (let i = 0; i < 4; i++) {
+    for (const axis of ['x', 'y']) {
+      const corners = plane.corners.map((c, j) => (j === i ? { ...c, [axis]: c[axis] + STEP } : c));
+      add(measure(corners, a, b));
+    }
+  }
+  for (const axis of ['x', 'y']) {
+    add(measure(plane.corners, { ...a, [axis]: a[axis] + STEP }, b));
+    add(measure(plane.corners, a, { ...b, [axis]: b[axis] + STEP }));
+  }
+  return { distance, error: Math.sqrt(variance) };
+}
+
+/**
+ * Compass heading on the calibrated plane from one screen point to another.
+ * Needs the bearing of the rectangle's printed "up" (from the fourth corner
+ * towards the first), as known for a fiducial marker laid on the floor.
+ * @param {{ corners: Array<{ x: number, y: number }>, width: number, height: number,
+ *           bearing?: number|null }} plane
+ * @param {{ x: number, y: number }} a - Screen point
+ * @param {{ x: number, y: number }} b - Screen point
+ * @returns {number|null} Degrees clockwise from north; null without a bearing or for a zero-length segment
+ */
+export function planeHeading(plane, a, b) {
+  if (plane.bearing == null) return null;
+  const h = rectangleHomography(plane.corners, plane.width, plane.height);
+  const pa = h && applyHomography(h, a);
+  const pb = h && applyHomography(h, b);
+  if (!pa || !pb) return null;
+  const dx = pb.x - pa.x;
+  const dy = pb.y - pa.y;
+  if (Math.hypot(dx, dy) < 1e-9) return null;
+  // Plane x runs along the first side (printed right), y down the print
+  const angle = Math.atan2(dx, -dy) * 180 / Math.PI;
+  return ((plane.bearing + angle) % 360 + 360) % 360;
+}
+
+/**
+ * Gaussian elimination with partial pivoting on an augmented n×(n+1) matrix
+ * @returns {number[]|null} null when singular
+ */
+function solveLinear(A) {
+  const n = A.length;
+  const m = A.map(row => row.slice());
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-10) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+    }
+  }
+  return m.map((row, i) => row[n] / row[i]);
+}
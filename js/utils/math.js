@@ -3,7 +3,10 @@
  * @module utils/math
  */
 
-import { DISTANCE_PRECISION } from '../config.js';
+import {
+  DISTANCE_PRECISION, BEND_STANDARD_ANGLES, BEND_TOLERANCE, BEND_MIN_ANGLE, SLOPE_LIMITS,
+  CAPTURE_OUTLIER_SIGMA, CAPTURE_OUTLIER_MIN_DEG, MAGNETIC_SOURCES
+} from '../config.js';
 
 /**
  * Calculates 2D Euclidean distance between two screen points (pixels)
@@ -32,6 +35,15 @@ export function totalRouteLength(points) {
   return total;
 }
 
+/**
+ * Calculates total length over all routes
+ * @param {Array<{ points: Array<{ distanceToNext: number|null }> }>} routes
+ * @returns {number} Total length in meters
+ */
+export function routesTotalLength(routes) {
+  return routes.reduce((sum, r) => sum + totalRouteLength(r.points), 0);
+}
+
 /**
  * Formats a distance value for display
  * @param {number} value - Distance in meters
@@ -42,40 +54,109 @@ export function formatDistance(value, digits = DISTANCE_PRECISION) {
   return value.toFixed(digits);
 }
 
+/**
+ * Returns true if a segment connects points[index] to points[index + 1].
+ * A point with a parentId starts a new branch, so the preceding point
+ * in the array is the end of another branch and has no next segment.
+ * @param {Array<{ parentId?: number|null }>} points
+ * @param {number} index
+ * @returns {boolean}
+ */
+export function hasNextSegment(points, index) {
+  if (index < 0 || index >= points.length - 1) return false;
+  return points[index + 1].parentId == null;
+}
+
+/**
+ * Splits the flat points array into branch runs.
+ * Each run is a chain of consecutive points joined by segments; every run
+ * after the first starts at a point whose parentId names its tee point.
+ * @param {Array<{ parentId?: number|null }>} points
+ * @returns {Array<{ start: number, end: number, parentId: number|null }>} Index ranges (inclusive)
+ */
+export function getBranchRuns(points) {
+  const runs = [];
+  for (let i = 0; i < points.length; i++) {
+    if (i === 0 || !hasNextSegment(points, i - 1)) {
+      runs.push({ start: i, end: i, parentId: points[i].parentId ?? null });
+    } else {
+      runs[runs.length - 1].end = i;
+    }
+  }
+  return runs;
+}
+
+/**
+ * Derives segment length and direction between two 3D positions
+ * (x = east, y = up, z = north, as returned by pointsToPositions)
+ * @param {{ x: number, y: number, z: number }} from
+ * @param {{ x: number, y: number, z: number }} to
+ * @returns {{ distance: number, heading: number|null, elevation: number|null }}
+ *   heading/elevation are null for a zero-length segment
+ */
+export function segmentBetween(from, to) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const dz = to.z - from.z;
+  const horiz = Math.sqrt(dx * dx + dz * dz);
+  const distance = Math.sqrt(horiz * horiz + dy * dy);
+  if (distance === 0) return { distance: 0, heading: null, elevation: null };
+  const RAD = 180 / Math.PI;
+  return {
+    distance,
+    heading: ((Math.atan2(dx, dz) * RAD) % 360 + 360) % 360,
+    elevation: Math.atan2(dy, horiz) * RAD
+  };
+}
+
 /**
  * Converts points to 3D positions using heading/elevation when available,
  * falling back to screen-coordinate direction or X-axis linear layout.
+ * A branch start point (parentId set) is placed at its parent's position.
  *
  * Priority:
  *   1. heading/elevation (sensor or manual direction)
  *   2. screenX/screenY diff (legacy tap direction)
  *   3. X-axis extension (no direction info)
  *
- * @param {Array<{ screenX: number, screenY: number, distanceToNext: number|null,
- *                  heading?: number|null, elevation?: number|null }>} points
+ * @param {Array<{ id: number, screenX: number, screenY: number, distanceToNext: number|null,
+ *                  heading?: number|null, elevation?: number|null, parentId?: number|null }>} points
+ * @param {{ x: number, y: number, z: number }} [origin] - Start position (route offset)
+ * @param {number} [headingOffset=0] - Degrees added to compass-based segment
+ *   directions (MAGNETIC_SOURCES → the project's reference north, see utils/geomag)
  * @returns {Array<{ x: number, y: number, z: number }>} 3D positions
  */
-export function pointsToPositions(points) {
+export function pointsToPositions(points, origin = { x: 0, y: 0, z: 0 }, headingOffset = 0) {
   const positions = [];
-  let x = 0, y = 0, z = 0;
+  let { x, y, z } = origin;
   const DEG = Math.PI / 180;
+  const indexById = new Map();
 
   for (let i = 0; i < points.length; i++) {
+    const parentId = points[i].parentId;
+    if (parentId != null && indexById.has(parentId)) {
+      ({ x, y, z } = positions[indexById.get(parentId)]);
+    }
     positions.push({ x, y, z });
+    indexById.set(points[i].id, i);
 
-    if (i >= points.length - 1) break;
+    if (!hasNextSegment(points, i)) continue;
 
     const dist = points[i].distanceToNext;
     const d = (dist !== null && dist !== undefined) ? dist : 1;
     const p1 = points[i];
 
+    let east;
+    let north;
+    let turn = 0;
     if (p1.heading != null) {
+      if (MAGNETIC_SOURCES.includes(p1.directionSource)) turn = headingOffset * DEG;
       // ── Heading / elevation mode (sensor or manual) ──
       const hRad = p1.heading * DEG;
       const eRad = (p1.elevation || 0) * DEG;
       const horiz = d * Math.cos(eRad);
-      x += horiz * Math.sin(hRad);   // east-west
-      z += horiz * Math.cos(hRad);   // north-south
+      east = horiz * Math.sin(hRad);
+      north = horiz * Math.cos(hRad);
       y += d * Math.sin(eRad);       // up-down
     } else {
       // ── Fallback: screen coordinate direction (legacy) ──
@@ -85,12 +166,252 @@ export function pointsToPositions(points) {
       const screenDist = Math.sqrt(dx * dx + dy * dy);
 
       if (screenDist > 1) {
-        x += (dx / screenDist) * d;
-        z += (dy / screenDist) * d;
+        east = (dx / screenDist) * d;
+        north = (dy / screenDist) * d;
       } else {
-        x += d;
+        east = d;
+        north = 0;
       }
     }
+    // Magnetic headings turned clockwise (seen from above) by the heading offset
+    x += east * Math.cos(turn) + north * Math.sin(turn);
+    z += north * Math.cos(turn) - east * Math.sin(turn);
   }
   return positions;
 }
+
+/**
+ * Like pointsToPositions, but null where a missing segment distance
+ * upstream leaves the position unknown
+ * @param {Array<Object>} points - Same shape as for pointsToPositions
+ * @param {{ x: number, y: number, z: number }} [origin]
+ * @param {number} [headingOffset=0] - See pointsToPositions
+ * @returns {Array<{ x: number, y: number, z: number }|null>}
+ */
+export function knownPositions(points, origin, headingOffset = 0) {
+  const positions = pointsToPositions(points, origin, headingOffset);
+  const indexById = new Map(points.map((p, i) => [p.id, i]));
+  const known = [];
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    if (i === 0) known.push(true);
+    else if (p.parentId != null) known.push(known[indexById.get(p.parentId)] ?? false);
+    else known.push(known[i - 1] && points[i - 1].distanceToNext !== null);
+  }
+  return positions.map((pos, i) => (known[i] ? pos : null));
+}
+
+/**
+ * Distance along the pipe from the route start to each point. A branch
+ * start inherits its tee point's distance. Null once an unknown segment
+ * lies upstream.
+ * @param {Array<{ id: number, distanceToNext: number|null, parentId?: number|null }>} points
+ * @returns {Array<number|null>} One entry per point
+ */
+export function cumulativeDistances(points) {
+  const indexById = new Map(points.map((p, i) => [p.id, i]));
+  const result = [];
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    if (i === 0) {
+      result.push(0);
+    } else if (p.parentId != null) {
+      result.push(result[indexById.get(p.parentId)] ?? null);
+    } else {
+      const prev = points[i - 1];
+      result.push(result[i - 1] !== null && prev.distanceToNext !== null
+        ? result[i - 1] + prev.distanceToNext : null);
+    }
+  }
+  return result;
+}
+
+/**
+ * Deflection angle (degrees) at every run-interior point: the angle between
+ * the incoming and outgoing segment directions used by pointsToPositions.
+ * 0 means straight on. Run ends and zero-length segments give null.
+ * @param {Array<Object>} points - Same shape as for pointsToPositions
+ * @param {number} [headingOffset=0] - As for pointsToPositions; with mixed direction
+ *   sources it changes the angle between segments
+ * @returns {Array<number|null>} One entry per point
+ */
+export function deflectionAngles(points, headingOffset = 0) {
+  const positions = pointsToPositions(points, undefined, headingOffset);
+  return points.map((p, i) => {
+    if (!hasNextSegment(points, i) || !hasNextSegment(points, i - 1)) return null;
+    const a = positions[i - 1];
+    const b = positions[i];
+    const c = positions[i + 1];
+    const u = [b.x - a.x, b.y - a.y, b.z - a.z];
+    const v = [c.x - b.x, c.y - b.y, c.z - b.z];
+    const lu = Math.hypot(...u);
+    const lv = Math.hypot(...v);
+    if (lu === 0 || lv === 0) return null;
+    const cos = (u[0] * v[0] + u[1] * v[1] + u[2] * v[2]) / (lu * lv);
+    return Math.acos(Math.min(1, Math.max(-1, cos))) * 180 / Math.PI;
+  });
+}
+
+/**
+ * Classifies a deflection angle to the nearest standard fitting angle
+ * @param {number|null} angle - Deflection in degrees (see deflectionAngles)
+ * @returns {{ angle: number, standard: number|null }|null}
+ *   null when straight (or unknown); standard is null for a non-standard bend
+ */
+export function classifyBend(angle) {
+  if (angle === null || angle < BEND_MIN_ANGLE) return null;
+  let standard = null;
+  for (const std of BEND_STANDARD_ANGLES) {
+    const off = Math.abs(angle - std);
+    if (off <= BEND_TOLERANCE && (standard === null || off < Math.abs(angle - standard))) {
+      standard = std;
+    }
+  }
+  return { angle, standard };
+}
+
+/**
+ * Bends at every point of a route (classified deflection angles)
+ * @param {Array<Object>} points - Same shape as for pointsToPositions
+ * @param {number} [headingOffset=0] - As for pointsToPositions
+ * @returns {Array<{ angle: number, standard: number|null }|null>}
+ */
+export function routeBends(points, headingOffset = 0) {
+  return deflectionAngles(points, headingOffset).map(classifyBend);
+}
+
+/**
+ * Slope of every segment, keyed by its start point. Rise is positive
+ * upwards along the route; start / end heights are those of the measured
+ * line (not the pipe invert), absolute (route origin y), and null once an
+ * unknown distance upstream makes them unknown.
+ * A segment without a measured direction (no elevation) or distance has
+ * no gradient, so it is never checked against slope limits.
+ * @param {Array<Object>} points - Same shape as for pointsToPositions
+ * @param {{ x: number, y: number, z: number }} [origin]
+ * @returns {Array<{ rise: number, run: number, percent: number|null, oneInN: number|null,
+ *                   startHeight: number|null, endHeight: number|null }|null>}
+ *   percent is null for a vertical segment, oneInN for a level one; null for
+ *   the last point of a run and for unmeasured segments
+ */
+export function segmentGradients(points, origin) {
+  const positions = pointsToPositions(points, origin);
+  const known = knownPositions(points, origin);
+  return points.map((p, i) => {
+    if (!hasNextSegment(points, i)) return null;
+    if (p.heading == null || p.elevation == null || p.distanceToNext == null) return null;
+    const a = positions[i];
+    const b = positions[i + 1];
+    const rise = b.y - a.y;
+    const run = Math.hypot(b.x - a.x, b.z - a.z);
+    return {
+      rise,
+      run,
+      percent: run > 0 ? rise / run * 100 : null,
+      oneInN: rise !== 0 ? run / Math.abs(rise) : null,
+      startHeight: known[i] ? known[i].y : null,
+      endHeight: known[i] ? b.y : null
+    };
+  });
+}
+
+/**
+ * Slope limits (fall, percent) for a route: its own settings, else the
+ * SLOPE_LIMITS entry matching its pipe type
+ * @param {{ pipeType?: string, slopeMin?: number|null, slopeMax?: number|null }} route
+ * @param {string} [defaultPipeType] - Project pipe type for routes without one
+ * @returns {{ min: number|null, max: number|null }}
+ */
+export function slopeLimitsFor(route, defaultPipeType = '') {
+  const pipeType = route.pipeType || defaultPipeType;
+  const preset = SLOPE_LIMITS.find(l => pipeType.includes(l.match));
+  return {
+    min: route.slopeMin ?? preset?.min ?? null,
+    max: route.slopeMax ?? preset?.max ?? null
+  };
+}
+
+/**
+ * Checks a segment's fall (downwards along the route) against limits
+ * @param {{ percent: number|null }|null} gradient
+ * @param {{ min: number|null, max: number|null }} limits
+ * @returns {'ok'|'adverse'|'too_flat'|'too_steep'|null} null when unchecked
+ */
+export function checkSlope(gradient, limits) {
+  if (!gradient || gradient.percent === null || (limits.min === null && limits.max === null)) {
+    return null;
+  }
+  const fall = -gradient.percent;
+  if (limits.min !== null && fall < limits.min) return fall < 0 ? 'adverse' : 'too_flat';
+  if (limits.max !== null && fall > limits.max) return 'too_steep';
+  return 'ok';
+}
+
+/**
+ * Averages sensor readings taken over a capture window. Each channel is
+ * centered on its median, samples beyond CAPTURE_OUTLIER_SIGMA robust
+ * standard deviations are dropped, and the rest are averaged: headings
+ * by circular mean, elevations arithmetically.
+ * @param {Array<{ heading: number|null, elevation: number|null }>} samples
+ * @returns {{ heading: number|null, elevation: number|null,
+ *             headingSpread: number|null, elevationSpread: number|null,
+ *             used: number, rejected: number }}
+ *   Spreads are standard deviations in degrees (circular for the heading);
+ *   used / rejected count heading samples, or elevation samples without headings
+ */
+export function averageDirection(samples) {
+  const result = {
+    heading: null, elevation: null, headingSpread: null, elevationSpread: null, used: 0, rejected: 0
+  };
+
+  const headings = samples.map(s => s.heading).filter(v => v != null);
+  if (headings.length > 0) {
+    // Circular median: the sample closest (summed arc) to all others
+    const arc = (a, b) => ((b - a + 540) % 360) - 180;
+    let center = headings[0];
+    let best = Infinity;
+    for (const h of headings) {
+      const total = headings.reduce((sum, o) => sum + Math.abs(arc(h, o)), 0);
+      if (total < best) { best = total; center = h; }
+    }
+    const kept = keepInliers(headings.map(h => arc(center, h)));
+    const rad = kept.map(d => (center + d) * Math.PI / 180);
+    const sin = rad.reduce((sum, r) => sum + Math.sin(r), 0) / rad.length;
+    const cos = rad.reduce((sum, r) => sum + Math.cos(r), 0) / rad.length;
+    const length = Math.min(1, Math.hypot(sin, cos));
+    result.heading = (Math.atan2(sin, cos) * 180 / Math.PI + 360) % 360;
+    result.headingSpread = Math.sqrt(-2 * Math.log(length)) * 180 / Math.PI;
+    result.used = kept.length;
+    result.rejected = headings.length - kept.length;
+  }
+
+  const elevations = samples.map(s => s.elevation).filter(v => v != null);
+  if (elevations.length > 0) {
+    const center = median(elevations);
+    const kept = keepInliers(elevations.map(e => e - center)).map(d => center + d);
+    const mean = kept.reduce((sum, e) => sum + e, 0) / kept.length;
+    result.elevation = mean;
+    result.elevationSpread = Math.sqrt(kept.reduce((sum, e) => sum + (e - mean) ** 2, 0) / kept.length);
+    if (headings.length === 0) {
+      result.used = kept.length;
+      result.rejected = elevations.length - kept.length;
+    }
+  }
+  return result;
+}
+
+/**
+ * @param {number[]} deviations - Offsets from the median (degrees)
+ * @returns {number[]} The offsets within the outlier limit
+ */
+function keepInliers(deviations) {
+  const mad = median(deviations.map(Math.abs));
+  const limit = Math.max(CAPTURE_OUTLIER_SIGMA * 1.4826 * mad, CAPTURE_OUTLIER_MIN_DEG);
+  return deviations.filter(d => Math.abs(d) <= limit);
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
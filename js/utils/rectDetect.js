@@ -0,0 +1,257 @@
+/**
+ * Finds a rectangular reference object (paper, card, printed marker) in
+ * a still image: the image is thresholded (Otsu), bright and dark regions
+ * are labelled, and the region that best fills its fitted quadrilateral
+ * wins. Plain pixel work, so it runs without any vision library.
+ * @module utils/rectDetect
+ */
+
+import { REFERENCE_MIN_AREA, REFERENCE_MIN_FILL, REFERENCE_MIN_CONTRAST } from '../config.js';
+import { isConvexQuad } from './homography.js';
+
+/**
+ * @param {ImageData} imageData - Small image (a few hundred pixels across)
+ * @param {{ aspect?: number }} [options] - Expected long/short side ratio of the object
+ * @returns {{ corners: Array<{ x: number, y: number }>, fill: number }|null}
+ *   Corners in image pixels, in order around the outline with the first side
+ *   along a long side; null when nothing rectangular was found
+ */
+export function detectRectangle(imageData, { aspect = null } = {}) {
+  const [best] = findQuadrilaterals(imageData, { aspect });
+  return best ? { corners: orderCorners(best.corners), fill: best.fill } : null;
+}
+
+/**
+ * All regions that fit a quadrilateral, best first
+ * @param {ImageData} imageData
+ * @param {{ aspect?: number, polarity?: 'bright'|'dark'|'both' }} [options]
+ * @returns {Array<{ corners: Array<{ x: number, y: number }>, fill: number, score: number }>}
+ *   Corners in image pixels, clockwise on screen
+ */
+export function findQuadrilaterals(imageData, { aspect = null, polarity = 'both' } = {}) {
+  const { width, height } = imageData;
+  const gray = blur(grayscale(imageData), width, height);
+  const { threshold, contrast } = otsuThreshold(gray);
+  if (contrast < REFERENCE_MIN_CONTRAST) return [];
+  const polarities = polarity === 'both' ? [true, false] : [polarity === 'bright'];
+
+  const found = [];
+  for (const bright of polarities) {
+    const mask = new Uint8Array(gray.length);
+    for (let i = 0; i < gray.length; i++) mask[i] = (gray[i] > threshold) === bright ? 1 : 0;
+
+    for (const region of labelRegions(mask, width, height)) {
+      const candidate = fitRegion(region, width * height, aspect);
+      if (candidate) found.push(candidate);
+    }
+  }
+  return found.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * @param {ImageData} imageData
+ * @returns {Float32Array} Luminance (0-255) per pixel
+ */
+export function grayscale({ data, width, height }) {
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return gray;
+}
+
+/** 3×3 box blur, so sensor noise does not split regions */
+function blur(gray, width, height) {
+  const out = new Float32Array(gray.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let n = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        const yy = y + dy;
+        if (yy < 0 || yy >= height) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const xx = x + dx;
+          if (xx < 0 || xx >= width) continue;
+          sum += gray[yy * width + xx];
+          n++;
+        }
+      }
+      out[y * width + x] = sum / n;
+    }
+  }
+  return out;
+}
+
+/**
+ * @returns {{ threshold: number, contrast: number }} Threshold and the
+ *   difference between the mean levels either side of it
+ */
+function otsuThreshold(gray) {
+  const hist = new Array(256).fill(0);
+  for (const v of gray) hist[Math.min(255, Math.round(v))]++;
+  const total = gray.length;
+  const sumAll = hist.reduce((s, n, v) => s + n * v, 0);
+  let sumBelow = 0;
+  let below = 0;
+  let bestVar = -1;
+  let threshold = 127;
+  let contrast = 0;
+  for (let t = 0; t < 256; t++) {
+    below += hist[t];
+    if (below === 0) continue;
+    const above = total - below;
+    if (above === 0) break;
+    sumBelow += t * hist[t];
+    const meanBelow = sumBelow / below;
+    const meanAbove = (sumAll - sumBelow) / above;
+    const variance = below * above * (meanBelow - meanAbove) ** 2;
+    if (variance > bestVar) {
+      bestVar = variance;
+      threshold = t;
+      contrast = meanAbove - meanBelow;
+    }
+  }
+  return { threshold, contrast };
+}
+
+/**
+ * 4-connected regions of set mask pixels that do not touch the image border
+ * @returns {Array<{ area: number, span: number, rows: Map<number, [number, number]> }>}
+ *   Pixel count, summed row widths and each row's leftmost / rightmost pixel
+ */
+function labelRegions(mask, width, height) {
+  const regions = [];
+  const stack = [];
+  for (let start = 0; start < mask.length; start++) {
+    if (mask[start] !== 1) continue;
+    mask[start] = 2;
+    stack.push(start);
+    const region = { area: 0, rows: new Map() };
+    let touchesBorder = false;
+    while (stack.length > 0) {
+      const i = stack.pop();
+      const x = i % width;
+      const y = (i - x) / width;
+      region.area++;
+      const row = region.rows.get(y);
+      if (row) {
+        row[0] = Math.min(row[0], x);
+        row[1] = Math.max(row[1], x);
+      } else {
+        region.rows.set(y, [x, x]);
+      }
+      if (x === 0 || y === 0 || x === width - 1 || y === height - 1) touchesBorder = true;
+      if (x > 0 && mask[i - 1] === 1) { mask[i - 1] = 2; stack.push(i - 1); }
+      if (x < width - 1 && mask[i + 1] === 1) { mask[i + 1] = 2; stack.push(i + 1); }
+      if (y > 0 && mask[i - width] === 1) { mask[i - width] = 2; stack.push(i - width); }
+      if (y < height - 1 && mask[i + width] === 1) { mask[i + width] = 2; stack.push(i + width); }
+    }
+    if (touchesBorder) continue;
+    region.span = 0;
+    for (const [x0, x1] of region.rows.values()) region.span += x1 - x0 + 1;
+    regions.push(region);
+  }
+  return regions;
+}
+
+/**
+ * Fits the largest quadrilateral with corners on the region's convex hull
+ * and scores how well the region fills it
+ * @returns {{ corners: Array<{ x: number, y: number }>, fill: number, score: number }|null}
+ */
+function fitRegion(region, imageArea, aspect) {
+  if (region.area < imageArea * REFERENCE_MIN_AREA) return null;
+
+  // Row extents (pixel edges) are enough to build the hull
+  const points = [];
+  for (const [y, [x0, x1]] of region.rows) {
+    points.push({ x: x0, y }, { x: x0, y: y + 1 }, { x: x1 + 1, y }, { x: x1 + 1, y: y + 1 });
+  }
+  const hull = convexHull(points);
+  if (hull.length < 4) return null;
+
+  const [a, b, c, d] = largestQuad(hull).map(i => hull[i]);
+  // Clockwise on screen (image y points down)
+  const corners = cross(a, b, c) > 0 ? [a, b, c, d] : [a, d, c, b];
+  if (!isConvexQuad(corners)) return null;
+  const quadArea = Math.abs(polygonArea(corners));
+  // Row spans rather than the pixel count, so print inside the outline (holes) does not matter
+  const fill = Math.min(region.span, quadArea) / Math.max(region.span, quadArea);
+  if (fill < REFERENCE_MIN_FILL) return null;
+
+  if (aspect) {
+    // Perspective distorts the ratio, so only reject the clearly different
+    const [s0, s1, s2, s3] = corners.map((p, i) => Math.hypot(corners[(i + 1) % 4].x - p.x, corners[(i + 1) % 4].y - p.y));
+    const ratio = Math.max(s0 + s2, s1 + s3) / Math.min(s0 + s2, s1 + s3);
+    if (ratio > aspect * 2 || ratio < aspect / 2) return null;
+  }
+  return { corners, fill, score: fill * fill * quadArea };
+}
+
+/**
+ * Largest-area quadrilateral with corners on a convex polygon. For each first
+ * corner the opposite one sweeps forward; the best corner on either side of
+ * that diagonal only ever moves forward with it, so this is O(n²).
+ * @param {Array<{ x: number, y: number }>} hull - Convex, in order, at least 4 points
+ * @returns {number[]} Hull indices of the corners, in hull order
+ */
+function largestQuad(hull) {
+  const n = hull.length;
+  const tri = (i, j, k) => Math.abs(cross(hull[i % n], hull[j % n], hull[k % n]));
+  let best = -1;
+  let quad = [0, 1, 2, 3];
+  for (let i = 0; i < n; i++) {
+    let j = i + 1;
+    let l = i + 3;
+    for (let k = i + 2; k < i + n - 1; k++) {
+      while (j + 1 < k && tri(i, j + 1, k) >= tri(i, j, k)) j++;
+      if (l <= k) l = k + 1;
+      while (l + 1 < i + n && tri(i, k, l + 1) >= tri(i, k, l)) l++;
+      const area = tri(i, j, k) + tri(i, k, l);
+      if (area > best) {
+        best = area;
+        quad = [i, j % n, k % n, l % n];
+      }
+    }
+  }
+  return quad;
+}
+
+/** Andrew's monotone chain; counter-clockwise in image coordinates */
+function convexHull(points) {
+  const sorted = points.slice().sort((p, q) => p.x - q.x || p.y - q.y);
+  const lower = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+  return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+function cross(o, a, b) {
+  return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+}
+
+function polygonArea(points) {
+  let area = 0;
+  points.forEach((p, i) => {
+    const q = points[(i + 1) % points.length];
+    area += p.x * q.y - q.x * p.y;
+  });
+  return area / 2;
+}
+
+/** Rotates the corners so the first side is on the longer pair of opposite sides */
+function orderCorners(corners) {
+  const side = (i) => Math.hypot(corners[(i + 1) % 4].x - corners[i].x, corners[(i + 1) % 4].y - corners[i].y);
+  return side(0) + side(2) >= side(1) + side(3)
+    ? corners
+    : [corners[1], corners[2], corners[3], corners[0]];
+}
@@ -0,0 +1,377 @@
+/**
+ * Saved project schema: a chain of migrations from older save layouts to
+ * PROJECT_SCHEMA_VERSION, then strict validation of every route and point
+ * field. Invalid values are repaired (reset to their empty value) or the
+ * point is dropped, and each change is reported.
+ * @module utils/schema
+ */
+
+import {
+  PROJECT_SCHEMA_VERSION, DIRECTION_SOURCES, HEADING_QUALITIES, MEMO_MAX_LENGTH, DEFAULT_ROUTE_NAME,
+  NORTH_REFERENCES, GRID_ZONES
+} from '../config.js';
+import {
+  validateDistance, validateMemo, validateRouteName, validateFitting,
+  validateHeading, validateElevation, validateSensorLevel, validatePhoto,
+  validateLatitude, validateLongitude
+} from './validation.js';
+import { isConvexQuad } from './homography.js';
+
+/**
+ * MIGRATIONS[n] turns schema n data into schema n + 1
+ * @type {Object<number, function(Object): Object>}
+ */
+const MIGRATIONS = {
+  // v1 → v2: single route with its points at the top level → routes array
+  1: (data) => {
+    const { points, ...rest } = data;
+    return { ...rest, routes: [{ id: 1, pipeType: data.metadata?.pipeType || '', points }] };
+  },
+  // v2 → v3: pipe size and slope limits on routes; branches and fittings on points
+  2: (data) => ({
+    ...data,
+    routes: data.routes.map(r => ({
+      diameter: null, slopeMin: null, slopeMax: null, ...r,
+      points: Array.isArray(r?.points) ? r.points.map(p => ({ parentId: null, fitting: null, ...p })) : r?.points
+    }))
+  }),
+  // v3 → v4: point photos
+  3: (data) => ({
+    ...data,
+    routes: data.routes.map(r => ({
+      ...r,
+      points: Array.isArray(r?.points) ? r.points.map(p => ({ photo: null, ...p })) : r?.points
+    }))
+  }),
+  // v4 → v5: compass heading quality on points
+  4: (data) => ({
+    ...data,
+    routes: data.routes.map(r => ({
+      ...r,
+      points: Array.isArray(r?.points) ? r.points.map(p => ({ headingQuality: null, ...p })) : r?.points
+    }))
+  }),
+  // v5 → v6: reference north and project location (heading correction)
+  5: (data) => ({
+    ...data,
+    metadata: {
+      northReference: 'magnetic', latitude: null, longitude: null, surveyDate: '', gridZone: '',
+      ...data.metadata
+    }
+  }),
+  // v6 → v7: spread of averaged sensor readings on points
+  6: (data) => ({
+    ...data,
+    routes: data.routes.map(r => ({
+      ...r,
+      points: Array.isArray(r?.points)
+        ? r.points.map(p => ({ headingSpread: null, elevationSpread: null, ...p }))
+        : r?.points
+    }))
+  })
+};
+
+/**
+ * Schema version of saved data. Saves from before versioning are told
+ * apart by layout: top-level points = 1, routes = 2.
+ * @param {Object} data
+ * @returns {number}
+ */
+export function schemaVersionOf(data) {
+  if (Number.isInteger(data.schemaVersion)) return data.schemaVersion;
+  return Array.isArray(data.routes) ? 2 : 1;
+}
+
+/**
+ * Migrates saved project data to the current schema and validates it
+ * @param {Object} raw - Project record as saved (library, package or legacy LocalStorage)
+ * @returns {{ success: boolean, data?: Object, report?: Array<{ where: string, message: string }>,
+ *             error?: string }} report: every value that was repaired or dropped
+ */
+export function migrateProject(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return { success: false, error: 'データが破損しています' };
+  }
+  let version = schemaVersionOf(raw);
+  if (version > PROJECT_SCHEMA_VERSION) {
+    return { success: false, error: '新しいバージョンのアプリで保存されたデータです。アプリを更新してください' };
+  }
+  if (version < 1 || (version === 1 && !Array.isArray(raw.points))) {
+    return { success: false, error: 'データが破損しています' };
+  }
+
+  // A migration step fails only on data that does not have its version's layout
+  let data = raw;
+  try {
+    while (version < PROJECT_SCHEMA_VERSION) {
+      if (!MIGRATIONS[version]) return { success: false, error: 'データが破損しています' };
+      data = MIGRATIONS[version](data);
+      version++;
+    }
+  } catch {
+    return { success: false, error: 'データが破損しています' };
+  }
+  if (!Array.isArray(data.routes)) {
+    return { success: false, error: 'データが破損しています' };
+  }
+
+  const report = [];
+  const routes = sanitizeRoutes(data.routes, report);
+  return {
+    success: true,
+    data: {
+      ...data,
+      schemaVersion: PROJECT_SCHEMA_VERSION,
+      projectName: typeof data.projectName === 'string' ? data.projectName : '',
+      metadata: sanitizeMetadata(data.metadata, report),
+      calibration: sanitizeCalibration(data.calibration, report),
+      routes
+    },
+    report
+  };
+}
+
+function sanitizeMetadata(metadata, report) {
+  const m = metadata || {};
+  const fix = (message) => report.push({ where: 'プロジェクト設定', message });
+  const result = {
+    siteName: m.siteName || '',
+    operator: m.operator || '',
+    pipeType: m.pipeType || '',
+    northReference: 'magnetic',
+    latitude: null,
+    longitude: null,
+    surveyDate: '',
+    gridZone: ''
+  };
+  if (NORTH_REFERENCES.some(r => r.value === m.northReference)) result.northReference = m.northReference;
+  else if (m.northReference != null) fix(`方位の基準が不正なため磁北にしました（${m.northReference}）`);
+  for (const [key, validate, name] of [['latitude', validateLatitude, '緯度'], ['longitude', validateLongitude, '経度']]) {
+    if (m[key] == null) continue;
+    if (validate(m[key]).valid) result[key] = m[key];
+    else fix(`${name}が不正なため破棄しました`);
+  }
+  if (m.surveyDate) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(m.surveyDate) && !isNaN(Date.parse(m.surveyDate))) result.surveyDate = m.surveyDate;
+    else fix('測量日が不正なため破棄しました');
+  }
+  if (m.gridZone) {
+    if (GRID_ZONES.some(z => z.id === m.gridZone)) result.gridZone = m.gridZone;
+    else fix(`座標系が不正なため破棄しました（${m.gridZone}）`);
+  }
+  return result;
+}
+
+function sanitizeCalibration(calibration, report) {
+  const ppm = calibration?.pixelsPerMeter ?? null;
+  const ref = calibration?.referenceSegment ?? null;
+  const plane = calibration?.plane ?? null;
+  const result = { pixelsPerMeter: null, referenceSegment: null, plane: null };
+  if (ppm !== null) {
+    if (typeof ppm === 'number' && ppm > 0 && isFinite(ppm)) result.pixelsPerMeter = ppm;
+    else report.push({ where: '校正', message: '縮尺が不正なため破棄しました' });
+  }
+  if (ref !== null && Number.isInteger(ref) && ref >= 0) result.referenceSegment = ref;
+  if (plane !== null) {
+    const finite = (v) => typeof v === 'number' && isFinite(v);
+    const ok = Array.isArray(plane.corners) && plane.corners.length === 4
+      && plane.corners.every(c => finite(c?.x) && finite(c?.y))
+      && finite(plane.width) && plane.width > 0 && finite(plane.height) && plane.height > 0
+      && isConvexQuad(plane.corners)
+      && (plane.bearing == null || validateHeading(plane.bearing).valid);
+    if (ok) {
+      result.plane = {
+        corners: plane.corners.map(c => ({ x: c.x, y: c.y })),
+        width: plane.width,
+        height: plane.height,
+        bearing: plane.bearing ?? null,
+        // Frames are not saved: a reopened plane is kept for the record but never applies
+        frame: null
+      };
+    } else {
+      report.push({ where: '校正', message: '平面校正が不正なため破棄しました' });
+    }
+  }
+  return result;
+}
+
+function sanitizeRoutes(routes, report) {
+  const routeIds = new Set();
+  // Point ids are unique across the project; duplicates get fresh ids
+  const maxPointId = Math.max(0, ...routes.flatMap(r => (Array.isArray(r?.points) ? r.points : []))
+    .map(p => (Number.isInteger(p?.id) ? p.id : 0)));
+  const ids = { used: new Set(), next: maxPointId + 1 };
+  const result = [];
+
+  routes.forEach((r, index) => {
+    const label = r?.name || `${DEFAULT_ROUTE_NAME}${index + 1}`;
+    if (!r || typeof r !== 'object' || !Array.isArray(r.points)) {
+      report.push({ where: label, message: 'ポイント一覧がないため路線を破棄しました' });
+      return;
+    }
+    const fix = (message) => report.push({ where: label, message });
+
+    let id = r.id;
+    if (!Number.isInteger(id) || id <= 0 || routeIds.has(id)) {
+      id = Math.max(0, ...routeIds, ...routes.map(x => (Number.isInteger(x?.id) ? x.id : 0))) + 1;
+      fix(`路線IDを ${id} に振り直しました`);
+    }
+    routeIds.add(id);
+
+    const route = { ...r, id };
+    if (r.name != null && !validateRouteName(r.name).valid) {
+      route.name = '';
+      fix('路線名が不正なため既定の名前にしました');
+    }
+    for (const [key, name] of [['diameter', '外径'], ['slopeMin', '最小勾配'], ['slopeMax', '最大勾配']]) {
+      const v = r[key] ?? null;
+      const ok = v === null || (typeof v === 'number' && isFinite(v) && (key === 'diameter' ? v > 0 : v >= 0));
+      route[key] = ok ? v : null;
+      if (!ok) fix(`${name}が不正なため破棄しました`);
+    }
+    const origin = r.origin || {};
+    route.origin = {};
+    for (const axis of ['x', 'y', 'z']) {
+      const v = origin[axis] ?? 0;
+      route.origin[axis] = typeof v === 'number' && isFinite(v) ? v : 0;
+      if (route.origin[axis] !== v) fix('起点座標が不正なため0にしました');
+    }
+
+    const idMap = new Map(); // saved id → id after renumbering, for branch parents
+    route.points = [];
+    r.points.forEach((p, i) => {
+      const point = sanitizePoint(p, i, idMap, ids, fix);
+      if (point) route.points.push(point);
+    });
+    result.push(route);
+  });
+  return result;
+}
+
+/**
+ * @param {Object} p - Saved point
+ * @param {number} index - Position in its route (for the report)
+ * @param {Map<number, number>} idMap - Saved id → new id of earlier points in the route
+ * @param {{ used: Set<number>, next: number }} ids - Ids taken in the project so far
+ * @param {function(string): void} fix - Report callback
+ * @returns {Object|null} Clean point, or null when it has to be dropped
+ */
+function sanitizePoint(p, index, idMap, ids, fix) {
+  if (!p || typeof p !== 'object') {
+    fix(`${index + 1}番目のポイントが不正なため破棄しました`);
+    return null;
+  }
+  if (!Number.isInteger(p.id) || p.id <= 0) {
+    fix(`${index + 1}番目のポイントはIDが不正なため破棄しました`);
+    return null;
+  }
+  let id = p.id;
+  if (ids.used.has(id)) {
+    id = ids.next++;
+    fix(`ポイント${p.id}: IDが重複しているため ${id} に振り直しました`);
+  }
+  const where = `ポイント${id}`;
+  const drop = (field, error) => fix(`${where}: ${field}を破棄しました（${error}）`);
+
+  const point = {
+    id,
+    screenX: typeof p.screenX === 'number' && isFinite(p.screenX) ? p.screenX : 0,
+    screenY: typeof p.screenY === 'number' && isFinite(p.screenY) ? p.screenY : 0,
+    memo: '',
+    createdAt: p.createdAt,
+    distanceToNext: null,
+    heading: null,
+    elevation: null,
+    directionSource: null,
+    sensorLevel: null,
+    headingQuality: null,
+    headingSpread: null,
+    elevationSpread: null,
+    parentId: null,
+    fitting: null,
+    photo: null
+  };
+
+  if (p.memo != null) {
+    const check = validateMemo(p.memo);
+    if (check.valid) {
+      point.memo = p.memo;
+    } else if (typeof p.memo === 'string') {
+      point.memo = p.memo.slice(0, MEMO_MAX_LENGTH);
+      fix(`${where}: メモを${MEMO_MAX_LENGTH}文字に切り詰めました`);
+    } else {
+      drop('メモ', check.error);
+    }
+  }
+
+  if (typeof p.createdAt !== 'string' || isNaN(Date.parse(p.createdAt))) {
+    point.createdAt = new Date().toISOString();
+    if (p.createdAt != null) fix(`${where}: 記録日時が不正なため現在時刻にしました`);
+  }
+
+  if (p.distanceToNext != null) {
+    const check = typeof p.distanceToNext === 'number' ? validateDistance(p.distanceToNext)
+      : { valid: false, error: '数値ではありません' };
+    if (check.valid) point.distanceToNext = p.distanceToNext;
+    else drop('距離', check.error);
+  }
+
+  // A direction needs a heading; a missing elevation means level
+  if (p.heading != null || p.elevation != null) {
+    const heading = validateHeading(p.heading);
+    const elevation = p.elevation == null ? { valid: true } : validateElevation(p.elevation);
+    if (heading.valid && elevation.valid) {
+      point.heading = p.heading % 360;
+      point.elevation = p.elevation ?? 0;
+      if (p.directionSource != null && !DIRECTION_SOURCES.includes(p.directionSource)) {
+        drop('方向の取得元', p.directionSource);
+      } else {
+        point.directionSource = p.directionSource ?? null;
+      }
+      if (p.sensorLevel != null) {
+        const level = validateSensorLevel(p.sensorLevel);
+        if (level.valid) point.sensorLevel = p.sensorLevel;
+        else drop('センサー水準', level.error);
+      }
+      if (p.headingQuality != null) {
+        if (HEADING_QUALITIES.includes(p.headingQuality)) point.headingQuality = p.headingQuality;
+        else drop('方位の信頼性', p.headingQuality);
+      }
+      for (const [field, label] of [['headingSpread', '方位のばらつき'], ['elevationSpread', '仰俯角のばらつき']]) {
+        if (p[field] == null) continue;
+        if (typeof p[field] === 'number' && isFinite(p[field]) && p[field] >= 0) point[field] = p[field];
+        else drop(label, '0以上の数値ではありません');
+      }
+    } else {
+      drop('方向', (heading.valid ? elevation : heading).error);
+    }
+  }
+
+  if (p.parentId != null) {
+    if (idMap.has(p.parentId)) point.parentId = idMap.get(p.parentId);
+    else drop('分岐元', `ポイント${p.parentId}が前にありません`);
+  }
+
+  if (p.fitting != null) {
+    const check = validateFitting(p.fitting);
+    if (check.valid) point.fitting = p.fitting;
+    else drop('継手', check.error);
+  }
+
+  if (p.photo != null) {
+    const check = validatePhoto(p.photo);
+    if (check.valid) {
+      const { id: photoId, takenAt, heading, elevation, directionSource, sensorLevel } = p.photo;
+      point.photo = {
+        id: photoId, takenAt, heading: heading ?? null, elevation: elevation ?? null,
+        directionSource: directionSource ?? null, sensorLevel: sensorLevel ?? null
+      };
+    } else {
+      drop('写真', check.error);
+    }
+  }
+
+  if (!idMap.has(p.id)) idMap.set(p.id, id);
+  ids.used.add(id);
+  return point;
+}
@@ -3,7 +3,9 @@
  * @module utils/validation
  */
 
-import { MEMO_MAX_LENGTH, MAX_POINTS } from '../config.js';
+import {
+  MEMO_MAX_LENGTH, MAX_POINTS, ROUTE_NAME_MAX_LENGTH, FITTING_TYPES, VALVE_TYPES
+} from '../config.js';
 
 /**
  * Validates a memo string
@@ -20,6 +22,21 @@ export function validateMemo(memo) {
   return { valid: true };
 }
 
+/**
+ * Validates a route name
+ * @param {string} name
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateRouteName(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    return { valid: false, error: '路線名を入力してください' };
+  }
+  if (name.length > ROUTE_NAME_MAX_LENGTH) {
+    return { valid: false, error: `路線名は${ROUTE_NAME_MAX_LENGTH}文字以内で入力してください` };
+  }
+  return { valid: true };
+}
+
 /**
  * Checks if point count has reached the maximum
  * @param {number} currentCount
@@ -50,3 +67,117 @@ export function validateDistance(value) {
   }
   return { valid: true };
 }
+
+/**
+ * Validates fitting data attached to a point (null = no fitting)
+ * @param {{ type: string, size?: number|null, angle?: number|null,
+ *           outletSize?: number|null, valveType?: string|null }|null} fitting
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateFitting(fitting) {
+  if (fitting === null) return { valid: true };
+  if (!fitting || !FITTING_TYPES[fitting.type]) {
+    return { valid: false, error: '継手の種類が不正です' };
+  }
+  const isPositive = (v) => v == null || (typeof v === 'number' && v > 0 && isFinite(v));
+  if (!isPositive(fitting.size)) {
+    return { valid: false, error: '呼び径は正の数値で入力してください' };
+  }
+  if (!isPositive(fitting.outletSize)) {
+    return { valid: false, error: '出口径は正の数値で入力してください' };
+  }
+  if (fitting.angle != null && !(fitting.angle > 0 && fitting.angle <= 180)) {
+    return { valid: false, error: '角度は0より大きく180以下で入力してください' };
+  }
+  if (fitting.valveType != null && !VALVE_TYPES[fitting.valveType]) {
+    return { valid: false, error: 'バルブの種類が不正です' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validates a compass heading (degrees clockwise from north)
+ * @param {*} value
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateHeading(value) {
+  if (typeof value !== 'number' || !(value >= 0 && value <= 360)) {
+    return { valid: false, error: '方位角は0〜360で入力してください' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validates a latitude (degrees, north positive)
+ * @param {*} value
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateLatitude(value) {
+  if (typeof value !== 'number' || !(value >= -90 && value <= 90)) {
+    return { valid: false, error: '緯度は-90〜90で入力してください' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validates a longitude (degrees, east positive)
+ * @param {*} value
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateLongitude(value) {
+  if (typeof value !== 'number' || !(value >= -180 && value <= 180)) {
+    return { valid: false, error: '経度は-180〜180で入力してください' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validates an elevation angle (degrees, up positive)
+ * @param {*} value
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateElevation(value) {
+  if (typeof value !== 'number' || !(value >= -90 && value <= 90)) {
+    return { valid: false, error: '仰俯角は-90〜90で入力してください' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validates a sensor reliability level (integer 1-5)
+ * @param {*} value
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateSensorLevel(value) {
+  if (!Number.isInteger(value) || value < 1 || value > 5) {
+    return { valid: false, error: 'センサー水準は1〜5の整数です' };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validates photo metadata attached to a point (null = no photo).
+ * The image itself lives in the photo store under `id`.
+ * @param {{ id: string, takenAt: string, heading: number|null, elevation: number|null,
+ *           directionSource: string|null, sensorLevel: number|null }|null} photo
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validatePhoto(photo) {
+  if (photo === null) return { valid: true };
+  if (typeof photo !== 'object' || typeof photo.id !== 'string' || photo.id === '') {
+    return { valid: false, error: '写真IDがありません' };
+  }
+  if (typeof photo.takenAt !== 'string' || isNaN(Date.parse(photo.takenAt))) {
+    return { valid: false, error: '撮影日時が不正です' };
+  }
+  if (photo.heading != null && !validateHeading(photo.heading).valid) {
+    return { valid: false, error: '撮影時の方位角が不正です' };
+  }
+  if (photo.elevation != null && !validateElevation(photo.elevation).valid) {
+    return { valid: false, error: '撮影時の仰俯角が不正です' };
+  }
+  if (photo.sensorLevel != null && !validateSensorLevel(photo.sensorLevel).valid) {
+    return { valid: false, error: '撮影時のセンサー水準が不正です' };
+  }
+  return { valid: true };
+}